@@ -24,6 +24,13 @@ app.on('window-all-closed', () => {
   }
 });
 
+// Clean up temporary files before exiting
+app.on('will-quit', () => {
+  if (appManager) {
+    appManager.shutdown();
+  }
+});
+
 // Re-create window on macOS when dock icon is clicked
 app.on('activate', () => {
   if (appManager) {
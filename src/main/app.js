@@ -10,6 +10,10 @@ const path = require('path');
 const { registerIpcHandlers } = require('./ipc-handlers');
 const { cacheManager } = require('./cache/cache-manager');
 const { settingsCache } = require('./cache/settings-cache');
+const { streamHeaders } = require('./player/stream-headers');
+const { timeshiftBuffer } = require('./player/timeshift-buffer');
+const { directRecorder } = require('./recording/direct-recorder');
+const { recordingJobs } = require('./recording/recording-jobs');
 
 class AppManager {
     constructor() {
@@ -23,9 +27,12 @@ class AppManager {
         // Initialize cache system
         await cacheManager.initialize();
         settingsCache.initialize();
+        timeshiftBuffer.initialize();
+        recordingJobs.initialize();
         console.log('[AppManager] Cache system initialized');
 
         this.createMainWindow();
+        streamHeaders.initialize(this.mainWindow.webContents.session);
         registerIpcHandlers(this.mainWindow);
     }
 
@@ -67,6 +74,14 @@ class AppManager {
         });
     }
 
+    /**
+     * Release resources before the application exits
+     */
+    shutdown() {
+        timeshiftBuffer.shutdown();
+        directRecorder.stopAll();
+    }
+
     /**
      * Handle macOS activate event
      */
@@ -14,6 +14,7 @@ class CacheManager {
         // Base cache directory in user's home folder
         this.cacheDir = path.join(app.getPath('home'), '.FlumIPTVData');
         this.iconsDir = path.join(this.cacheDir, 'icons');
+        this.epgDir = path.join(this.cacheDir, 'epg');
         this.metaFile = path.join(this.cacheDir, 'cache-meta.json');
 
         this.initialized = false;
@@ -39,6 +40,12 @@ class CacheManager {
                 console.log(`[CacheManager] Created icons directory: ${this.iconsDir}`);
             }
 
+            // Create EPG subdirectory
+            if (!fs.existsSync(this.epgDir)) {
+                fs.mkdirSync(this.epgDir, { recursive: true });
+                console.log(`[CacheManager] Created EPG directory: ${this.epgDir}`);
+            }
+
             // Initialize meta file if doesn't exist
             if (!fs.existsSync(this.metaFile)) {
                 this.writeMeta({
@@ -72,6 +79,14 @@ class CacheManager {
         return this.iconsDir;
     }
 
+    /**
+     * Get the EPG directory path
+     * @returns {string} EPG directory path
+     */
+    getEpgDir() {
+        return this.epgDir;
+    }
+
     /**
      * Read cache metadata
      * @returns {Object} Metadata object
@@ -0,0 +1,177 @@
+/**
+ * ChannelIdentity - Stable Channel IDs
+ *
+ * Gives every channel of a playlist an id that survives
+ * refreshes: a renamed channel, a rotated stream URL or a
+ * channel moved to another group keeps its id, and two
+ * entries with the same name in different groups never
+ * share one. The ids handed out are remembered per playlist
+ * in .FlumIPTVData/channel-ids.json, with the attributes
+ * they were last seen with.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { cacheManager } = require('./cache-manager');
+
+// Keys a channel is matched to a known one by, strongest first.
+// Each known id goes to one channel at most per refresh.
+const MATCH_KEYS = [
+    // Same stream in the same group (renamed)
+    (c) => c.url && `${c.url}\n${c.group}`,
+    // Same guide id in the same group (URL rotated)
+    (c) => c.tvgId && `${c.tvgId}\n${c.group}`,
+    // Same name in the same group (URL rotated, no guide id)
+    (c) => c.name && `${c.name}\n${c.group}`,
+    // Same stream or guide id in another group (moved)
+    (c) => c.url,
+    (c) => c.tvgId
+];
+
+// Ids of channels gone from a playlist are kept this long
+const MAX_UNSEEN_AGE = 30 * 24 * 60 * 60 * 1000;
+
+class ChannelIdentity {
+    constructor() {
+        this.idsFile = null;
+
+        // Playlist id -> [{ id, tvgId, url, group, name, seenAt }]
+        this.playlists = {};
+    }
+
+    /**
+     * Initialize channel id storage
+     */
+    initialize() {
+        this.idsFile = path.join(cacheManager.getCacheDir(), 'channel-ids.json');
+        this.playlists = this.load();
+    }
+
+    /**
+     * Load id tables from file
+     * @returns {Object} Playlist id -> entries
+     */
+    load() {
+        try {
+            if (this.idsFile && fs.existsSync(this.idsFile)) {
+                const content = fs.readFileSync(this.idsFile, 'utf-8');
+                const data = JSON.parse(content);
+                return data.playlists && typeof data.playlists === 'object' ? data.playlists : {};
+            }
+        } catch (error) {
+            console.error('[ChannelIdentity] Error loading channel ids:', error);
+        }
+        return {};
+    }
+
+    /**
+     * Save id tables to file
+     */
+    save() {
+        try {
+            if (this.idsFile) {
+                fs.writeFileSync(this.idsFile, JSON.stringify({
+                    playlists: this.playlists
+                }));
+            }
+        } catch (error) {
+            console.error('[ChannelIdentity] Error saving channel ids:', error);
+        }
+    }
+
+    /**
+     * Get the stable ids of the channels of a playlist
+     * @param {string} playlistId - Playlist ID
+     * @param {Array} channels - { tvgId, url, group, name } in playlist order
+     * @returns {Array<string>} Ids, in the same order
+     */
+    resolve(playlistId, channels) {
+        const now = Date.now();
+        const entries = this.playlists[playlistId] || [];
+        const ids = new Array(channels.length).fill(null);
+        const claimed = new Set();
+
+        const attributes = channels.map(channel => ({
+            tvgId: channel.tvgId || '',
+            url: channel.url || '',
+            group: channel.group || '',
+            name: channel.name || ''
+        }));
+
+        // Strongest keys first, so a weaker match cannot take an id
+        // another channel matches better
+        for (const keyOf of MATCH_KEYS) {
+            const known = new Map();
+            for (const entry of entries) {
+                const key = !claimed.has(entry) && keyOf(entry);
+                if (!key) continue;
+                if (!known.has(key)) known.set(key, []);
+                known.get(key).push(entry);
+            }
+
+            attributes.forEach((channel, i) => {
+                const key = !ids[i] && keyOf(channel);
+                const entry = key && known.get(key)?.shift();
+                if (!entry) return;
+
+                claimed.add(entry);
+                ids[i] = entry.id;
+                Object.assign(entry, channel, { seenAt: now });
+            });
+        }
+
+        // New channels: ids derived from what identifies them,
+        // made unique if two entries are identical
+        const usedIds = new Set(entries.map(entry => entry.id));
+        const added = [];
+        attributes.forEach((channel, i) => {
+            if (ids[i]) return;
+
+            const source = [playlistId, channel.tvgId, channel.url, channel.group, channel.name].join('\n');
+            let id = ChannelIdentity.hash(source);
+            for (let n = 2; usedIds.has(id); n++) {
+                id = ChannelIdentity.hash(`${source}\n${n}`);
+            }
+
+            usedIds.add(id);
+            ids[i] = id;
+            added.push({ id, ...channel, seenAt: now });
+        });
+
+        // Forget channels gone for a long time
+        this.playlists[playlistId] = [
+            ...entries.filter(entry => claimed.has(entry) || now - (entry.seenAt || 0) < MAX_UNSEEN_AGE),
+            ...added
+        ];
+        this.save();
+
+        if (added.length > 0) {
+            console.log(`[ChannelIdentity] ${added.length} new channel ids for playlist ${playlistId}`);
+        }
+        return ids;
+    }
+
+    /**
+     * Forget the ids of a deleted playlist
+     * @param {string} playlistId - Playlist ID
+     */
+    removePlaylist(playlistId) {
+        delete this.playlists[playlistId];
+        this.save();
+    }
+
+    /**
+     * Short id from a string
+     * @param {string} source - Identifying string
+     * @returns {string} Id
+     */
+    static hash(source) {
+        return crypto.createHash('sha1').update(source).digest('base64url').slice(0, 12);
+    }
+}
+
+// Singleton instance
+const channelIdentity = new ChannelIdentity();
+
+module.exports = { ChannelIdentity, channelIdentity };
@@ -0,0 +1,114 @@
+/**
+ * ChannelNumbers - Custom Channel Numbers
+ *
+ * Remembers the numbers the user gave to channels, per
+ * playlist and by stable channel id, in
+ * .FlumIPTVData/channel-numbers.json. Channels without
+ * one keep the playlist's number (tvg-chno) or an
+ * automatic one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cacheManager } = require('./cache-manager');
+
+class ChannelNumbers {
+    constructor() {
+        this.numbersFile = null;
+
+        // Playlist id -> { channel id: number }
+        this.playlists = {};
+    }
+
+    /**
+     * Initialize channel number storage
+     */
+    initialize() {
+        this.numbersFile = path.join(cacheManager.getCacheDir(), 'channel-numbers.json');
+        this.playlists = this.load();
+    }
+
+    /**
+     * Load custom numbers from file
+     * @returns {Object} Playlist id -> numbers
+     */
+    load() {
+        try {
+            if (this.numbersFile && fs.existsSync(this.numbersFile)) {
+                const content = fs.readFileSync(this.numbersFile, 'utf-8');
+                const data = JSON.parse(content);
+                return data.playlists && typeof data.playlists === 'object' ? data.playlists : {};
+            }
+        } catch (error) {
+            console.error('[ChannelNumbers] Error loading channel numbers:', error);
+        }
+        return {};
+    }
+
+    /**
+     * Save custom numbers to file
+     */
+    save() {
+        try {
+            if (this.numbersFile) {
+                fs.writeFileSync(this.numbersFile, JSON.stringify({
+                    playlists: this.playlists
+                }));
+            }
+        } catch (error) {
+            console.error('[ChannelNumbers] Error saving channel numbers:', error);
+        }
+    }
+
+    /**
+     * Get the custom numbers of a playlist
+     * @param {string} playlistId - Playlist ID
+     * @returns {Object} Channel id -> number
+     */
+    get(playlistId) {
+        return { ...this.playlists[playlistId] };
+    }
+
+    /**
+     * Set or clear the custom number of a channel
+     * @param {string} playlistId - Playlist ID
+     * @param {string} channelId - Stable channel ID
+     * @param {number|null} number - Positive integer, or null for the default number
+     * @throws {Error} If the number is not a positive integer
+     */
+    set(playlistId, channelId, number) {
+        const numbers = this.playlists[playlistId] || {};
+
+        if (number === null || number === undefined) {
+            delete numbers[channelId];
+        } else {
+            if (!Number.isInteger(number) || number < 1) {
+                throw new Error('Invalid channel number');
+            }
+            numbers[channelId] = number;
+        }
+
+        if (Object.keys(numbers).length > 0) {
+            this.playlists[playlistId] = numbers;
+        } else {
+            delete this.playlists[playlistId];
+        }
+        this.save();
+    }
+
+    /**
+     * Forget the numbers of a deleted playlist
+     * @param {string} playlistId - Playlist ID
+     */
+    removePlaylist(playlistId) {
+        if (this.playlists[playlistId]) {
+            delete this.playlists[playlistId];
+            this.save();
+        }
+    }
+}
+
+// Singleton instance
+const channelNumbers = new ChannelNumbers();
+
+module.exports = { ChannelNumbers, channelNumbers };
@@ -1,19 +1,36 @@
 /**
  * FavoritesManager - Channel Favorites Persistence
- * 
+ *
  * Manages favorite channels storage in the
- * .FlumIPTVData directory. Uses channel URLs as
- * unique identifiers for reliable deduplication.
+ * .FlumIPTVData directory. Each favorite belongs to a
+ * playlist and points to the channel's stable id, so it
+ * keeps working when the playlist is refreshed and the
+ * channel's stream URL changes. The name, logo and URL
+ * the channel was last seen with are kept to list and
+ * play favorites without loading their playlist.
+ *
+ * Favorites can be sorted into user folders ("Sports",
+ * "Kids", ...) shared by all playlists. The order of the
+ * stored list is the order the user arranged them in.
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { cacheManager } = require('./cache-manager');
 
+// Channel attributes stored with a favorite
+const CHANNEL_FIELDS = ['name', 'logo', 'url', 'group', 'type'];
+
 class FavoritesManager {
     constructor() {
         this.favoritesFile = null;
+
+        // [{ id, playlistId, channelId, folderId, name, logo, url, group, type, addedAt }]
         this.favorites = [];
+
+        // [{ id, name }] in display order
+        this.folders = [];
     }
 
     /**
@@ -21,24 +38,52 @@ class FavoritesManager {
      */
     initialize() {
         this.favoritesFile = path.join(cacheManager.getCacheDir(), 'favorites.json');
-        this.favorites = this.load();
+        const { favorites, folders } = this.load();
+        this.favorites = favorites;
+        this.folders = folders;
     }
 
     /**
      * Load favorites from file
-     * @returns {Array} Array of favorite channel URLs
+     * @returns {Object} { favorites, folders }
      */
     load() {
         try {
             if (this.favoritesFile && fs.existsSync(this.favoritesFile)) {
                 const content = fs.readFileSync(this.favoritesFile, 'utf-8');
                 const data = JSON.parse(content);
-                return Array.isArray(data) ? data : [];
+
+                // Older versions stored a plain list of channel URLs
+                if (Array.isArray(data)) {
+                    return { favorites: this.migrate(data), folders: [] };
+                }
+                return {
+                    favorites: Array.isArray(data.favorites) ? data.favorites : [],
+                    folders: Array.isArray(data.folders) ? data.folders : []
+                };
             }
         } catch (error) {
             console.error('[FavoritesManager] Error loading favorites:', error);
         }
-        return [];
+        return { favorites: [], folders: [] };
+    }
+
+    /**
+     * Turn a list of favorite URLs into records. They belong to no
+     * playlist until a playlist with their URL is opened (see sync).
+     * @param {Array<string>} urls - Favorite channel URLs
+     * @returns {Array} Favorite records
+     */
+    migrate(urls) {
+        const now = Date.now();
+        const favorites = urls
+            .filter(url => typeof url === 'string' && url)
+            .map(url => FavoritesManager.createRecord(null, { url }, now));
+
+        console.log(`[FavoritesManager] Migrated ${favorites.length} favorites`);
+        this.favorites = favorites;
+        this.save();
+        return favorites;
     }
 
     /**
@@ -47,7 +92,10 @@ class FavoritesManager {
     save() {
         try {
             if (this.favoritesFile) {
-                fs.writeFileSync(this.favoritesFile, JSON.stringify(this.favorites, null, 2));
+                fs.writeFileSync(this.favoritesFile, JSON.stringify({
+                    favorites: this.favorites,
+                    folders: this.folders
+                }, null, 2));
                 console.log('[FavoritesManager] Favorites saved');
             }
         } catch (error) {
@@ -55,56 +103,220 @@ class FavoritesManager {
         }
     }
 
+    /**
+     * Find the favorite of a channel
+     * @param {string|null} playlistId - Playlist ID
+     * @param {string} channelId - Stable channel ID
+     * @returns {Object|undefined} Favorite record
+     */
+    find(playlistId, channelId) {
+        return this.favorites.find(fav => fav.playlistId === playlistId && fav.channelId === channelId);
+    }
+
     /**
      * Check if a channel is favorite
-     * @param {string} url - Channel URL
+     * @param {string|null} playlistId - Playlist ID
+     * @param {string} channelId - Stable channel ID
      * @returns {boolean} Whether the channel is favorite
      */
-    isFavorite(url) {
-        return this.favorites.includes(url);
+    isFavorite(playlistId, channelId) {
+        return !!this.find(playlistId, channelId);
     }
 
     /**
      * Add a channel to favorites
-     * @param {string} url - Channel URL
+     * @param {string|null} playlistId - Playlist ID
+     * @param {Object} channel - { id, name, logo, url, group, type }
      */
-    addFavorite(url) {
-        if (!this.isFavorite(url)) {
-            this.favorites.push(url);
+    addFavorite(playlistId, channel) {
+        if (!this.isFavorite(playlistId, channel.id)) {
+            this.favorites.push(FavoritesManager.createRecord(playlistId, channel));
             this.save();
         }
     }
 
     /**
      * Remove a channel from favorites
-     * @param {string} url - Channel URL
+     * @param {string|null} playlistId - Playlist ID
+     * @param {string} channelId - Stable channel ID
+     */
+    removeFavorite(playlistId, channelId) {
+        this.favorites = this.favorites.filter(fav => fav.playlistId !== playlistId || fav.channelId !== channelId);
+        this.save();
+    }
+
+    /**
+     * Remove a favorite by its own ID
+     * @param {string} id - Favorite ID
      */
-    removeFavorite(url) {
-        this.favorites = this.favorites.filter(fav => fav !== url);
+    remove(id) {
+        this.favorites = this.favorites.filter(fav => fav.id !== id);
         this.save();
     }
 
     /**
      * Toggle a channel's favorite status
-     * @param {string} url - Channel URL
+     * @param {string|null} playlistId - Playlist ID
+     * @param {Object} channel - { id, name, logo, url, group, type }
      * @returns {boolean} New favorite status (true = added, false = removed)
      */
-    toggleFavorite(url) {
-        if (this.isFavorite(url)) {
-            this.removeFavorite(url);
+    toggleFavorite(playlistId, channel) {
+        if (this.isFavorite(playlistId, channel.id)) {
+            this.removeFavorite(playlistId, channel.id);
             return false;
         } else {
-            this.addFavorite(url);
+            this.addFavorite(playlistId, channel);
             return true;
         }
     }
 
     /**
-     * Get all favorite URLs
-     * @returns {Array} Array of favorite channel URLs
+     * Update the favorites of a playlist with its current channels:
+     * stored names, logos and URLs follow the playlist, and migrated
+     * favorites are tied to the channel with their URL
+     * @param {string} playlistId - Playlist ID
+     * @param {Array} channels - { id, name, logo, url, group, type }
+     * @returns {Array} Favorites of the playlist
+     */
+    sync(playlistId, channels) {
+        const byId = new Map(channels.map(channel => [channel.id, channel]));
+        const byUrl = new Map(channels.map(channel => [channel.url, channel]));
+        let changed = false;
+
+        for (const fav of this.favorites) {
+            let channel = null;
+            if (fav.playlistId === playlistId) {
+                channel = byId.get(fav.channelId);
+            } else if (fav.playlistId === null && !fav.channelId) {
+                // A migrated favorite goes to the first playlist opened with its URL
+                channel = byUrl.get(fav.url);
+                if (channel && this.isFavorite(playlistId, channel.id)) channel = null;
+                if (channel) {
+                    fav.playlistId = playlistId;
+                    fav.channelId = channel.id;
+                    changed = true;
+                }
+            }
+            if (!channel) continue;
+
+            for (const field of CHANNEL_FIELDS) {
+                const value = channel[field] || null;
+                if (fav[field] !== value) {
+                    fav[field] = value;
+                    changed = true;
+                }
+            }
+        }
+
+        if (changed) {
+            this.save();
+        }
+        return this.getAll(playlistId);
+    }
+
+    /**
+     * Get favorites
+     * @param {string} [playlistId] - Only the favorites of this playlist
+     * @returns {Array} Favorite records, in the user's order
+     */
+    getAll(playlistId) {
+        const favorites = playlistId === undefined
+            ? this.favorites
+            : this.favorites.filter(fav => fav.playlistId === playlistId);
+        return favorites.map(fav => ({ ...fav }));
+    }
+
+    /**
+     * Move a favorite to a folder and place it in the order
+     * @param {string} id - Favorite ID
+     * @param {string|null} folderId - Target folder ID (null for no folder)
+     * @param {string|null} beforeId - Favorite to place it before (null for last)
+     * @returns {boolean} Whether the favorite was moved
+     */
+    moveFavorite(id, folderId, beforeId = null) {
+        const favorite = this.favorites.find(fav => fav.id === id);
+        if (!favorite || (folderId && !this.folders.some(folder => folder.id === folderId))) {
+            return false;
+        }
+
+        favorite.folderId = folderId || null;
+        this.favorites = this.favorites.filter(fav => fav !== favorite);
+
+        const index = beforeId ? this.favorites.findIndex(fav => fav.id === beforeId) : -1;
+        if (index === -1) {
+            this.favorites.push(favorite);
+        } else {
+            this.favorites.splice(index, 0, favorite);
+        }
+
+        this.save();
+        return true;
+    }
+
+    /**
+     * Get favorite folders
+     * @returns {Array} Folders in display order
+     */
+    getFolders() {
+        return this.folders.map(folder => ({ ...folder }));
+    }
+
+    /**
+     * Create a favorite folder
+     * @param {string} name - Folder name
+     * @returns {Object} New folder
+     * @throws {Error} If the name is empty
      */
-    getAll() {
-        return [...this.favorites];
+    addFolder(name) {
+        const folderName = String(name || '').trim();
+        if (!folderName) throw new Error('Folder name is required');
+
+        const folder = { id: crypto.randomUUID(), name: folderName };
+        this.folders.push(folder);
+        this.save();
+        return { ...folder };
+    }
+
+    /**
+     * Rename a favorite folder
+     * @param {string} id - Folder ID
+     * @param {string} name - New name
+     * @throws {Error} If the name is empty
+     */
+    renameFolder(id, name) {
+        const folderName = String(name || '').trim();
+        if (!folderName) throw new Error('Folder name is required');
+
+        const folder = this.folders.find(f => f.id === id);
+        if (folder) {
+            folder.name = folderName;
+            this.save();
+        }
+    }
+
+    /**
+     * Remove a favorite folder, keeping its favorites out of any folder
+     * @param {string} id - Folder ID
+     */
+    removeFolder(id) {
+        this.folders = this.folders.filter(folder => folder.id !== id);
+        for (const fav of this.favorites) {
+            if (fav.folderId === id) fav.folderId = null;
+        }
+        this.save();
+    }
+
+    /**
+     * Remove the favorites of a deleted playlist
+     * @param {string} playlistId - Playlist ID
+     */
+    removePlaylist(playlistId) {
+        const count = this.favorites.length;
+        this.favorites = this.favorites.filter(fav => fav.playlistId !== playlistId);
+
+        if (this.favorites.length !== count) {
+            this.save();
+        }
     }
 
     /**
@@ -112,8 +324,30 @@ class FavoritesManager {
      */
     clearAll() {
         this.favorites = [];
+        this.folders = [];
         this.save();
     }
+
+    /**
+     * Build a favorite record
+     * @param {string|null} playlistId - Playlist ID
+     * @param {Object} channel - { id, name, logo, url, group, type }
+     * @param {number} addedAt - When it was added, epoch milliseconds
+     * @returns {Object} Favorite record
+     */
+    static createRecord(playlistId, channel, addedAt = Date.now()) {
+        const record = {
+            id: crypto.randomUUID(),
+            playlistId,
+            channelId: channel.id || null,
+            folderId: null,
+            addedAt
+        };
+        for (const field of CHANNEL_FIELDS) {
+            record[field] = channel[field] || null;
+        }
+        return record;
+    }
 }
 
 // Singleton instance
@@ -90,8 +90,11 @@ class PlaylistStorage {
         const newPlaylist = {
             id: this.generateId(),
             name: playlist.name || 'Sin nombre',
-            source: playlist.source || 'file', // 'file' or 'url'
+            source: playlist.source || 'file', // 'file', 'url' or 'xtream'
             path: playlist.path || '',
+            xtream: playlist.xtream || null, // Xtream Codes credentials { server, username, password }
+            epgUrl: playlist.epgUrl || '', // XMLTV file path or URL
+            header: playlist.header || null, // #EXTM3U attributes (url-tvg, defaults)
             channelCount: playlist.channelCount || 0,
             addedAt: now,
             updatedAt: now,
@@ -0,0 +1,110 @@
+/**
+ * PreferredSources - Last Working Mirrors
+ *
+ * Remembers, per playlist, which mirror of a channel played
+ * last (channels are matched by tvg-id or normalized name),
+ * in .FlumIPTVData/preferred-sources.json. That mirror is
+ * tried first the next time the channel is opened.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cacheManager } = require('./cache-manager');
+
+// Channels remembered per playlist; the least recently used are dropped
+const MAX_SOURCES_PER_PLAYLIST = 500;
+
+class PreferredSources {
+    constructor() {
+        this.sourcesFile = null;
+
+        // Playlist id -> { channel key: url }, most recent last
+        this.playlists = {};
+    }
+
+    /**
+     * Initialize preferred source storage
+     */
+    initialize() {
+        this.sourcesFile = path.join(cacheManager.getCacheDir(), 'preferred-sources.json');
+        this.playlists = this.load();
+    }
+
+    /**
+     * Load preferred sources from file
+     * @returns {Object} Playlist id -> sources
+     */
+    load() {
+        try {
+            if (this.sourcesFile && fs.existsSync(this.sourcesFile)) {
+                const content = fs.readFileSync(this.sourcesFile, 'utf-8');
+                const data = JSON.parse(content);
+                return data.playlists && typeof data.playlists === 'object' ? data.playlists : {};
+            }
+        } catch (error) {
+            console.error('[PreferredSources] Error loading preferred sources:', error);
+        }
+        return {};
+    }
+
+    /**
+     * Save preferred sources to file
+     */
+    save() {
+        try {
+            if (this.sourcesFile) {
+                fs.writeFileSync(this.sourcesFile, JSON.stringify({
+                    playlists: this.playlists
+                }));
+            }
+        } catch (error) {
+            console.error('[PreferredSources] Error saving preferred sources:', error);
+        }
+    }
+
+    /**
+     * Get the preferred sources of a playlist
+     * @param {string} playlistId - Playlist ID
+     * @returns {Object} Channel key -> URL
+     */
+    get(playlistId) {
+        return { ...this.playlists[playlistId] };
+    }
+
+    /**
+     * Remember the working source of a channel
+     * @param {string} playlistId - Playlist ID
+     * @param {string} channelKey - Channel match key
+     * @param {string} url - Working URL
+     */
+    set(playlistId, channelKey, url) {
+        const sources = this.playlists[playlistId] || {};
+        if (sources[channelKey] === url) return;
+
+        // Re-insert so the most recent entries are kept when trimming
+        delete sources[channelKey];
+        sources[channelKey] = url;
+
+        const keys = Object.keys(sources);
+        keys.slice(0, Math.max(0, keys.length - MAX_SOURCES_PER_PLAYLIST)).forEach(key => delete sources[key]);
+
+        this.playlists[playlistId] = sources;
+        this.save();
+    }
+
+    /**
+     * Forget the sources of a deleted playlist
+     * @param {string} playlistId - Playlist ID
+     */
+    removePlaylist(playlistId) {
+        if (this.playlists[playlistId]) {
+            delete this.playlists[playlistId];
+            this.save();
+        }
+    }
+}
+
+// Singleton instance
+const preferredSources = new PreferredSources();
+
+module.exports = { PreferredSources, preferredSources };
@@ -32,7 +32,10 @@ class SettingsCache {
             player: {
                 volume: 1.0,
                 muted: false,
-                autoplay: true
+                autoplay: true,
+                reconnectAttempts: 5,
+                timeshiftMinutes: 0,
+                channelNavigation: 'group'
             },
             ui: {
                 sidebarWidth: 320,
@@ -51,7 +54,17 @@ class SettingsCache {
                 name: null
             },
             recording: {
-                preset: 'medium'
+                method: 'direct',
+                preset: 'medium',
+                format: 'webm',
+                paddingBefore: 2,
+                paddingAfter: 5,
+                maxFileSize: 0,
+                maxDuration: 0,
+                splitMinutes: 0,
+                directory: '',
+                filenameTemplate: '{channel}_{date}_{time}_{programme}',
+                askLocation: false
             },
             history: [],
             recentPlaylists: [],
@@ -0,0 +1,143 @@
+/**
+ * WatchProgress - Playback Position Persistence
+ *
+ * Remembers where on-demand content (movies, episodes,
+ * VOD streams) was left so it can be resumed later.
+ * Stored in .FlumIPTVData/progress.json keyed by URL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cacheManager } = require('./cache-manager');
+
+class WatchProgress {
+    constructor() {
+        this.progressFile = null;
+        this.entries = [];
+
+        // Positions this close to the start or end are not worth resuming
+        this.minPosition = 30;
+        this.finishedRatio = 0.95;
+        this.maxEntries = 50;
+    }
+
+    /**
+     * Initialize watch progress storage
+     */
+    initialize() {
+        this.progressFile = path.join(cacheManager.getCacheDir(), 'progress.json');
+        this.entries = this.load();
+    }
+
+    /**
+     * Load entries from file
+     * @returns {Array} Progress entries
+     */
+    load() {
+        try {
+            if (this.progressFile && fs.existsSync(this.progressFile)) {
+                const content = fs.readFileSync(this.progressFile, 'utf-8');
+                const data = JSON.parse(content);
+                return Array.isArray(data.entries) ? data.entries : [];
+            }
+        } catch (error) {
+            console.error('[WatchProgress] Error loading progress:', error);
+        }
+        return [];
+    }
+
+    /**
+     * Save entries to file
+     */
+    save() {
+        try {
+            if (this.progressFile) {
+                fs.writeFileSync(this.progressFile, JSON.stringify({
+                    entries: this.entries
+                }, null, 2));
+            }
+        } catch (error) {
+            console.error('[WatchProgress] Error saving progress:', error);
+        }
+    }
+
+    /**
+     * Get saved progress for a URL
+     * @param {string} url - Media URL
+     * @returns {Object|null} Progress entry
+     */
+    get(url) {
+        return this.entries.find(e => e.url === url) || null;
+    }
+
+    /**
+     * Store the playback position of an item.
+     * Finished items and positions near the start are removed.
+     * @param {Object} entry - { url, name, logo, group, type, playlistId, position, duration }
+     * @returns {Object|null} Stored entry
+     */
+    update(entry) {
+        if (!entry?.url) return null;
+
+        this.entries = this.entries.filter(e => e.url !== entry.url);
+
+        const { position, duration } = entry;
+        if (!(duration > 0) || position < this.minPosition || position >= duration * this.finishedRatio) {
+            this.save();
+            return null;
+        }
+
+        const stored = {
+            id: entry.id || null,
+            url: entry.url,
+            name: entry.name || '',
+            logo: entry.logo || null,
+            group: entry.group || '',
+            type: entry.type || null,
+            playlistId: entry.playlistId || null,
+            position: Math.floor(position),
+            duration: Math.floor(duration),
+            updatedAt: Date.now()
+        };
+
+        // Most recent first
+        this.entries.unshift(stored);
+        if (this.entries.length > this.maxEntries) {
+            this.entries = this.entries.slice(0, this.maxEntries);
+        }
+
+        this.save();
+        return stored;
+    }
+
+    /**
+     * Remove saved progress for a URL
+     * @param {string} url - Media URL
+     */
+    remove(url) {
+        this.entries = this.entries.filter(e => e.url !== url);
+        this.save();
+    }
+
+    /**
+     * Remove all entries of a playlist
+     * @param {string} playlistId - Playlist ID
+     */
+    removeByPlaylist(playlistId) {
+        this.entries = this.entries.filter(e => e.playlistId !== playlistId);
+        this.save();
+    }
+
+    /**
+     * Get unfinished items, most recent first
+     * @returns {Array} Progress entries
+     */
+    getAll() {
+        return [...this.entries];
+    }
+}
+
+// Singleton instance
+const watchProgress = new WatchProgress();
+
+module.exports = { WatchProgress, watchProgress };
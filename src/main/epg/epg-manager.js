@@ -0,0 +1,616 @@
+/**
+ * EpgManager - Electronic Programme Guide Module
+ *
+ * Downloads XMLTV guides (local file or URL, plain or gzip),
+ * stores them in .FlumIPTVData/epg and maps programmes to
+ * playlist channels by tvg-id, falling back to tvg-name /
+ * display-name matching.
+ *
+ * Each guide is a folder with a small channel index and one
+ * programme file per channel. Only the index stays in memory;
+ * programmes are read asynchronously for the channels asked
+ * for, and the most recently used ones are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { cacheManager } = require('../cache/cache-manager');
+const { XmltvParser } = require('./xmltv-parser');
+
+class EpgManager {
+    constructor() {
+        this.indexFile = null;
+        this.index = { sources: {} };
+
+        // Loaded guide indexes by source ID (promises)
+        this.guides = new Map();
+        this.pendingRefreshes = new Map();
+
+        // Recently read programme lists by `${sourceId}:${guideId}` (promises)
+        this.programmeCache = new Map();
+        this.maxCachedChannels = 500;
+
+        // Now/next of each guide channel by `${sourceId}:${guideId}`,
+        // valid until the current programme ends
+        this.nowNextCache = new Map();
+
+        // Guides older than this are downloaded again
+        this.maxAge = 12 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Initialize EPG manager
+     */
+    initialize() {
+        this.indexFile = path.join(cacheManager.getEpgDir(), 'index.json');
+        this.index = this.loadIndex();
+    }
+
+    /**
+     * Load guide index from file
+     * @returns {Object} Index object
+     */
+    loadIndex() {
+        try {
+            if (this.indexFile && fs.existsSync(this.indexFile)) {
+                const content = fs.readFileSync(this.indexFile, 'utf-8');
+                const data = JSON.parse(content);
+                return { sources: data.sources || {} };
+            }
+        } catch (error) {
+            console.error('[EpgManager] Error loading index:', error);
+        }
+        return { sources: {} };
+    }
+
+    /**
+     * Save guide index to file
+     */
+    saveIndex() {
+        try {
+            if (this.indexFile) {
+                fs.writeFileSync(this.indexFile, JSON.stringify(this.index, null, 2));
+            }
+        } catch (error) {
+            console.error('[EpgManager] Error saving index:', error);
+        }
+    }
+
+    /**
+     * Get the guide source configured for a playlist
+     * Falls back to the url-tvg / x-tvg-url of the playlist header
+     * @param {Object} playlist - Playlist record
+     * @returns {string|null} File path or URL
+     */
+    getSourceForPlaylist(playlist) {
+        if (!playlist) return null;
+        if (playlist.epgUrl) return playlist.epgUrl;
+
+        const headerUrls = playlist.header ? playlist.header.tvgUrls : null;
+        return headerUrls && headerUrls.length > 0 ? headerUrls[0] : null;
+    }
+
+    /**
+     * Generate a stable ID for a guide source
+     * @param {string} source - File path or URL
+     * @returns {string} Source ID
+     */
+    getSourceId(source) {
+        return crypto.createHash('md5').update(source).digest('hex');
+    }
+
+    /**
+     * Get the cached guide folder of a source
+     * @param {string} source - File path or URL
+     * @returns {string} Folder path
+     */
+    getGuideDir(source) {
+        return path.join(cacheManager.getEpgDir(), this.getSourceId(source));
+    }
+
+    /**
+     * Check if a source is a remote URL
+     * @param {string} source - File path or URL
+     * @returns {boolean}
+     */
+    isRemote(source) {
+        return /^https?:\/\//i.test(source);
+    }
+
+    /**
+     * Check if a cached guide needs to be refreshed
+     * @param {string} source - File path or URL
+     * @returns {boolean}
+     */
+    isStale(source) {
+        const entry = this.index.sources[this.getSourceId(source)];
+        if (!entry || !fs.existsSync(path.join(this.getGuideDir(source), 'index.json'))) return true;
+
+        if (this.isRemote(source)) {
+            return Date.now() - entry.updatedAt > this.maxAge;
+        }
+
+        // Local files are re-parsed when modified
+        try {
+            return fs.statSync(source).mtimeMs > entry.updatedAt;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Download (if needed) and index a guide source
+     * @param {string} source - File path or URL
+     * @param {boolean} force - Ignore cache age
+     * @returns {Promise<Object>} Guide summary
+     */
+    async refresh(source, force = false) {
+        if (!force && !this.isStale(source)) {
+            return this.index.sources[this.getSourceId(source)];
+        }
+
+        // Reuse an in-flight refresh of the same source
+        if (this.pendingRefreshes.has(source)) {
+            return this.pendingRefreshes.get(source);
+        }
+
+        const refreshPromise = this._refreshGuide(source);
+        this.pendingRefreshes.set(source, refreshPromise);
+
+        try {
+            return await refreshPromise;
+        } finally {
+            this.pendingRefreshes.delete(source);
+        }
+    }
+
+    /**
+     * Internal refresh implementation
+     * @param {string} source - File path or URL
+     * @returns {Promise<Object>} Guide summary
+     */
+    async _refreshGuide(source) {
+        const sourceId = this.getSourceId(source);
+        let filePath = source;
+        let tempPath = null;
+
+        console.log(`[EpgManager] Loading guide: ${source}`);
+
+        try {
+            if (this.isRemote(source)) {
+                tempPath = path.join(cacheManager.getEpgDir(), `${sourceId}.download`);
+                await this.download(source, tempPath);
+                filePath = tempPath;
+            }
+
+            const guide = await this.parseFile(filePath);
+            const index = await this.writeGuide(source, guide);
+
+            // Later lookups read the new files
+            this.guides.set(sourceId, Promise.resolve(this.buildLookup(index)));
+            this.clearProgrammeCache(sourceId);
+
+            const summary = {
+                source,
+                updatedAt: Date.now(),
+                channelCount: Object.keys(guide.channels).length,
+                programmeCount: Object.values(guide.programmes).reduce((sum, list) => sum + list.length, 0)
+            };
+
+            this.index.sources[sourceId] = summary;
+            this.saveIndex();
+
+            console.log(`[EpgManager] Indexed ${summary.programmeCount} programmes for ${summary.channelCount} channels`);
+            return summary;
+        } finally {
+            if (tempPath && fs.existsSync(tempPath)) {
+                fs.unlinkSync(tempPath);
+            }
+        }
+    }
+
+    /**
+     * Write a parsed guide as a channel index and one programme file
+     * per channel, replacing the previous copy of the source
+     * @param {string} source - File path or URL
+     * @param {Object} guide - Parsed guide
+     * @returns {Promise<Object>} Guide index { channels, files }
+     */
+    async writeGuide(source, guide) {
+        const guideDir = this.getGuideDir(source);
+        const tempDir = `${guideDir}.tmp`;
+        const index = { channels: guide.channels, files: {} };
+
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+        await fs.promises.mkdir(tempDir, { recursive: true });
+
+        try {
+            let count = 0;
+            for (const [id, list] of Object.entries(guide.programmes)) {
+                const file = `${count++}.json`;
+                await fs.promises.writeFile(path.join(tempDir, file), JSON.stringify(list));
+                index.files[id] = file;
+            }
+            await fs.promises.writeFile(path.join(tempDir, 'index.json'), JSON.stringify(index));
+
+            await fs.promises.rm(guideDir, { recursive: true, force: true });
+            await fs.promises.rename(tempDir, guideDir);
+        } catch (error) {
+            await fs.promises.rm(tempDir, { recursive: true, force: true });
+            throw error;
+        }
+
+        // Guides of older versions were a single JSON file
+        await fs.promises.rm(`${guideDir}.json`, { force: true });
+        return index;
+    }
+
+    /**
+     * Download a remote guide to disk
+     * @param {string} url - Guide URL
+     * @param {string} targetPath - Destination file
+     */
+    async download(url, targetPath) {
+        const response = await fetch(url, {
+            headers: {
+                'User-Agent': 'FlumIPTV/1.0'
+            }
+        });
+
+        if (!response.ok || !response.body) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        await pipeline(Readable.fromWeb(response.body), fs.createWriteStream(targetPath));
+    }
+
+    /**
+     * Check gzip magic bytes of a file
+     * @param {string} filePath - File to inspect
+     * @returns {boolean}
+     */
+    isGzipFile(filePath) {
+        const header = Buffer.alloc(2);
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            fs.readSync(fd, header, 0, 2, 0);
+        } finally {
+            fs.closeSync(fd);
+        }
+        return header[0] === 0x1f && header[1] === 0x8b;
+    }
+
+    /**
+     * Parse an XMLTV file into an indexed guide
+     * @param {string} filePath - XMLTV file (plain or gzip)
+     * @returns {Promise<Object>} Guide with channels and programmes by channel
+     */
+    async parseFile(filePath) {
+        const guide = { channels: {}, programmes: {} };
+        const parser = new XmltvParser();
+
+        parser.onChannel = (channel) => {
+            guide.channels[channel.id] = { names: channel.names, icon: channel.icon };
+        };
+
+        parser.onProgramme = (programme) => {
+            const { channel, ...entry } = programme;
+            if (!guide.programmes[channel]) {
+                guide.programmes[channel] = [];
+            }
+            guide.programmes[channel].push(entry);
+        };
+
+        let stream = fs.createReadStream(filePath);
+        if (this.isGzipFile(filePath)) {
+            stream = stream.pipe(zlib.createGunzip());
+        }
+        stream.setEncoding('utf8');
+
+        for await (const chunk of stream) {
+            parser.write(chunk);
+        }
+        parser.end();
+
+        // Sort programmes and fill missing stop times from the next start
+        for (const list of Object.values(guide.programmes)) {
+            list.sort((a, b) => a.start - b.start);
+            for (let i = 0; i < list.length; i++) {
+                if (!list[i].stop) {
+                    list[i].stop = list[i + 1] ? list[i + 1].start : list[i].start + 60 * 60 * 1000;
+                }
+            }
+        }
+
+        return guide;
+    }
+
+    /**
+     * Normalize a channel name for fuzzy matching
+     * @param {string} name - Channel or display name
+     * @returns {string} Normalized key
+     */
+    normalizeName(name) {
+        return (name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\b(hd|fhd|uhd|sd|4k|hevc)\b/g, '')
+            .replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Build lookup tables for a guide index
+     * @param {Object} index - Guide index { channels, files }
+     * @returns {Object} Index with id and name lookups
+     */
+    buildLookup(index) {
+        const idIndex = new Map();
+        const nameIndex = new Map();
+
+        const channelIds = new Set([...Object.keys(index.channels), ...Object.keys(index.files)]);
+        for (const id of channelIds) {
+            idIndex.set(id.toLowerCase(), id);
+
+            const names = index.channels[id] ? index.channels[id].names : [];
+            for (const name of [...names, id]) {
+                const key = this.normalizeName(name);
+                if (key && !nameIndex.has(key)) {
+                    nameIndex.set(key, id);
+                }
+            }
+        }
+
+        return { sourceId: null, files: index.files, idIndex, nameIndex };
+    }
+
+    /**
+     * Get the index of a guide, reading it from disk if needed
+     * @param {string} source - File path or URL
+     * @returns {Promise<Object|null>} Guide lookup or null
+     */
+    getGuide(source) {
+        const sourceId = this.getSourceId(source);
+        if (!this.guides.has(sourceId)) {
+            const indexPath = path.join(this.getGuideDir(source), 'index.json');
+            const lookup = fs.promises.readFile(indexPath, 'utf-8')
+                .then(content => this.buildLookup(JSON.parse(content)))
+                .catch(error => {
+                    if (error.code !== 'ENOENT') {
+                        console.error('[EpgManager] Error reading guide:', error);
+                    }
+                    // Try again on the next request
+                    this.guides.delete(sourceId);
+                    return null;
+                });
+            this.guides.set(sourceId, lookup);
+        }
+
+        return this.guides.get(sourceId).then(lookup => lookup && { ...lookup, sourceId });
+    }
+
+    /**
+     * Read the programmes of one guide channel
+     * @param {Object} lookup - Guide lookup
+     * @param {string} source - File path or URL
+     * @param {string} guideId - Guide channel ID
+     * @returns {Promise<Array>} Programmes sorted by start
+     */
+    getChannelProgrammes(lookup, source, guideId) {
+        const file = lookup.files[guideId];
+        if (!file) return Promise.resolve([]);
+
+        const key = `${lookup.sourceId}:${guideId}`;
+        let programmes = this.programmeCache.get(key);
+        if (programmes) {
+            // Move to the most recently used end
+            this.programmeCache.delete(key);
+        } else {
+            programmes = fs.promises.readFile(path.join(this.getGuideDir(source), file), 'utf-8')
+                .then(content => JSON.parse(content))
+                .catch(error => {
+                    console.error('[EpgManager] Error reading programmes:', error);
+                    this.programmeCache.delete(key);
+                    return [];
+                });
+        }
+        this.programmeCache.set(key, programmes);
+
+        while (this.programmeCache.size > this.maxCachedChannels) {
+            this.programmeCache.delete(this.programmeCache.keys().next().value);
+        }
+        return programmes;
+    }
+
+    /**
+     * Forget the cached programmes of a source
+     * @param {string} sourceId - Source ID
+     */
+    clearProgrammeCache(sourceId) {
+        for (const cache of [this.programmeCache, this.nowNextCache]) {
+            for (const key of cache.keys()) {
+                if (key.startsWith(`${sourceId}:`)) {
+                    cache.delete(key);
+                }
+            }
+        }
+    }
+
+    /**
+     * Find the guide channel ID for a playlist channel
+     * @param {Object} lookup - Guide lookup
+     * @param {Object} channel - Channel with tvgId, tvgName and name
+     * @returns {string|null} Guide channel ID
+     */
+    resolveChannel(lookup, channel) {
+        if (channel.tvgId) {
+            if (lookup.files[channel.tvgId]) return channel.tvgId;
+            const byId = lookup.idIndex.get(channel.tvgId.toLowerCase());
+            if (byId) return byId;
+        }
+
+        for (const name of [channel.tvgName, channel.name]) {
+            const key = this.normalizeName(name);
+            if (key && lookup.nameIndex.has(key)) {
+                return lookup.nameIndex.get(key);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find the index of the programme airing at a given time
+     * @param {Array} list - Programmes sorted by start
+     * @param {number} time - Epoch milliseconds
+     * @returns {number} Index of the first programme ending after time
+     */
+    findProgrammeIndex(list, time) {
+        let low = 0;
+        let high = list.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (list[mid].stop <= time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Get the guide time offset of a channel (tvg-shift, in hours)
+     * @param {Object} channel - Channel with optional tvgShift
+     * @returns {number} Offset in milliseconds
+     */
+    getShift(channel) {
+        return (channel.tvgShift || 0) * 60 * 60 * 1000;
+    }
+
+    /**
+     * Apply a time offset to a programme
+     * @param {Object} programme - Programme entry
+     * @param {number} shift - Offset in milliseconds
+     * @returns {Object} Shifted programme
+     */
+    shiftProgramme(programme, shift) {
+        if (!shift) return programme;
+        return { ...programme, start: programme.start + shift, stop: programme.stop + shift };
+    }
+
+    /**
+     * Get current and next programme for each channel
+     * @param {string} source - File path or URL
+     * @param {Array} channels - Channels with id, tvgId, tvgName, name and tvgShift
+     * @param {number} time - Reference time (defaults to now)
+     * @returns {Promise<Object>} Map of channel ID to { now, next }
+     */
+    async getNowNext(source, channels, time = Date.now()) {
+        const result = {};
+        const lookup = await this.getGuide(source);
+        if (!lookup) return result;
+
+        for (const channel of channels) {
+            const guideId = this.resolveChannel(lookup, channel);
+            if (!guideId) continue;
+
+            // Look up in guide time, report in shifted time
+            const shift = this.getShift(channel);
+            const { now, next } = await this.getGuideNowNext(lookup, source, guideId, time - shift);
+            if (!now && !next) continue;
+
+            result[channel.id] = {
+                now: now ? this.shiftProgramme(now, shift) : null,
+                next: next ? this.shiftProgramme(next, shift) : null
+            };
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the current and next programme of a guide channel,
+     * reading its programmes only when the cached pair expired
+     * @param {Object} lookup - Guide lookup
+     * @param {string} source - File path or URL
+     * @param {string} guideId - Guide channel ID
+     * @param {number} time - Guide time (epoch ms)
+     * @returns {Promise<Object>} { now, next } summaries
+     */
+    async getGuideNowNext(lookup, source, guideId, time) {
+        const key = `${lookup.sourceId}:${guideId}`;
+        const cached = this.nowNextCache.get(key);
+        if (cached && time >= cached.from && time < cached.until) {
+            return cached;
+        }
+
+        const list = await this.getChannelProgrammes(lookup, source, guideId);
+        const index = this.findProgrammeIndex(list, time);
+        const current = list[index] && list[index].start <= time ? list[index] : null;
+        const upcoming = current ? list[index + 1] : list[index];
+
+        const entry = {
+            now: current ? this.summarize(current) : null,
+            next: upcoming ? this.summarize(upcoming) : null,
+            from: current ? current.start : (list[index - 1]?.stop ?? -Infinity),
+            until: current ? current.stop : (upcoming ? upcoming.start : Infinity)
+        };
+        this.nowNextCache.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Get programmes overlapping a time range for each channel
+     * @param {string} source - File path or URL
+     * @param {Array} channels - Channels with id, tvgId, tvgName, name and tvgShift
+     * @param {number} from - Range start (epoch ms)
+     * @param {number} to - Range end (epoch ms)
+     * @returns {Promise<Object>} Map of channel ID to programme array
+     */
+    async getProgrammes(source, channels, from, to) {
+        const result = {};
+        const lookup = await this.getGuide(source);
+        if (!lookup) return result;
+
+        for (const channel of channels) {
+            const guideId = this.resolveChannel(lookup, channel);
+            const list = guideId ? await this.getChannelProgrammes(lookup, source, guideId) : null;
+            if (!list || list.length === 0) continue;
+
+            const shift = this.getShift(channel);
+            const programmes = [];
+            for (let i = this.findProgrammeIndex(list, from - shift); i < list.length && list[i].start < to - shift; i++) {
+                programmes.push(this.shiftProgramme(list[i], shift));
+            }
+
+            if (programmes.length > 0) {
+                result[channel.id] = programmes;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Reduce a programme to the fields needed for now/next display
+     * @param {Object} programme - Programme entry
+     * @returns {Object} Summary
+     */
+    summarize(programme) {
+        return {
+            title: programme.title,
+            start: programme.start,
+            stop: programme.stop
+        };
+    }
+}
+
+// Singleton instance
+const epgManager = new EpgManager();
+
+module.exports = { EpgManager, epgManager };
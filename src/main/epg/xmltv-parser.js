@@ -0,0 +1,218 @@
+/**
+ * XmltvParser - Streaming XMLTV Guide Parser
+ *
+ * Incrementally parses XMLTV documents chunk by chunk so that
+ * large multi-day guides never have to be held in memory as a
+ * single string. Emits channel and programme objects through
+ * callbacks as soon as each element is complete.
+ */
+
+class XmltvParser {
+    constructor() {
+        this.buffer = '';
+
+        // Event callbacks
+        this.onChannel = null;
+        this.onProgramme = null;
+    }
+
+    /**
+     * Feed a chunk of XML text into the parser
+     * @param {string} text - XML text chunk
+     */
+    write(text) {
+        this.buffer += text;
+
+        const tagRegex = /<(channel|programme)\b/g;
+        let position = 0;
+
+        while (true) {
+            tagRegex.lastIndex = position;
+            const match = tagRegex.exec(this.buffer);
+
+            if (!match) {
+                // Keep a small tail in case a tag name was split between chunks
+                position = Math.max(position, this.buffer.length - 16);
+                break;
+            }
+
+            const tagName = match[1];
+            const openEnd = this.buffer.indexOf('>', match.index);
+            if (openEnd === -1) {
+                position = match.index;
+                break;
+            }
+
+            let elementEnd;
+            if (this.buffer[openEnd - 1] === '/') {
+                // Self-closing element
+                elementEnd = openEnd + 1;
+            } else {
+                const closeIndex = this.buffer.indexOf(`</${tagName}>`, openEnd);
+                if (closeIndex === -1) {
+                    position = match.index;
+                    break;
+                }
+                elementEnd = closeIndex + tagName.length + 3;
+            }
+
+            const openTag = this.buffer.slice(match.index, openEnd + 1);
+            const body = this.buffer.slice(openEnd + 1, elementEnd);
+            this.handleElement(tagName, openTag, body);
+
+            position = elementEnd;
+        }
+
+        this.buffer = this.buffer.slice(position);
+    }
+
+    /**
+     * Signal end of input
+     */
+    end() {
+        this.buffer = '';
+    }
+
+    /**
+     * Handle a complete channel or programme element
+     * @param {string} tagName - 'channel' or 'programme'
+     * @param {string} openTag - Opening tag including attributes
+     * @param {string} body - Element inner XML
+     */
+    handleElement(tagName, openTag, body) {
+        const attributes = XmltvParser.parseAttributes(openTag);
+
+        if (tagName === 'channel') {
+            if (!attributes.id || !this.onChannel) return;
+
+            this.onChannel({
+                id: attributes.id,
+                names: XmltvParser.getChildTexts(body, 'display-name'),
+                icon: XmltvParser.getChildAttribute(body, 'icon', 'src')
+            });
+            return;
+        }
+
+        if (!attributes.channel || !this.onProgramme) return;
+
+        const start = XmltvParser.parseTime(attributes.start);
+        if (start === null) return;
+
+        const programme = {
+            channel: attributes.channel,
+            start,
+            stop: XmltvParser.parseTime(attributes.stop),
+            title: XmltvParser.getChildTexts(body, 'title')[0] || ''
+        };
+
+        const subTitle = XmltvParser.getChildTexts(body, 'sub-title')[0];
+        if (subTitle) programme.subTitle = subTitle;
+
+        const desc = XmltvParser.getChildTexts(body, 'desc')[0];
+        if (desc) programme.desc = desc;
+
+        const categories = XmltvParser.getChildTexts(body, 'category');
+        if (categories.length > 0) programme.categories = categories;
+
+        const icon = XmltvParser.getChildAttribute(body, 'icon', 'src');
+        if (icon) programme.icon = icon;
+
+        this.onProgramme(programme);
+    }
+
+    /**
+     * Parse attributes from an opening tag
+     * @param {string} tag - Opening tag
+     * @returns {Object} Attributes object
+     */
+    static parseAttributes(tag) {
+        const attributes = {};
+        const regex = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+
+        while ((match = regex.exec(tag)) !== null) {
+            attributes[match[1]] = XmltvParser.decodeText(match[2] !== undefined ? match[2] : match[3]);
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Get text content of all direct children with a tag name
+     * @param {string} xml - Inner XML to search
+     * @param {string} tagName - Child tag name
+     * @returns {string[]} Decoded text values
+     */
+    static getChildTexts(xml, tagName) {
+        const values = [];
+        const regex = new RegExp(`<${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`, 'g');
+        let match;
+
+        while ((match = regex.exec(xml)) !== null) {
+            const value = XmltvParser.decodeText(match[1]);
+            if (value) values.push(value);
+        }
+
+        return values;
+    }
+
+    /**
+     * Get an attribute of the first child with a tag name
+     * @param {string} xml - Inner XML to search
+     * @param {string} tagName - Child tag name
+     * @param {string} attribute - Attribute name
+     * @returns {string|null} Attribute value or null
+     */
+    static getChildAttribute(xml, tagName, attribute) {
+        const match = new RegExp(`<${tagName}\\b[^>]*>`).exec(xml);
+        if (!match) return null;
+        return XmltvParser.parseAttributes(match[0])[attribute] || null;
+    }
+
+    /**
+     * Decode XML entities and CDATA sections
+     * @param {string} text - Raw XML text
+     * @returns {string} Decoded text
+     */
+    static decodeText(text) {
+        if (!text) return '';
+
+        return text
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&')
+            .trim();
+    }
+
+    /**
+     * Parse an XMLTV timestamp (e.g. "20240101203000 +0100")
+     * @param {string} value - XMLTV time string
+     * @returns {number|null} Epoch milliseconds or null
+     */
+    static parseTime(value) {
+        if (!value) return null;
+
+        const match = /^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?\s*([+-]\d{2}:?\d{2})?/.exec(value.trim());
+        if (!match) return null;
+
+        const [, year, month, day, hour = '0', minute = '0', second = '0', zone] = match;
+        let time = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+
+        // Convert from the declared offset to UTC (no offset means UTC)
+        if (zone) {
+            const digits = zone.replace(':', '');
+            const sign = digits[0] === '-' ? -1 : 1;
+            const offsetMinutes = parseInt(digits.slice(1, 3), 10) * 60 + parseInt(digits.slice(3, 5), 10);
+            time -= sign * offsetMinutes * 60 * 1000;
+        }
+
+        return time;
+    }
+}
+
+module.exports = { XmltvParser };
@@ -5,7 +5,7 @@
  * Each handler is modular and can be easily extended.
  */
 
-const { ipcMain, dialog, shell, systemPreferences, nativeTheme } = require('electron');
+const { app, ipcMain, dialog, shell, systemPreferences, nativeTheme } = require('electron');
 const fs = require('fs');
 const path = require('path');
 const { cacheManager } = require('./cache/cache-manager');
@@ -13,6 +13,18 @@ const { iconCache } = require('./cache/icon-cache');
 const { settingsCache } = require('./cache/settings-cache');
 const { playlistStorage } = require('./cache/playlist-storage');
 const { favoritesManager } = require('./cache/favorites-manager');
+const { watchProgress } = require('./cache/watch-progress');
+const { channelIdentity } = require('./cache/channel-identity');
+const { channelNumbers } = require('./cache/channel-numbers');
+const { preferredSources } = require('./cache/preferred-sources');
+const { epgManager } = require('./epg/epg-manager');
+const { XtreamClient } = require('./playlist/xtream-client');
+const { streamProbe } = require('./player/stream-probe');
+const { streamHeaders } = require('./player/stream-headers');
+const { timeshiftBuffer } = require('./player/timeshift-buffer');
+const { directRecorder, DirectRecorder } = require('./recording/direct-recorder');
+const { recordingJobs } = require('./recording/recording-jobs');
+const { captureWriter } = require('./recording/capture-writer');
 
 /**
  * Register all IPC handlers
@@ -25,6 +37,21 @@ function registerIpcHandlers(mainWindow) {
     // Initialize favorites manager
     favoritesManager.initialize();
 
+    // Initialize EPG manager
+    epgManager.initialize();
+
+    // Initialize watch progress
+    watchProgress.initialize();
+
+    // Initialize stable channel ids
+    channelIdentity.initialize();
+
+    // Initialize custom channel numbers
+    channelNumbers.initialize();
+
+    // Initialize last working mirrors
+    preferredSources.initialize();
+
     // ========== Playlist Handlers ==========
 
     // Open file dialog for playlist selection
@@ -84,26 +111,45 @@ function registerIpcHandlers(mainWindow) {
 
     // Add playlist
     ipcMain.handle('playlist:add', async (event, playlistData) => {
-        // Load content to count channels
+        // Load content to count channels. The header metadata of M3U
+        // playlists is stored when the renderer first parses them.
         let content = '';
         let channelCount = 0;
-
-        try {
-            if (playlistData.source === 'file') {
-                content = fs.readFileSync(playlistData.path, 'utf-8');
-            } else {
-                const response = await fetch(playlistData.path);
-                content = await response.text();
+        let header = null;
+
+        if (playlistData.source === 'xtream') {
+            // Wrong credentials or an unreachable server are not saved
+            const client = new XtreamClient(playlistData.xtream);
+            playlistData.path = client.server;
+            playlistData.xtream = { ...playlistData.xtream, server: client.server };
+
+            try {
+                const result = await client.loadLiveChannels();
+                channelCount = result.channels.length;
+                header = result.header;
+            } catch (error) {
+                console.error('[IPC] Error loading Xtream account:', error);
+                return { error: error.message };
+            }
+        } else {
+            try {
+                if (playlistData.source === 'file') {
+                    content = fs.readFileSync(playlistData.path, 'utf-8');
+                } else {
+                    const response = await fetch(playlistData.path);
+                    content = await response.text();
+                }
+                // Count EXTINF lines for channel count
+                channelCount = (content.match(/#EXTINF/gi) || []).length;
+            } catch (error) {
+                console.error('[IPC] Error loading playlist content:', error);
             }
-            // Count EXTINF lines for channel count
-            channelCount = (content.match(/#EXTINF/gi) || []).length;
-        } catch (error) {
-            console.error('[IPC] Error loading playlist content:', error);
         }
 
         const playlist = playlistStorage.add({
             ...playlistData,
-            channelCount
+            channelCount,
+            header
         });
 
         return playlist;
@@ -117,17 +163,61 @@ function registerIpcHandlers(mainWindow) {
     // Delete playlist
     ipcMain.handle('playlist:delete', async (event, id) => {
         const result = playlistStorage.delete(id);
-        // Clear favorites tied to the deleted playlist's channels
-        favoritesManager.clearAll();
+        watchProgress.removeByPlaylist(id);
+        channelIdentity.removePlaylist(id);
+        channelNumbers.removePlaylist(id);
+        preferredSources.removePlaylist(id);
+        favoritesManager.removePlaylist(id);
         return result;
     });
 
+    // Stable ids for the channels of a playlist
+    ipcMain.handle('playlist:resolveChannelIds', async (event, id, channels) => {
+        try {
+            return channelIdentity.resolve(id, channels);
+        } catch (error) {
+            console.error('[IPC] Channel id error:', error);
+            return { error: error.message };
+        }
+    });
+
+    // Channel numbers set by the user for a playlist
+    ipcMain.handle('playlist:getChannelNumbers', async (event, id) => {
+        return channelNumbers.get(id);
+    });
+
+    // Renumber a channel (null restores its default number)
+    ipcMain.handle('playlist:setChannelNumber', async (event, id, channelId, number) => {
+        try {
+            channelNumbers.set(id, channelId, number);
+            return true;
+        } catch (error) {
+            return { error: error.message };
+        }
+    });
+
+    // Last working mirror of each channel of a playlist
+    ipcMain.handle('playlist:getPreferredSources', async (event, id) => {
+        return preferredSources.get(id);
+    });
+
+    // Remember the mirror that played a channel
+    ipcMain.handle('playlist:setPreferredSource', async (event, id, channelKey, url) => {
+        preferredSources.set(id, channelKey, url);
+        return true;
+    });
+
     // Refresh playlist
     ipcMain.handle('playlist:refresh', async (event, id) => {
         const playlist = playlistStorage.getById(id);
         if (!playlist) return null;
 
         try {
+            if (playlist.source === 'xtream') {
+                const { header, channels } = await new XtreamClient(playlist.xtream).loadLiveChannels();
+                return playlistStorage.update(id, { channelCount: channels.length, header });
+            }
+
             let content = '';
             if (playlist.source === 'file') {
                 content = fs.readFileSync(playlist.path, 'utf-8');
@@ -150,6 +240,16 @@ function registerIpcHandlers(mainWindow) {
         if (!playlist) return null;
 
         try {
+            // Xtream playlists come as ready-made channel objects
+            if (playlist.source === 'xtream') {
+                const { header, channels } = await new XtreamClient(playlist.xtream).loadLiveChannels();
+                if (channels.length !== playlist.channelCount ||
+                    JSON.stringify(header) !== JSON.stringify(playlist.header || null)) {
+                    return { ...playlistStorage.update(id, { channelCount: channels.length, header }), channels };
+                }
+                return { ...playlist, channels };
+            }
+
             let content = '';
             if (playlist.source === 'file') {
                 content = fs.readFileSync(playlist.path, 'utf-8');
@@ -157,6 +257,7 @@ function registerIpcHandlers(mainWindow) {
                 const response = await fetch(playlist.path);
                 content = await response.text();
             }
+
             return { ...playlist, content };
         } catch (error) {
             console.error('[IPC] Error loading playlist content:', error);
@@ -164,6 +265,63 @@ function registerIpcHandlers(mainWindow) {
         }
     });
 
+    // ========== Xtream Handlers ==========
+
+    // Get the movie or series catalogue of an Xtream playlist
+    ipcMain.handle('xtream:getCatalogue', async (event, playlistId, type) => {
+        const playlist = playlistStorage.getById(playlistId);
+        if (!playlist?.xtream) return { error: 'Not an Xtream playlist' };
+
+        try {
+            return await new XtreamClient(playlist.xtream).loadCatalogue(type);
+        } catch (error) {
+            console.error('[IPC] Error loading Xtream catalogue:', error);
+            return { error: error.message };
+        }
+    });
+
+    // Get seasons and episodes of a series
+    ipcMain.handle('xtream:getSeriesEpisodes', async (event, playlistId, seriesId) => {
+        const playlist = playlistStorage.getById(playlistId);
+        if (!playlist?.xtream) return { error: 'Not an Xtream playlist' };
+
+        try {
+            return await new XtreamClient(playlist.xtream).loadSeriesEpisodes(seriesId);
+        } catch (error) {
+            console.error('[IPC] Error loading Xtream series:', error);
+            return { error: error.message };
+        }
+    });
+
+    // ========== EPG Handlers ==========
+
+    // Download and index the guide of a playlist
+    ipcMain.handle('epg:load', async (event, playlistId, force = false) => {
+        const source = epgManager.getSourceForPlaylist(playlistStorage.getById(playlistId));
+        if (!source) return null;
+
+        try {
+            return await epgManager.refresh(source, force);
+        } catch (error) {
+            console.error('[IPC] Error loading EPG:', error);
+            return { error: error.message };
+        }
+    });
+
+    // Get current and next programme for channels
+    ipcMain.handle('epg:getNowNext', async (event, playlistId, channels) => {
+        const source = epgManager.getSourceForPlaylist(playlistStorage.getById(playlistId));
+        if (!source) return {};
+        return epgManager.getNowNext(source, channels);
+    });
+
+    // Get programmes in a time range for channels
+    ipcMain.handle('epg:getProgrammes', async (event, playlistId, channels, from, to) => {
+        const source = epgManager.getSourceForPlaylist(playlistStorage.getById(playlistId));
+        if (!source) return {};
+        return epgManager.getProgrammes(source, channels, from, to);
+    });
+
     // ========== Cache Handlers ==========
 
     // Get cached icon or download it
@@ -262,20 +420,89 @@ function registerIpcHandlers(mainWindow) {
 
     // ========== Favorites Handlers ==========
 
-    // Toggle favorite status for a channel
-    ipcMain.handle('favorites:toggle', async (event, url) => {
-        const isFavorite = favoritesManager.toggleFavorite(url);
+    // Toggle favorite status for a channel of a playlist
+    ipcMain.handle('favorites:toggle', async (event, playlistId, channel) => {
+        const isFavorite = favoritesManager.toggleFavorite(playlistId, channel);
         return { isFavorite };
     });
 
-    // Get all favorite URLs
-    ipcMain.handle('favorites:getAll', async () => {
-        return favoritesManager.getAll();
+    // Get all favorites, or those of a playlist
+    ipcMain.handle('favorites:getAll', async (event, playlistId) => {
+        return favoritesManager.getAll(playlistId);
+    });
+
+    // Update the favorites of a playlist with its current channels
+    ipcMain.handle('favorites:sync', async (event, playlistId, channels) => {
+        return favoritesManager.sync(playlistId, channels);
     });
 
     // Check if a channel is favorite
-    ipcMain.handle('favorites:check', async (event, url) => {
-        return favoritesManager.isFavorite(url);
+    ipcMain.handle('favorites:check', async (event, playlistId, channelId) => {
+        return favoritesManager.isFavorite(playlistId, channelId);
+    });
+
+    // Remove a favorite by its ID
+    ipcMain.handle('favorites:remove', async (event, id) => {
+        favoritesManager.remove(id);
+        return true;
+    });
+
+    // Move a favorite to a folder, before another favorite
+    ipcMain.handle('favorites:move', async (event, id, folderId, beforeId) => {
+        return favoritesManager.moveFavorite(id, folderId, beforeId);
+    });
+
+    // Get favorite folders
+    ipcMain.handle('favorites:getFolders', async () => {
+        return favoritesManager.getFolders();
+    });
+
+    // Create a favorite folder
+    ipcMain.handle('favorites:addFolder', async (event, name) => {
+        try {
+            return favoritesManager.addFolder(name);
+        } catch (error) {
+            return { error: error.message };
+        }
+    });
+
+    // Rename a favorite folder
+    ipcMain.handle('favorites:renameFolder', async (event, id, name) => {
+        try {
+            favoritesManager.renameFolder(id, name);
+            return true;
+        } catch (error) {
+            return { error: error.message };
+        }
+    });
+
+    // Remove a favorite folder, keeping its favorites
+    ipcMain.handle('favorites:removeFolder', async (event, id) => {
+        favoritesManager.removeFolder(id);
+        return true;
+    });
+
+    // ========== Watch Progress Handlers ==========
+
+    // Get saved position for a URL
+    ipcMain.handle('progress:get', async (event, url) => {
+        return watchProgress.get(url);
+    });
+
+    // Save playback position
+    ipcMain.handle('progress:update', async (event, entry) => {
+        return watchProgress.update(entry);
+    });
+
+    // Forget saved position for a URL
+    ipcMain.handle('progress:remove', async (event, url) => {
+        watchProgress.remove(url);
+        return true;
+    });
+
+    // Get unfinished items for "Continue watching"
+    ipcMain.handle('progress:getAll', async () => {
+        return watchProgress.getAll();
     });
 
     // ========== System Handlers ==========
@@ -396,6 +623,39 @@ function registerIpcHandlers(mainWindow) {
         return nativeTheme.shouldUseDarkColors ? 'dark' : 'light';
     });
 
+    // ========== Stream Handlers ==========
+
+    // Detect the stream type of a URL from its headers and first bytes
+    ipcMain.handle('player:probeStream', async (event, url, headers) => {
+        try {
+            return await streamProbe.probe(url, headers);
+        } catch (error) {
+            console.error('Error probing stream:', error);
+            return { error: error.message };
+        }
+    });
+
+    // Apply the HTTP headers a stream requires to the renderer's requests
+    ipcMain.handle('player:setStreamHeaders', async (event, url, headers) => {
+        streamHeaders.set(url, headers);
+        return true;
+    });
+
+    // Buffer a live HLS stream to disk for pause/rewind, returns the local playlist
+    ipcMain.handle('player:startTimeshift', async (event, url, headers, windowSeconds) => {
+        try {
+            return await timeshiftBuffer.start(url, headers, windowSeconds);
+        } catch (error) {
+            console.error('Error starting timeshift:', error);
+            return { error: error.message };
+        }
+    });
+
+    ipcMain.handle('player:stopTimeshift', async (event, id) => {
+        timeshiftBuffer.stop(id);
+        return true;
+    });
+
     // ========== External Player Handlers ==========
 
     // Common player paths based on OS
@@ -565,7 +825,7 @@ function registerIpcHandlers(mainWindow) {
     });
 
     // Launch stream in external player
-    ipcMain.handle('player:openExternal', async (event, { playerPath, streamUrl, channelName }) => {
+    ipcMain.handle('player:openExternal', async (event, { playerPath, streamUrl, channelName, headers = {} }) => {
         const { spawn } = require('child_process');
 
         try {
@@ -576,20 +836,30 @@ function registerIpcHandlers(mainWindow) {
             const playerBasename = path.basename(playerPath).toLowerCase();
             let args = [streamUrl];
 
+            const { 'User-Agent': userAgent, 'Referer': referer, ...otherHeaders } = headers || {};
+
             // MPV specific args
             if (playerBasename.includes('mpv')) {
                 args = [
                     `--title=${channelName || 'Flum IPTV'}`,
-                    '--force-window=immediate',
-                    streamUrl
+                    '--force-window=immediate'
                 ];
+                if (userAgent) args.push(`--user-agent=${userAgent}`);
+                if (referer) args.push(`--referrer=${referer}`);
+                if (Object.keys(otherHeaders).length > 0) {
+                    const fields = Object.entries(otherHeaders).map(([name, value]) => `${name}: ${value}`);
+                    args.push(`--http-header-fields=${fields.join(',')}`);
+                }
+                args.push(streamUrl);
             }
             // VLC specific args
             else if (playerBasename.includes('vlc')) {
                 args = [
-                    '--meta-title', channelName || 'Flum IPTV',
-                    streamUrl
+                    '--meta-title', channelName || 'Flum IPTV'
                 ];
+                if (userAgent) args.push(`--http-user-agent=${userAgent}`);
+                if (referer) args.push(`--http-referrer=${referer}`);
+                args.push(streamUrl);
             }
 
             // Spawn detached process
@@ -620,7 +890,6 @@ function registerIpcHandlers(mainWindow) {
             }
 
             // Restart the app
-            const { app } = require('electron');
             app.relaunch();
             app.exit(0);
 
@@ -633,34 +902,150 @@ function registerIpcHandlers(mainWindow) {
 
     // ========== Recording Handlers ==========
 
-    ipcMain.handle('recording:save', async (event, data, filename) => {
-        try {
-            // Show save dialog
+    // Folder recordings are saved to (Downloads unless configured)
+    const getRecordingsDir = () => settingsCache.get('recording.directory') || app.getPath('downloads');
+
+    // Recordings are saved to the recordings folder without asking, unless
+    // "ask every time" is on (silent recordings, scheduled ones, never ask).
+    // Returns null if the save dialog is canceled.
+    const chooseRecordingPath = async (filename, extension, { silent = false, audioOnly = false } = {}) => {
+        if (!silent && settingsCache.get('recording.askLocation')) {
+            const format = extension.slice(1);
             const result = await dialog.showSaveDialog(mainWindow, {
                 title: 'Guardar Grabación',
-                defaultPath: filename,
+                defaultPath: path.join(getRecordingsDir(), `${filename}${extension}`),
                 filters: [
-                    { name: 'Video WebM', extensions: ['webm'] }
+                    { name: `${audioOnly ? 'Audio' : 'Video'} ${format.toUpperCase()}`, extensions: [format] }
                 ]
             });
 
-            if (result.canceled || !result.filePath) {
+            return result.canceled || !result.filePath ? null : result.filePath;
+        }
+
+        const dir = getRecordingsDir();
+        fs.mkdirSync(dir, { recursive: true });
+        return DirectRecorder.getFreePath(path.join(dir, `${filename}${extension}`));
+    };
+
+    ipcMain.handle('recording:getDirectory', async () => {
+        return getRecordingsDir();
+    });
+
+    // Select the recordings folder via dialog
+    ipcMain.handle('recording:selectDirectory', async () => {
+        const result = await dialog.showOpenDialog(mainWindow, {
+            title: 'Seleccionar Carpeta de Grabaciones',
+            defaultPath: getRecordingsDir(),
+            properties: ['openDirectory', 'createDirectory']
+        });
+
+        if (result.canceled || result.filePaths.length === 0) {
+            return null;
+        }
+        return result.filePaths[0];
+    });
+
+    // Recordings captured by MediaRecorder are written as they are made
+    ipcMain.handle('recording:openCapture', async (event, filename, { extension = '.webm', audioOnly = false } = {}) => {
+        try {
+            const filePath = await chooseRecordingPath(filename, extension, { audioOnly });
+            if (!filePath) {
                 return null;
             }
 
-            // Convert array back to buffer and save
-            const buffer = Buffer.from(data);
-            fs.writeFileSync(result.filePath, buffer);
+            const id = await captureWriter.open(filePath);
+            return { id, filePath };
 
-            console.log('[IPC] Recording saved to:', result.filePath);
-            return result.filePath;
+        } catch (error) {
+            console.error('[IPC] Recording open error:', error);
+            return { error: error.message };
+        }
+    });
+
+    ipcMain.handle('recording:appendCapture', async (event, id, data) => {
+        try {
+            return await captureWriter.append(id, data);
+        } catch (error) {
+            console.error('[IPC] Recording write error:', error);
+            return { error: error.message };
+        }
+    });
+
+    ipcMain.handle('recording:splitCapture', async (event, id, duration) => {
+        try {
+            return await captureWriter.split(id, duration);
+        } catch (error) {
+            console.error('[IPC] Recording split error:', error);
+            return { error: error.message };
+        }
+    });
+
+    ipcMain.handle('recording:finishCapture', async (event, id, duration) => {
+        try {
+            return await captureWriter.finish(id, duration);
+        } catch (error) {
+            console.error('[IPC] Recording finish error:', error);
+            return { error: error.message };
+        }
+    });
+
+    // Record a stream straight to disk without re-encoding
+    ipcMain.handle('recording:startDirect', async (event, { url, headers, name, filename, silent = false }) => {
+        try {
+            const { type, extension } = await directRecorder.inspect(url, headers);
+
+            const filePath = await chooseRecordingPath(filename, extension, { silent });
+            if (!filePath) {
+                return null;
+            }
 
+            return await directRecorder.start({ url, headers, filePath, name, type });
         } catch (error) {
-            console.error('[IPC] Recording save error:', error);
+            console.error('[IPC] Direct recording error:', error);
             return { error: error.message };
         }
     });
 
+    ipcMain.handle('recording:stopDirect', async (event, id) => {
+        return directRecorder.stop(id);
+    });
+
+    ipcMain.handle('recording:listDirect', async () => {
+        return directRecorder.list();
+    });
+
+    // Progress and end of direct recordings
+    directRecorder.onUpdate = (info) => {
+        if (!mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('recording:update', info);
+        }
+    };
+
+    // Scheduled recording jobs
+    ipcMain.handle('recording:getJobs', async () => {
+        return recordingJobs.getAll();
+    });
+
+    ipcMain.handle('recording:addJob', async (event, job) => {
+        return recordingJobs.add(job);
+    });
+
+    ipcMain.handle('recording:updateJob', async (event, id, changes) => {
+        return recordingJobs.update(id, changes);
+    });
+
+    ipcMain.handle('recording:removeJob', async (event, id) => {
+        return recordingJobs.remove(id);
+    });
+
+    ipcMain.handle('recording:showFile', async (event, filePath) => {
+        if (filePath && fs.existsSync(filePath)) {
+            shell.showItemInFolder(filePath);
+            return true;
+        }
+        return false;
+    });
+
     // ========== Window Handlers ==========
 
     ipcMain.on('window:minimize', () => {
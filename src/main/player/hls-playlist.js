@@ -0,0 +1,126 @@
+/**
+ * HLS Playlist - Playlist Parsing Helpers
+ *
+ * Parses HLS master and media playlists for the modules that
+ * download streams in the main process (timeshift buffer,
+ * direct recorder). Segment, key and init segment URIs are
+ * resolved to absolute URLs.
+ */
+
+/**
+ * Check whether a master playlist has audio/subtitle renditions
+ * in separate playlists (these are not downloaded)
+ * @param {string} text - Master playlist
+ * @returns {boolean} True if renditions are separate
+ */
+function hasSeparateRenditions(text) {
+    return /#EXT-X-MEDIA:[^\n]*URI=/.test(text);
+}
+
+/**
+ * Choose the highest bandwidth variant of a master playlist
+ * @param {string} text - Master playlist
+ * @param {string} baseUrl - Playlist URL
+ * @returns {string|null} Variant playlist URL
+ */
+function pickVariant(text, baseUrl) {
+    const lines = text.split(/\r?\n/).map(line => line.trim());
+    let best = null;
+
+    lines.forEach((line, i) => {
+        if (!line.startsWith('#EXT-X-STREAM-INF')) return;
+
+        const uri = lines.slice(i + 1).find(next => next && !next.startsWith('#'));
+        const bandwidth = Number(line.match(/[:,]BANDWIDTH=(\d+)/)?.[1]) || 0;
+        if (uri && (!best || bandwidth > best.bandwidth)) {
+            best = { uri, bandwidth };
+        }
+    });
+
+    return best ? new URL(best.uri, baseUrl).href : null;
+}
+
+/**
+ * Parse a media playlist
+ * @param {string} text - Playlist content
+ * @param {string} baseUrl - Playlist URL (URIs are resolved against it)
+ * @returns {Object} { targetDuration, mediaSequence, segments, endList, unsupported }.
+ *   Segments have { uri, duration, sequence, discontinuity, key, map }, where key is
+ *   { method, uri, iv, tag } (tag is the EXT-X-KEY line with an absolute URI) or null
+ */
+function parsePlaylist(text, baseUrl) {
+    const playlist = {
+        targetDuration: 0,
+        mediaSequence: 0,
+        segments: [],
+        endList: false,
+        unsupported: false
+    };
+
+    let duration = 0;
+    let discontinuity = false;
+    let key = null;
+    let map = null;
+
+    for (const raw of text.split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line) continue;
+
+        if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+            playlist.targetDuration = Number(line.slice(22)) || 0;
+        } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+            playlist.mediaSequence = Number(line.slice(22)) || 0;
+        } else if (line.startsWith('#EXTINF:')) {
+            duration = parseFloat(line.slice(8)) || 0;
+        } else if (line === '#EXT-X-DISCONTINUITY') {
+            discontinuity = true;
+        } else if (line.startsWith('#EXT-X-KEY:')) {
+            key = parseKey(line, baseUrl);
+        } else if (line.startsWith('#EXT-X-MAP:')) {
+            const uri = line.match(/URI="([^"]+)"/)?.[1];
+            map = uri ? new URL(uri, baseUrl).href : null;
+            if (line.includes('BYTERANGE')) playlist.unsupported = true;
+        } else if (line.startsWith('#EXT-X-BYTERANGE')) {
+            playlist.unsupported = true;
+        } else if (line === '#EXT-X-ENDLIST' || line === '#EXT-X-PLAYLIST-TYPE:VOD') {
+            playlist.endList = true;
+        } else if (!line.startsWith('#')) {
+            playlist.segments.push({
+                uri: new URL(line, baseUrl).href,
+                duration,
+                sequence: playlist.mediaSequence + playlist.segments.length,
+                discontinuity,
+                key,
+                map
+            });
+            duration = 0;
+            discontinuity = false;
+        }
+    }
+
+    return playlist;
+}
+
+/**
+ * Parse an EXT-X-KEY tag
+ * @param {string} line - Tag line
+ * @param {string} baseUrl - Playlist URL
+ * @returns {Object|null} { method, uri, iv, tag }, or null for METHOD=NONE
+ */
+function parseKey(line, baseUrl) {
+    const method = line.match(/METHOD=([^,\s]+)/)?.[1] || 'NONE';
+    if (method === 'NONE') return null;
+
+    const uri = line.match(/URI="([^"]+)"/)?.[1];
+    const absolute = uri ? new URL(uri, baseUrl).href : null;
+
+    return {
+        method,
+        uri: absolute,
+        iv: line.match(/IV=0[xX]([0-9a-fA-F]+)/)?.[1] || null,
+        // Keys stay on the origin server, referenced absolutely
+        tag: absolute ? line.replace(/URI="[^"]+"/, `URI="${absolute}"`) : line
+    };
+}
+
+module.exports = { hasSeparateRenditions, pickVariant, parsePlaylist };
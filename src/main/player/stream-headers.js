@@ -0,0 +1,69 @@
+/**
+ * StreamHeaders - Per-Channel HTTP Headers
+ *
+ * Adds the headers a channel requires (User-Agent, Referer...)
+ * to every request the player makes while the channel is
+ * loaded: the playlist, variant playlists, keys and segments,
+ * whichever host serves them. Chromium does not let page
+ * scripts set these headers, so they are applied to the
+ * window session here.
+ */
+
+// Request types made by the player libraries and the video element
+// (images such as channel logos are left alone)
+const PLAYER_RESOURCE_TYPES = new Set(['xhr', 'media', 'other']);
+
+class StreamHeaders {
+    constructor() {
+        // Headers of the stream being played, or null for none
+        this.headers = null;
+    }
+
+    /**
+     * Hook into a session's outgoing requests
+     * @param {Electron.Session} session - Window session
+     */
+    initialize(session) {
+        const filter = { urls: ['http://*/*', 'https://*/*'] };
+
+        session.webRequest.onBeforeSendHeaders(filter, (details, callback) => {
+            const headers = this.headers;
+            if (!headers || !PLAYER_RESOURCE_TYPES.has(details.resourceType)) {
+                callback({});
+                return;
+            }
+
+            const requestHeaders = { ...details.requestHeaders };
+            for (const [name, value] of Object.entries(headers)) {
+                // Replace any existing spelling of the header
+                for (const existing of Object.keys(requestHeaders)) {
+                    if (existing.toLowerCase() === name.toLowerCase()) {
+                        delete requestHeaders[existing];
+                    }
+                }
+                requestHeaders[name] = value;
+            }
+            callback({ requestHeaders });
+        });
+    }
+
+    /**
+     * Set the headers of the stream about to play.
+     * Replaces the headers of the previous stream.
+     * @param {string} url - Stream URL
+     * @param {Object} headers - Header name -> value
+     */
+    set(url, headers = {}) {
+        if (headers && Object.keys(headers).length > 0) {
+            this.headers = { ...headers };
+            console.log(`[StreamHeaders] Using ${Object.keys(headers).join(', ')} for ${url}`);
+        } else {
+            this.headers = null;
+        }
+    }
+}
+
+// Singleton instance
+const streamHeaders = new StreamHeaders();
+
+module.exports = { StreamHeaders, streamHeaders };
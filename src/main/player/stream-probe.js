@@ -0,0 +1,183 @@
+/**
+ * StreamProbe - Stream Type Detection
+ *
+ * Detects whether a URL serves HLS, DASH, MPEG-TS or a plain
+ * media file by requesting its first bytes from the main
+ * process (no CORS restrictions) and inspecting the
+ * Content-Type header and the payload signature.
+ */
+
+// Bytes requested from the stream
+const PROBE_BYTES = 1024;
+
+// Known Content-Type values
+const CONTENT_TYPES = {
+    'application/vnd.apple.mpegurl': 'hls',
+    'application/x-mpegurl': 'hls',
+    'audio/mpegurl': 'hls',
+    'audio/x-mpegurl': 'hls',
+    'application/dash+xml': 'dash',
+    'video/mp2t': 'mpegts',
+    'video/mpeg': 'mpegts',
+    'video/mp4': 'native',
+    'video/webm': 'native',
+    'video/x-matroska': 'native',
+    'video/quicktime': 'native',
+    'video/ogg': 'native'
+};
+
+class StreamProbe {
+    constructor() {
+        this.cache = new Map();
+        this.maxCacheEntries = 500;
+
+        // Probes taking longer than this are abandoned
+        this.timeout = 10000;
+    }
+
+    /**
+     * Detect the stream type of a URL
+     * @param {string} url - Stream URL
+     * @param {Object} headers - HTTP headers the stream requires
+     * @returns {Promise<Object>} { type, contentType, finalUrl } (type is null if unknown)
+     */
+    async probe(url, headers = {}) {
+        if (this.cache.has(url)) {
+            return this.cache.get(url);
+        }
+
+        if (!/^https?:\/\//i.test(url)) {
+            return { type: null, contentType: null, finalUrl: url };
+        }
+
+        const result = await this.request(url, headers);
+
+        // Only conclusive results are cached
+        if (result.type) {
+            this.cache.set(url, result);
+            if (this.cache.size > this.maxCacheEntries) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+        }
+
+        console.log(`[StreamProbe] ${url} -> ${result.type || 'unknown'} (${result.contentType || 'no content type'})`);
+        return result;
+    }
+
+    /**
+     * Fetch the first bytes of a URL, following redirects.
+     * Falls back to HEAD if the ranged GET is rejected.
+     * @param {string} url - Stream URL
+     * @param {Object} streamHeaders - HTTP headers the stream requires
+     * @returns {Promise<Object>} { type, contentType, finalUrl }
+     */
+    async request(url, streamHeaders = {}) {
+        const baseHeaders = {
+            'User-Agent': 'FlumIPTV/1.0',
+            ...streamHeaders
+        };
+        const headers = {
+            ...baseHeaders,
+            'Range': `bytes=0-${PROBE_BYTES - 1}`
+        };
+
+        let response;
+        try {
+            response = await fetch(url, {
+                headers,
+                redirect: 'follow',
+                signal: AbortSignal.timeout(this.timeout)
+            });
+
+            if (!response.ok) {
+                response.body?.cancel().catch(() => { });
+                response = await fetch(url, {
+                    method: 'HEAD',
+                    headers: baseHeaders,
+                    redirect: 'follow',
+                    signal: AbortSignal.timeout(this.timeout)
+                });
+            }
+        } catch (error) {
+            console.warn('[StreamProbe] Request failed:', error.message);
+            return { type: null, contentType: null, finalUrl: url };
+        }
+
+        const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase() || null;
+        const bytes = response.ok ? await StreamProbe.readFirstBytes(response) : Buffer.alloc(0);
+
+        return {
+            type: StreamProbe.detectFromBytes(bytes) || CONTENT_TYPES[contentType] || null,
+            contentType,
+            finalUrl: response.url || url
+        };
+    }
+
+    /**
+     * Read up to PROBE_BYTES from a response and cancel the rest
+     * (live streams ignore Range and never end)
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Buffer>} First bytes
+     */
+    static async readFirstBytes(response) {
+        if (!response.body) return Buffer.alloc(0);
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let length = 0;
+
+        try {
+            while (length < PROBE_BYTES) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(Buffer.from(value));
+                length += value.length;
+            }
+        } catch (error) {
+            console.warn('[StreamProbe] Read failed:', error.message);
+        } finally {
+            reader.cancel().catch(() => { });
+        }
+
+        return Buffer.concat(chunks).subarray(0, PROBE_BYTES);
+    }
+
+    /**
+     * Identify a stream from its payload signature
+     * @param {Buffer} bytes - First bytes of the stream
+     * @returns {string|null} Stream type
+     */
+    static detectFromBytes(bytes) {
+        if (bytes.length === 0) return null;
+
+        const text = bytes.toString('utf-8').replace(/^\uFEFF/, '').trimStart();
+        if (text.startsWith('#EXTM3U')) {
+            return 'hls';
+        }
+        if (text.startsWith('<') && /<MPD[\s>]/.test(text)) {
+            return 'dash';
+        }
+
+        // MPEG-TS packets are 188 bytes, each starting with the 0x47 sync byte
+        if (bytes[0] === 0x47 && (bytes.length <= 188 || bytes[188] === 0x47)) {
+            return 'mpegts';
+        }
+
+        // ISO BMFF (MP4/MOV) "ftyp" box
+        if (bytes.length >= 8 && bytes.toString('latin1', 4, 8) === 'ftyp') {
+            return 'native';
+        }
+
+        // EBML header (WebM/Matroska)
+        if (bytes.length >= 4 && bytes.readUInt32BE(0) === 0x1A45DFA3) {
+            return 'native';
+        }
+
+        return null;
+    }
+}
+
+// Singleton instance
+const streamProbe = new StreamProbe();
+
+module.exports = { StreamProbe, streamProbe };
@@ -0,0 +1,527 @@
+/**
+ * TimeshiftBuffer - Live Timeshift for HLS Channels
+ *
+ * Follows the live HLS stream being watched, downloading its
+ * segments into a temporary directory, and serves them back to
+ * the renderer as a local sliding-window playlist. The player
+ * can then pause, rewind and return to live anywhere in the
+ * window without holding it in memory.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { hasSeparateRenditions, pickVariant, parsePlaylist } = require('./hls-playlist');
+
+// Largest playlist accepted (guards against endless non-playlist responses)
+const MAX_PLAYLIST_BYTES = 2 * 1024 * 1024;
+
+// Segments fetched when buffering starts (where a live player would start)
+const INITIAL_SEGMENTS = 3;
+
+// Consecutive playlist failures before the stream is no longer followed
+const MAX_FAILURES = 10;
+
+// Content types of served files
+const CONTENT_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+    '.aac': 'audio/aac',
+    '.mp4': 'video/mp4',
+    '.m4s': 'video/iso.segment'
+};
+
+class TimeshiftBuffer {
+    constructor() {
+        this.baseDir = path.join(os.tmpdir(), 'flum-timeshift');
+        this.server = null;
+        this.port = null;
+
+        // Stream being buffered (one at a time)
+        this.session = null;
+
+        // Requests taking longer than this are abandoned
+        this.timeout = 30000;
+    }
+
+    /**
+     * Remove buffers left behind by a previous run
+     */
+    initialize() {
+        fs.rmSync(this.baseDir, { recursive: true, force: true });
+    }
+
+    /**
+     * Start buffering a live HLS stream. Replaces the previous buffer.
+     * @param {string} url - HLS playlist URL
+     * @param {Object} headers - HTTP headers the stream requires
+     * @param {number} windowSeconds - How much of the stream to keep
+     * @returns {Promise<Object|null>} { id, url } of the local playlist, or null
+     *   if the stream cannot be buffered (not live HLS, unsupported, unreachable)
+     */
+    async start(url, headers = {}, windowSeconds = 1800) {
+        this.stop();
+
+        const session = {
+            id: crypto.randomUUID(),
+            playlistUrl: url,
+            headers: headers || {},
+            windowSeconds,
+            dir: null,
+            segments: [],
+            nextSequence: 0,
+            discontinuitySequence: 0,
+            lastSourceSequence: null,
+            pendingDiscontinuity: false,
+            targetDuration: 6,
+            maps: new Map(), // Source init segment URL -> local file
+            failures: 0,
+            timer: null,
+            controller: new AbortController(),
+            stopped: false
+        };
+        this.session = session;
+
+        try {
+            const playlist = await this.resolveMediaPlaylist(session);
+            if (!playlist || session.stopped) {
+                this.stop(session.id);
+                return null;
+            }
+
+            session.dir = path.join(this.baseDir, session.id);
+            await fs.promises.mkdir(session.dir, { recursive: true });
+            await this.ensureServer();
+
+            await this.update(session, playlist);
+            if (session.stopped) return null;
+            if (session.segments.length === 0) {
+                this.stop(session.id);
+                return null;
+            }
+
+            this.schedule(session, true);
+            console.log(`[TimeshiftBuffer] Buffering ${Math.round(windowSeconds / 60)} min of ${session.playlistUrl}`);
+
+            return {
+                id: session.id,
+                url: `http://127.0.0.1:${this.port}/${session.id}/index.m3u8`
+            };
+        } catch (error) {
+            if (!session.stopped) {
+                console.warn('[TimeshiftBuffer] Cannot buffer stream:', error.message);
+                this.stop(session.id);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Stop buffering and delete the buffered segments
+     * @param {string|null} id - Only stop this buffer (any if omitted)
+     */
+    stop(id = null) {
+        const session = this.session;
+        if (!session || (id && session.id !== id)) return;
+
+        session.stopped = true;
+        session.controller.abort();
+        if (session.timer) {
+            clearTimeout(session.timer);
+            session.timer = null;
+        }
+        if (session.dir) {
+            fs.rmSync(session.dir, { recursive: true, force: true });
+        }
+
+        this.session = null;
+        console.log('[TimeshiftBuffer] Stopped');
+    }
+
+    /**
+     * Stop buffering and close the local server (app exit)
+     */
+    shutdown() {
+        this.stop();
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    /**
+     * Load the media playlist of a stream. Master playlists are
+     * resolved to their highest bandwidth variant.
+     * @param {Object} session - Buffer session
+     * @returns {Promise<Object|null>} Parsed playlist, or null if it is not live HLS
+     */
+    async resolveMediaPlaylist(session) {
+        let { text, url } = await this.fetchPlaylist(session, session.playlistUrl);
+
+        if (text.includes('#EXT-X-STREAM-INF')) {
+            // Separate audio/subtitle renditions are not buffered
+            if (hasSeparateRenditions(text)) return null;
+
+            const variant = pickVariant(text, url);
+            if (!variant) return null;
+
+            ({ text, url } = await this.fetchPlaylist(session, variant));
+        }
+        session.playlistUrl = url;
+
+        const playlist = parsePlaylist(text, url);
+
+        // On-demand playlists are already seekable
+        if (playlist.endList || playlist.unsupported || playlist.segments.length === 0) {
+            return null;
+        }
+        return playlist;
+    }
+
+    /**
+     * Download and parse-check a playlist
+     * @param {Object} session - Buffer session
+     * @param {string} url - Playlist URL
+     * @returns {Promise<Object>} { text, url } with the final (redirected) URL
+     */
+    async fetchPlaylist(session, url) {
+        const { data, finalUrl } = await this.download(session, url, MAX_PLAYLIST_BYTES);
+        const text = data.toString('utf-8').replace(/^\uFEFF/, '');
+        if (!text.trimStart().startsWith('#EXTM3U')) {
+            throw new Error('Not an HLS playlist');
+        }
+        return { text, url: finalUrl };
+    }
+
+    /**
+     * Download a URL with the stream's headers
+     * @param {Object} session - Buffer session (aborts the request when stopped)
+     * @param {string} url - URL to download
+     * @param {number} maxBytes - Fail if the response is larger
+     * @returns {Promise<Object>} { data: Buffer, finalUrl }
+     */
+    async download(session, url, maxBytes = Infinity) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        const timer = setTimeout(abort, this.timeout);
+        session.controller.signal.addEventListener('abort', abort, { once: true });
+
+        try {
+            const response = await fetch(url, {
+                headers: { 'User-Agent': 'FlumIPTV/1.0', ...session.headers },
+                redirect: 'follow',
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                response.body?.cancel().catch(() => { });
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const chunks = [];
+            let length = 0;
+            const reader = response.body.getReader();
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                length += value.length;
+                if (length > maxBytes) {
+                    reader.cancel().catch(() => { });
+                    throw new Error('Response too large');
+                }
+                chunks.push(Buffer.from(value));
+            }
+
+            return { data: Buffer.concat(chunks), finalUrl: response.url || url };
+        } finally {
+            clearTimeout(timer);
+            session.controller.signal.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Download the segments added to the playlist since the last update
+     * @param {Object} session - Buffer session
+     * @param {Object} playlist - Parsed media playlist
+     * @returns {Promise<number>} Number of new segments
+     */
+    async update(session, playlist) {
+        session.targetDuration = playlist.targetDuration || session.targetDuration;
+
+        const segments = playlist.segments;
+        const last = session.lastSourceSequence;
+        let fresh;
+
+        if (last === null) {
+            fresh = segments.slice(-INITIAL_SEGMENTS);
+        } else if (segments[segments.length - 1].sequence < last) {
+            // Sequence numbers went back: the stream restarted
+            fresh = segments.slice(-1);
+            session.pendingDiscontinuity = true;
+        } else {
+            fresh = segments.filter(segment => segment.sequence > last);
+
+            // Segments expired before they could be fetched
+            if (fresh.length > 0 && fresh[0].sequence > last + 1) {
+                session.pendingDiscontinuity = true;
+            }
+        }
+
+        for (const segment of fresh) {
+            if (session.stopped) break;
+            await this.saveSegment(session, segment);
+            session.lastSourceSequence = segment.sequence;
+        }
+
+        this.trim(session);
+        return fresh.length;
+    }
+
+    /**
+     * Download one segment (and its init segment) into the buffer
+     * @param {Object} session - Buffer session
+     * @param {Object} segment - Parsed segment
+     */
+    async saveSegment(session, segment) {
+        try {
+            let map = null;
+            if (segment.map) {
+                map = session.maps.get(segment.map);
+                if (!map) {
+                    const { data } = await this.download(session, segment.map);
+                    map = `init-${session.maps.size}${TimeshiftBuffer.getExtension(segment.map, '.mp4')}`;
+                    await fs.promises.writeFile(path.join(session.dir, map), data);
+                    session.maps.set(segment.map, map);
+                }
+            }
+
+            const { data } = await this.download(session, segment.uri);
+            if (session.stopped) return;
+
+            const sequence = session.nextSequence++;
+            const file = `seg-${sequence}${TimeshiftBuffer.getExtension(segment.uri, '.ts')}`;
+            await fs.promises.writeFile(path.join(session.dir, file), data);
+
+            session.segments.push({
+                sequence,
+                file,
+                duration: segment.duration,
+                discontinuity: segment.discontinuity || session.pendingDiscontinuity,
+                key: TimeshiftBuffer.getKeyTag(segment),
+                map
+            });
+            session.pendingDiscontinuity = false;
+        } catch (error) {
+            if (session.stopped) return;
+
+            // Skip the segment, the player sees a discontinuity
+            console.warn('[TimeshiftBuffer] Segment failed:', error.message);
+            session.pendingDiscontinuity = true;
+        }
+    }
+
+    /**
+     * EXT-X-KEY line of a buffered segment. Segments are renumbered
+     * in the local playlist, so an AES-128 key without an explicit IV
+     * gets the IV the player would have taken from the source's
+     * media sequence number.
+     * @param {Object} segment - Parsed segment
+     * @returns {string|null} Key tag, or null if not encrypted
+     */
+    static getKeyTag(segment) {
+        const key = segment.key;
+        if (!key) return null;
+        if (key.iv || key.method !== 'AES-128') return key.tag;
+
+        return `${key.tag},IV=0x${segment.sequence.toString(16).padStart(32, '0')}`;
+    }
+
+    /**
+     * Drop segments that fell out of the timeshift window
+     * @param {Object} session - Buffer session
+     */
+    trim(session) {
+        let total = session.segments.reduce((sum, segment) => sum + segment.duration, 0);
+
+        while (session.segments.length > 1 && total - session.segments[0].duration >= session.windowSeconds) {
+            const removed = session.segments.shift();
+            total -= removed.duration;
+            if (removed.discontinuity) {
+                session.discontinuitySequence++;
+            }
+            fs.promises.unlink(path.join(session.dir, removed.file)).catch(() => { });
+        }
+    }
+
+    /**
+     * Poll the source playlist for new segments
+     * @param {Object} session - Buffer session
+     * @param {boolean} changed - Whether the last update added segments
+     */
+    schedule(session, changed) {
+        // Reload after a target duration, sooner if nothing was new
+        const delay = Math.max(1000, session.targetDuration * 1000 / (changed ? 1 : 2));
+
+        session.timer = setTimeout(async () => {
+            session.timer = null;
+            if (session.stopped) return;
+
+            let added = 0;
+            try {
+                const { text } = await this.fetchPlaylist(session, session.playlistUrl);
+                const playlist = parsePlaylist(text, session.playlistUrl);
+                if (playlist.segments.length > 0) {
+                    added = await this.update(session, playlist);
+                }
+                session.failures = 0;
+
+                if (playlist.endList) {
+                    console.log('[TimeshiftBuffer] Stream ended');
+                    return;
+                }
+            } catch (error) {
+                if (session.stopped) return;
+
+                session.failures++;
+                console.warn(`[TimeshiftBuffer] Playlist update failed (${session.failures}/${MAX_FAILURES}):`, error.message);
+                if (session.failures >= MAX_FAILURES) {
+                    // The player's reconnect takes over once the buffer runs out
+                    console.warn('[TimeshiftBuffer] Giving up following the stream');
+                    return;
+                }
+            }
+
+            if (!session.stopped) {
+                this.schedule(session, added > 0);
+            }
+        }, delay);
+    }
+
+    /**
+     * Build the local playlist of the buffered segments
+     * @param {Object} session - Buffer session
+     * @returns {string} HLS media playlist
+     */
+    buildPlaylist(session) {
+        const segments = session.segments;
+        const targetDuration = Math.ceil(Math.max(session.targetDuration, ...segments.map(s => s.duration)));
+
+        const lines = [
+            '#EXTM3U',
+            '#EXT-X-VERSION:6',
+            `#EXT-X-TARGETDURATION:${targetDuration}`,
+            `#EXT-X-MEDIA-SEQUENCE:${segments[0]?.sequence ?? 0}`,
+            `#EXT-X-DISCONTINUITY-SEQUENCE:${session.discontinuitySequence}`
+        ];
+
+        let key = null;
+        let map = null;
+        for (const segment of segments) {
+            if (segment.discontinuity) {
+                lines.push('#EXT-X-DISCONTINUITY');
+            }
+            if (segment.key !== key) {
+                lines.push(segment.key || '#EXT-X-KEY:METHOD=NONE');
+                key = segment.key;
+            }
+            if (segment.map && segment.map !== map) {
+                lines.push(`#EXT-X-MAP:URI="${segment.map}"`);
+                map = segment.map;
+            }
+            lines.push(`#EXTINF:${segment.duration.toFixed(3)},`, segment.file);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Start the local HTTP server the player reads the buffer from
+     * @returns {Promise<void>}
+     */
+    ensureServer() {
+        if (this.server) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const server = http.createServer((req, res) => this.handleRequest(req, res));
+            server.once('error', reject);
+            server.listen(0, '127.0.0.1', () => {
+                this.server = server;
+                this.port = server.address().port;
+                console.log(`[TimeshiftBuffer] Serving on port ${this.port}`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Serve the local playlist and segment files
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    handleRequest(req, res) {
+        // The renderer page is a file:// origin
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', '*');
+        res.setHeader('Cache-Control', 'no-cache');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const session = this.session;
+        const [, id, name] = (req.url || '').split('?')[0].split('/');
+        if (!session || id !== session.id || !name) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        if (name === 'index.m3u8') {
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.m3u8'] });
+            res.end(this.buildPlaylist(session));
+            return;
+        }
+
+        // Only files written by the buffer are served
+        if (!/^(seg|init)-\d+\.\w+$/.test(name)) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+
+        const stream = fs.createReadStream(path.join(session.dir, name));
+        stream.once('open', () => {
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(name)] || 'application/octet-stream' });
+            stream.pipe(res);
+        });
+        stream.once('error', () => {
+            // Segment already dropped from the window
+            if (!res.headersSent) res.writeHead(404);
+            res.end();
+        });
+    }
+
+    /**
+     * Get the file extension of a segment URL
+     * @param {string} url - Segment URL
+     * @param {string} fallback - Extension if the URL has none
+     * @returns {string} Extension including the dot
+     */
+    static getExtension(url, fallback) {
+        try {
+            const extension = path.extname(new URL(url).pathname).toLowerCase();
+            return CONTENT_TYPES[extension] && extension !== '.m3u8' ? extension : fallback;
+        } catch {
+            return fallback;
+        }
+    }
+}
+
+// Singleton instance
+const timeshiftBuffer = new TimeshiftBuffer();
+
+module.exports = { TimeshiftBuffer, timeshiftBuffer };
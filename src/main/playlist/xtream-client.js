@@ -0,0 +1,312 @@
+/**
+ * XtreamClient - Xtream Codes API Playlist Source
+ *
+ * Talks to a provider's player_api.php with the account
+ * credentials and builds channel objects with the same shape
+ * the M3U parser produces (name, group, logo, tvgId, url).
+ */
+
+class XtreamClient {
+    /**
+     * @param {Object} credentials - { server, username, password }
+     */
+    constructor({ server, username, password }) {
+        this.server = XtreamClient.normalizeServer(server);
+        this.username = username || '';
+        this.password = password || '';
+
+        // Requests taking longer than this are aborted
+        this.timeout = 30000;
+    }
+
+    /**
+     * Normalize a server address to "protocol://host[:port]"
+     * @param {string} server - Server as entered by the user
+     * @returns {string} Base URL without trailing slash
+     */
+    static normalizeServer(server = '') {
+        let base = server.trim();
+        if (!/^https?:\/\//i.test(base)) {
+            base = `http://${base}`;
+        }
+        return base
+            .replace(/\/(player_api|get)\.php.*$/i, '')
+            .replace(/\/+$/, '');
+    }
+
+    /**
+     * Call player_api.php
+     * @param {string|null} action - API action (null for account info)
+     * @param {Object} params - Extra query parameters
+     * @returns {Promise<*>} Parsed JSON response
+     */
+    async request(action = null, params = {}) {
+        const url = new URL(`${this.server}/player_api.php`);
+        url.searchParams.set('username', this.username);
+        url.searchParams.set('password', this.password);
+        if (action) {
+            url.searchParams.set('action', action);
+        }
+        for (const [key, value] of Object.entries(params)) {
+            url.searchParams.set(key, value);
+        }
+
+        const response = await fetch(url, {
+            headers: {
+                'User-Agent': 'FlumIPTV/1.0'
+            },
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Get account and server information, validating the credentials
+     * @returns {Promise<Object>} { user_info, server_info }
+     */
+    async getAccountInfo() {
+        const info = await this.request();
+        const userInfo = info?.user_info;
+
+        if (!userInfo || Number(userInfo.auth) === 0) {
+            throw new Error('Xtream authentication failed');
+        }
+        if (userInfo.status && userInfo.status !== 'Active') {
+            throw new Error(`Xtream account is ${userInfo.status}`);
+        }
+
+        return info;
+    }
+
+    /**
+     * Get live stream categories
+     * @returns {Promise<Array>} [{ category_id, category_name }]
+     */
+    async getLiveCategories() {
+        const categories = await this.request('get_live_categories');
+        return Array.isArray(categories) ? categories : [];
+    }
+
+    /**
+     * Get all live streams
+     * @returns {Promise<Array>} Stream entries
+     */
+    async getLiveStreams() {
+        const streams = await this.request('get_live_streams');
+        return Array.isArray(streams) ? streams : [];
+    }
+
+    /**
+     * Get movie categories
+     * @returns {Promise<Array>} [{ category_id, category_name }]
+     */
+    async getVodCategories() {
+        const categories = await this.request('get_vod_categories');
+        return Array.isArray(categories) ? categories : [];
+    }
+
+    /**
+     * Get all movies
+     * @returns {Promise<Array>} Movie entries
+     */
+    async getVodStreams() {
+        const streams = await this.request('get_vod_streams');
+        return Array.isArray(streams) ? streams : [];
+    }
+
+    /**
+     * Get series categories
+     * @returns {Promise<Array>} [{ category_id, category_name }]
+     */
+    async getSeriesCategories() {
+        const categories = await this.request('get_series_categories');
+        return Array.isArray(categories) ? categories : [];
+    }
+
+    /**
+     * Get all series
+     * @returns {Promise<Array>} Series entries
+     */
+    async getSeries() {
+        const series = await this.request('get_series');
+        return Array.isArray(series) ? series : [];
+    }
+
+    /**
+     * Get seasons and episodes of a series
+     * @param {string|number} seriesId - Series ID
+     * @returns {Promise<Object>} { info, seasons, episodes }
+     */
+    async getSeriesInfo(seriesId) {
+        return (await this.request('get_series_info', { series_id: seriesId })) || {};
+    }
+
+    /**
+     * Map category IDs to names
+     * @param {Array} categories - API categories
+     * @returns {Map} category_id -> category_name
+     */
+    static mapCategories(categories) {
+        return new Map(
+            categories.map(category => [String(category.category_id), category.category_name])
+        );
+    }
+
+    /**
+     * Build the playback URL of a stream
+     * @param {string} type - 'live', 'movie' or 'series'
+     * @param {string|number} streamId - Stream ID
+     * @param {string} extension - Container extension (m3u8, ts, mp4...)
+     * @returns {string} Stream URL
+     */
+    getStreamUrl(type, streamId, extension) {
+        const username = encodeURIComponent(this.username);
+        const password = encodeURIComponent(this.password);
+        return `${this.server}/${type}/${username}/${password}/${streamId}.${extension}`;
+    }
+
+    /**
+     * Get the XMLTV guide URL of the account
+     * @returns {string} Guide URL
+     */
+    getGuideUrl() {
+        const url = new URL(`${this.server}/xmltv.php`);
+        url.searchParams.set('username', this.username);
+        url.searchParams.set('password', this.password);
+        return url.toString();
+    }
+
+    /**
+     * Load live channels as a playlist
+     * @returns {Promise<Object>} { header, channels } like M3UParser.parse
+     */
+    async loadLiveChannels() {
+        const { user_info: userInfo } = await this.getAccountInfo();
+        const [categories, streams] = await Promise.all([
+            this.getLiveCategories(),
+            this.getLiveStreams()
+        ]);
+
+        // Prefer HLS when the account allows it
+        const formats = userInfo.allowed_output_formats || [];
+        const extension = formats.length === 0 || formats.includes('m3u8') ? 'm3u8' : formats[0];
+
+        const groupNames = XtreamClient.mapCategories(categories);
+
+        const channels = streams.map(stream => ({
+            name: stream.name || 'Unknown Channel',
+            group: groupNames.get(String(stream.category_id)) || 'Uncategorized',
+            logo: stream.stream_icon || null,
+            tvgId: stream.epg_channel_id || null,
+            tvgName: stream.name || null,
+            tvgShift: 0,
+            tvgChno: Number(stream.num) > 0 ? Number(stream.num) : null,
+            catchup: Number(stream.tv_archive) === 1
+                ? { type: 'xc', source: null, days: Number(stream.tv_archive_duration) || 1 }
+                : null,
+            url: this.getStreamUrl('live', stream.stream_id, extension)
+        }));
+
+        // Same shape as the #EXTM3U header metadata
+        const header = {
+            tvgUrls: [this.getGuideUrl()],
+            defaults: {},
+            attributes: {}
+        };
+
+        console.log(`[XtreamClient] Loaded ${channels.length} live streams in ${categories.length} categories`);
+        return { header, channels };
+    }
+
+    /**
+     * Load the on-demand catalogue
+     * @param {string} type - 'movie' or 'series'
+     * @returns {Promise<Array>} Items with the channel shape plus type
+     */
+    async loadCatalogue(type) {
+        if (type === 'movie') {
+            const [categories, streams] = await Promise.all([
+                this.getVodCategories(),
+                this.getVodStreams()
+            ]);
+            const groupNames = XtreamClient.mapCategories(categories);
+
+            return streams.map(stream => ({
+                id: `movie_${stream.stream_id}`,
+                type: 'movie',
+                name: stream.name || 'Unknown',
+                group: groupNames.get(String(stream.category_id)) || 'Uncategorized',
+                logo: stream.stream_icon || null,
+                tvgId: null,
+                tvgName: null,
+                tvgShift: 0,
+                url: this.getStreamUrl('movie', stream.stream_id, stream.container_extension || 'mp4')
+            }));
+        }
+
+        if (type === 'series') {
+            const [categories, series] = await Promise.all([
+                this.getSeriesCategories(),
+                this.getSeries()
+            ]);
+            const groupNames = XtreamClient.mapCategories(categories);
+
+            // Series are not playable; episodes are loaded on demand
+            return series.map(item => ({
+                id: `series_${item.series_id}`,
+                type: 'series',
+                seriesId: item.series_id,
+                name: item.name || 'Unknown',
+                group: groupNames.get(String(item.category_id)) || 'Uncategorized',
+                logo: item.cover || null,
+                tvgId: null,
+                tvgName: null,
+                tvgShift: 0,
+                url: null
+            }));
+        }
+
+        throw new Error(`Unknown catalogue type: ${type}`);
+    }
+
+    /**
+     * Load the seasons of a series with playable episodes
+     * @param {string|number} seriesId - Series ID
+     * @returns {Promise<Array>} [{ number, name, episodes }]
+     */
+    async loadSeriesEpisodes(seriesId) {
+        const info = await this.getSeriesInfo(seriesId);
+        const seriesName = info.info?.name || '';
+        const seasonNames = new Map(
+            (Array.isArray(info.seasons) ? info.seasons : [])
+                .map(season => [String(season.season_number), season.name])
+        );
+
+        return Object.entries(info.episodes || {})
+            .map(([number, episodes]) => ({
+                number: Number(number),
+                name: seasonNames.get(String(number)) || null,
+                episodes: episodes.map(episode => ({
+                    id: `episode_${episode.id}`,
+                    type: 'episode',
+                    name: episode.title || `${seriesName} S${number}E${episode.episode_num}`,
+                    group: seriesName,
+                    logo: episode.info?.movie_image || info.info?.cover || null,
+                    tvgId: null,
+                    tvgName: null,
+                    tvgShift: 0,
+                    season: Number(number),
+                    episode: Number(episode.episode_num),
+                    url: this.getStreamUrl('series', episode.id, episode.container_extension || 'mp4')
+                })).sort((a, b) => a.episode - b.episode)
+            }))
+            .sort((a, b) => a.number - b.number);
+    }
+}
+
+module.exports = { XtreamClient };
@@ -0,0 +1,228 @@
+/**
+ * CaptureWriter - Captured Recording Files
+ *
+ * Writes recordings captured by the renderer's MediaRecorder
+ * to disk as they are made: the file is opened when the
+ * recording starts, every chunk is appended in order, and
+ * WebM files are made seekable when the recording ends.
+ * Long recordings never have to fit in memory, and can be
+ * split into numbered parts ("name_001.webm", ...) that
+ * play on their own. Free disk space is watched so a
+ * recording can stop before the disk fills up.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { makeSeekable } = require('./webm-seekable');
+const { DirectRecorder } = require('./direct-recorder');
+
+// Recordings stop when the destination has less free space than this
+const MIN_FREE_SPACE = 500 * 1024 * 1024;
+
+// Minimum interval between free space checks
+const SPACE_CHECK_INTERVAL = 10000;
+
+// Free space kept on top of the copy made to index a WebM file
+const INDEX_SPACE_MARGIN = 64 * 1024 * 1024;
+
+class CaptureWriter {
+    constructor() {
+        // Capture id -> { basePath, filePath, part, handle, bytes, queue, previousPath, lastSpaceCheck, lowDiskSpace }
+        this.files = new Map();
+    }
+
+    /**
+     * Create the file of a capture
+     * @param {string} filePath - Target file
+     * @returns {Promise<string>} Capture id
+     * @throws {Error} If the destination is almost full
+     */
+    async open(filePath) {
+        if (await CaptureWriter.getFreeSpace(filePath) < MIN_FREE_SPACE) {
+            throw new Error('Not enough free disk space');
+        }
+
+        const handle = await fs.promises.open(filePath, 'w');
+        const id = crypto.randomUUID();
+
+        this.files.set(id, {
+            basePath: filePath,
+            filePath,
+            part: 1,
+            handle,
+            bytes: 0,
+            queue: Promise.resolve(),
+            previousPath: null,
+            lastSpaceCheck: Date.now(),
+            lowDiskSpace: false
+        });
+        console.log('[CaptureWriter] Recording to:', filePath);
+        return id;
+    }
+
+    /**
+     * Append a chunk to a capture file
+     * @param {string} id - Capture id
+     * @param {ArrayBuffer|Uint8Array} data - Chunk
+     * @returns {Promise<Object>} { bytes, lowDiskSpace }: bytes written to the
+     *   current part, lowDiskSpace when the destination is almost full
+     * @throws {Error} If the capture is unknown or the write fails
+     */
+    append(id, data) {
+        const file = this.getFile(id);
+        const buffer = ArrayBuffer.isView(data)
+            ? Buffer.from(data.buffer, data.byteOffset, data.byteLength)
+            : Buffer.from(data);
+
+        return this.enqueue(file, async () => {
+            await file.handle.write(buffer);
+            file.bytes += buffer.length;
+
+            if (Date.now() - file.lastSpaceCheck >= SPACE_CHECK_INTERVAL) {
+                file.lastSpaceCheck = Date.now();
+                file.lowDiskSpace = await CaptureWriter.getFreeSpace(file.filePath) < MIN_FREE_SPACE;
+            }
+            return { bytes: file.bytes, lowDiskSpace: file.lowDiskSpace };
+        });
+    }
+
+    /**
+     * Close the current part of a capture and continue in a new file.
+     * The first split renames the original file to part 1.
+     * @param {string} id - Capture id
+     * @param {number} duration - Duration of the closed part in milliseconds
+     * @returns {Promise<Object>} { filePath, part } of the new part
+     * @throws {Error} If the capture is unknown or the new file cannot be created
+     */
+    split(id, duration = 0) {
+        const file = this.getFile(id);
+
+        return this.enqueue(file, async () => {
+            await this.closePart(file, duration);
+
+            if (file.part === 1) {
+                const firstPath = DirectRecorder.getFreePath(CaptureWriter.getPartPath(file.basePath, 1));
+                await fs.promises.rename(file.filePath, firstPath);
+                file.filePath = firstPath;
+                console.log('[CaptureWriter] Recording split, part 1:', firstPath);
+            }
+
+            file.previousPath = file.filePath;
+            file.part++;
+            file.filePath = DirectRecorder.getFreePath(CaptureWriter.getPartPath(file.basePath, file.part));
+            file.handle = await fs.promises.open(file.filePath, 'w');
+            file.bytes = 0;
+
+            console.log(`[CaptureWriter] Recording part ${file.part}:`, file.filePath);
+            return { filePath: file.filePath, part: file.part };
+        });
+    }
+
+    /**
+     * Close a capture file and make it seekable
+     * @param {string} id - Capture id
+     * @param {number} duration - Duration of the last part in milliseconds
+     * @returns {Promise<Object>} { filePath, parts }: the last file and the number of files
+     * @throws {Error} If the capture is unknown
+     */
+    async finish(id, duration = 0) {
+        const file = this.getFile(id);
+        this.files.delete(id);
+
+        // Earlier write failures were reported by append()
+        await file.queue.catch(() => { });
+        await this.closePart(file, duration);
+
+        // A part opened just before stopping holds nothing
+        if (file.bytes === 0 && file.part > 1) {
+            await fs.promises.rm(file.filePath, { force: true });
+            file.part--;
+            file.filePath = file.previousPath;
+        }
+
+        console.log('[CaptureWriter] Recording saved to:', file.filePath);
+        return { filePath: file.filePath, parts: file.part };
+    }
+
+    /**
+     * Close the current file of a capture and make it seekable (WebM)
+     * @param {Object} file - Capture state
+     * @param {number} duration - Duration in milliseconds
+     */
+    async closePart(file, duration) {
+        await file.handle.close();
+
+        // MP4 recordings are fragmented and need no index
+        if (file.bytes === 0 || path.extname(file.filePath).toLowerCase() !== '.webm') return;
+
+        // Indexing writes a copy of the file before replacing it
+        const freeSpace = await CaptureWriter.getFreeSpace(file.filePath);
+        if (freeSpace < file.bytes + INDEX_SPACE_MARGIN) {
+            console.warn(`[CaptureWriter] Not enough free space to index ${file.filePath}, it will play without seeking`);
+            return;
+        }
+
+        try {
+            await makeSeekable(file.filePath, duration);
+        } catch (error) {
+            // The recording still plays, only without seeking
+            console.error('[CaptureWriter] Could not index recording:', error.message);
+        }
+    }
+
+    /**
+     * Run a file operation after the pending ones
+     * @param {Object} file - Capture state
+     * @param {Function} operation - Async operation
+     * @returns {Promise<*>} Operation result
+     */
+    enqueue(file, operation) {
+        // A failed write does not block later operations
+        const result = file.queue.catch(() => { }).then(operation);
+        file.queue = result;
+        return result;
+    }
+
+    /**
+     * Get the state of a capture
+     * @param {string} id - Capture id
+     * @returns {Object} Capture state
+     * @throws {Error} If the capture is unknown
+     */
+    getFile(id) {
+        const file = this.files.get(id);
+        if (!file) throw new Error('Recording not found');
+        return file;
+    }
+
+    /**
+     * Path of a numbered part ("name.webm" -> "name_002.webm")
+     * @param {string} basePath - Path chosen for the recording
+     * @param {number} part - Part number
+     * @returns {string} Part path
+     */
+    static getPartPath(basePath, part) {
+        const { dir, name, ext } = path.parse(basePath);
+        return path.join(dir, `${name}_${String(part).padStart(3, '0')}${ext}`);
+    }
+
+    /**
+     * Free space on the disk of a file
+     * @param {string} filePath - File path
+     * @returns {Promise<number>} Free bytes (Infinity if unknown)
+     */
+    static async getFreeSpace(filePath) {
+        try {
+            const stats = await fs.promises.statfs(path.dirname(filePath));
+            return stats.bavail * stats.bsize;
+        } catch {
+            return Infinity;
+        }
+    }
+}
+
+// Singleton instance
+const captureWriter = new CaptureWriter();
+
+module.exports = { CaptureWriter, captureWriter };
@@ -0,0 +1,557 @@
+/**
+ * DirectRecorder - Stream Recording Without Re-encoding
+ *
+ * Records a channel by downloading its stream straight to a
+ * file in the main process: HLS segments are fetched and
+ * appended in order (decrypting AES-128 segments), MPEG-TS
+ * and plain media files are copied byte for byte. Nothing
+ * is re-encoded, data is written as it arrives, and several
+ * channels can be recorded at once, whether they are being
+ * watched or not.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { streamProbe } = require('../player/stream-probe');
+const { hasSeparateRenditions, pickVariant, parsePlaylist } = require('../player/hls-playlist');
+
+// Largest playlist accepted (guards against endless non-playlist responses)
+const MAX_PLAYLIST_BYTES = 2 * 1024 * 1024;
+
+// Live HLS recordings start this many segments before the live edge
+const INITIAL_SEGMENTS = 3;
+
+// Stream types that can be recorded
+const RECORDABLE_TYPES = ['hls', 'mpegts', 'native'];
+
+// File extensions of progressive media content types
+const NATIVE_EXTENSIONS = {
+    'video/mp4': '.mp4',
+    'video/webm': '.webm',
+    'video/x-matroska': '.mkv',
+    'video/quicktime': '.mov',
+    'video/ogg': '.ogv'
+};
+
+class DirectRecorder {
+    constructor() {
+        // Recording id -> recording state
+        this.recordings = new Map();
+
+        // Requests without data for this long are retried
+        this.idleTimeout = 30000;
+
+        // Consecutive failures before a recording is given up
+        this.maxFailures = 10;
+        this.retryDelay = 3000;
+
+        // Minimum interval between progress updates
+        this.updateInterval = 2000;
+
+        // Called with recording info when a recording changes
+        this.onUpdate = null;
+    }
+
+    /**
+     * Find out how a stream would be recorded
+     * @param {string} url - Stream URL
+     * @param {Object} headers - HTTP headers the stream requires
+     * @returns {Promise<Object>} { type, extension }
+     * @throws {Error} If the stream cannot be recorded
+     */
+    async inspect(url, headers = {}) {
+        const { type, contentType } = await streamProbe.probe(url, headers);
+        if (!RECORDABLE_TYPES.includes(type)) {
+            throw new Error(type ? `Cannot record ${type} streams` : 'Stream type not recognized');
+        }
+
+        if (type === 'mpegts') {
+            return { type, extension: '.ts' };
+        }
+        if (type === 'native') {
+            const extension = NATIVE_EXTENSIONS[contentType] || DirectRecorder.getUrlExtension(url) || '.mp4';
+            return { type, extension };
+        }
+
+        // HLS: fragmented MP4 segments come with an init segment
+        const controller = new AbortController();
+        const { playlist } = await this.loadMediaPlaylist({ url, headers, controller });
+        const fmp4 = playlist.segments.some(segment => segment.map);
+        return { type, extension: fmp4 ? '.mp4' : '.ts' };
+    }
+
+    /**
+     * Start recording a stream to a file
+     * @param {Object} options - Recording options
+     * @param {string} options.url - Stream URL
+     * @param {Object} options.headers - HTTP headers the stream requires
+     * @param {string} options.filePath - Destination file
+     * @param {string} options.name - Channel name
+     * @param {string} options.type - Stream type from inspect() (probed if omitted)
+     * @returns {Promise<Object>} Recording info
+     */
+    async start({ url, headers = {}, filePath, name = '', type = null }) {
+        if (!type) {
+            ({ type } = await this.inspect(url, headers));
+        }
+
+        const file = fs.createWriteStream(filePath);
+        await once(file, 'open');
+
+        const recording = {
+            id: crypto.randomUUID(),
+            name,
+            url,
+            headers: headers || {},
+            filePath,
+            type,
+            status: 'recording',
+            startedAt: Date.now(),
+            endedAt: null,
+            bytes: 0,
+            error: null,
+            file,
+            controller: new AbortController(),
+            stopping: false,
+            writeError: null,
+            lastUpdate: 0
+        };
+        this.recordings.set(recording.id, recording);
+
+        // Write failures (disk full, drive removed) end the recording
+        file.on('error', (error) => {
+            recording.writeError = error;
+            recording.stopping = true;
+            recording.controller.abort();
+        });
+
+        console.log(`[DirectRecorder] Recording ${name || url} (${type}) to ${filePath}`);
+
+        const task = type === 'hls' ? this.recordHls(recording) : this.recordProgressive(recording);
+        task.then(
+            () => this.finish(recording),
+            (error) => this.finish(recording, error)
+        );
+
+        this.notify(recording, true);
+        return this.getInfo(recording);
+    }
+
+    /**
+     * Stop a recording. The file keeps everything written so far.
+     * @param {string} id - Recording id
+     * @returns {boolean} True if the recording was running
+     */
+    stop(id) {
+        const recording = this.recordings.get(id);
+        if (!recording || recording.status !== 'recording') return false;
+
+        recording.stopping = true;
+        recording.controller.abort();
+        return true;
+    }
+
+    /**
+     * Stop all recordings (app exit)
+     */
+    stopAll() {
+        for (const id of this.recordings.keys()) {
+            this.stop(id);
+        }
+    }
+
+    /**
+     * Get info of all recordings made in this session
+     * @returns {Array} Recording info objects
+     */
+    list() {
+        return [...this.recordings.values()].map(recording => this.getInfo(recording));
+    }
+
+    /**
+     * Public view of a recording
+     * @param {Object} recording - Recording state
+     * @returns {Object} { id, name, url, filePath, type, status, startedAt, endedAt, bytes, error }
+     */
+    getInfo(recording) {
+        const { id, name, url, filePath, type, status, startedAt, endedAt, bytes, error } = recording;
+        return { id, name, url, filePath, type, status, startedAt, endedAt, bytes, error };
+    }
+
+    /**
+     * Close the file of a recording that ended
+     * @param {Object} recording - Recording state
+     * @param {Error|null} error - Why it ended, if it failed
+     */
+    async finish(recording, error = null) {
+        if (!recording.file.destroyed) {
+            recording.file.end();
+            await once(recording.file, 'close').catch(() => { });
+        }
+
+        // Stopping aborts pending requests, that is not a failure
+        error = recording.writeError || error;
+        const failed = !!recording.writeError || (error && !recording.stopping);
+        recording.status = failed ? 'failed' : 'completed';
+        recording.error = failed ? error.message : null;
+        recording.endedAt = Date.now();
+
+        if (failed) {
+            console.error(`[DirectRecorder] Recording of ${recording.name} failed:`, error.message);
+        } else {
+            console.log(`[DirectRecorder] Recording of ${recording.name} finished (${recording.bytes} bytes)`);
+        }
+        this.notify(recording, true);
+    }
+
+    /**
+     * Report recording progress (throttled unless forced)
+     * @param {Object} recording - Recording state
+     * @param {boolean} force - Report even if one was sent recently
+     */
+    notify(recording, force = false) {
+        const now = Date.now();
+        if (!force && now - recording.lastUpdate < this.updateInterval) return;
+
+        recording.lastUpdate = now;
+        if (this.onUpdate) {
+            this.onUpdate(this.getInfo(recording));
+        }
+    }
+
+    /**
+     * Append data to the recording file
+     * @param {Object} recording - Recording state
+     * @param {Buffer} data - Data to write
+     */
+    async write(recording, data) {
+        if (!recording.file.write(data)) {
+            await once(recording.file, 'drain');
+        }
+        recording.bytes += data.length;
+        this.notify(recording);
+    }
+
+    /**
+     * Copy an MPEG-TS stream or media file to the recording file,
+     * reconnecting when a live stream drops
+     * @param {Object} recording - Recording state
+     */
+    async recordProgressive(recording) {
+        let failures = 0;
+
+        while (!recording.stopping) {
+            const received = recording.bytes;
+            try {
+                const headers = { ...recording.headers };
+
+                // Files resume where the dropped request stopped
+                if (recording.type === 'native' && recording.bytes > 0) {
+                    headers['Range'] = `bytes=${recording.bytes}-`;
+                }
+
+                const response = await this.request(recording, recording.url, headers, async (chunk) => {
+                    await this.write(recording, chunk);
+                    failures = 0;
+                });
+
+                if (recording.type === 'native') {
+                    if (headers['Range'] && response.status !== 206) {
+                        throw DirectRecorder.fatal('Server cannot resume the download');
+                    }
+                    // The whole file was downloaded
+                    return;
+                }
+
+                console.warn(`[DirectRecorder] ${recording.name}: stream ended, reconnecting`);
+            } catch (error) {
+                if (recording.stopping) return;
+                if (error.fatal) throw error;
+                console.warn(`[DirectRecorder] ${recording.name}: ${error.message}, reconnecting`);
+            }
+
+            if (recording.bytes === received && ++failures >= this.maxFailures) {
+                throw new Error('Stream unavailable');
+            }
+            await this.sleep(recording, this.retryDelay);
+        }
+    }
+
+    /**
+     * Follow an HLS playlist and append its segments to the
+     * recording file until stopped (or until the playlist ends)
+     * @param {Object} recording - Recording state
+     */
+    async recordHls(recording) {
+        const keys = new Map(); // Key URL -> key bytes
+        let mediaUrl = null;
+        let lastSequence = null;
+        let currentMap = null;
+        let failures = 0;
+
+        while (!recording.stopping) {
+            let playlist;
+            try {
+                ({ playlist, url: mediaUrl } = await this.loadMediaPlaylist(recording, mediaUrl));
+                failures = 0;
+            } catch (error) {
+                if (recording.stopping) return;
+                if (error.fatal || ++failures >= this.maxFailures) throw error;
+
+                console.warn(`[DirectRecorder] ${recording.name}: playlist failed (${error.message}), retrying`);
+                await this.sleep(recording, this.retryDelay);
+                continue;
+            }
+
+            if (playlist.unsupported) {
+                throw new Error('Byte-range HLS playlists are not supported');
+            }
+
+            const segments = playlist.segments;
+            let fresh;
+            if (lastSequence === null) {
+                // Live recordings start near the live edge, on-demand ones from the beginning
+                fresh = playlist.endList ? segments : segments.slice(-INITIAL_SEGMENTS);
+            } else if (segments.length > 0 && segments[segments.length - 1].sequence < lastSequence) {
+                // Sequence numbers went back: the stream restarted
+                fresh = segments.slice(-1);
+            } else {
+                fresh = segments.filter(segment => segment.sequence > lastSequence);
+            }
+
+            for (const segment of fresh) {
+                if (recording.stopping) return;
+
+                try {
+                    // Fragmented MP4: the init segment precedes its media segments
+                    if (segment.map && segment.map !== currentMap) {
+                        await this.write(recording, await this.download(recording, segment.map));
+                        currentMap = segment.map;
+                    }
+
+                    let data = await this.download(recording, segment.uri);
+                    if (segment.key) {
+                        data = await this.decrypt(recording, data, segment, keys);
+                    }
+                    await this.write(recording, data);
+                } catch (error) {
+                    if (recording.stopping) return;
+                    if (error.fatal) throw error;
+
+                    // A missing segment leaves a gap rather than ending the recording
+                    console.warn(`[DirectRecorder] ${recording.name}: segment ${segment.sequence} failed (${error.message})`);
+                }
+                lastSequence = segment.sequence;
+            }
+
+            if (playlist.endList) return;
+
+            // Reload after a target duration, sooner if nothing was new
+            const targetDuration = playlist.targetDuration || 6;
+            await this.sleep(recording, Math.max(1000, targetDuration * 1000 / (fresh.length > 0 ? 1 : 2)));
+        }
+    }
+
+    /**
+     * Load the media playlist of a stream, resolving master
+     * playlists to their highest bandwidth variant
+     * @param {Object} recording - Recording state (url, headers, controller)
+     * @param {string|null} mediaUrl - Media playlist URL resolved before, if any
+     * @returns {Promise<Object>} { playlist, url }
+     */
+    async loadMediaPlaylist(recording, mediaUrl = null) {
+        let url = mediaUrl || recording.url;
+        let text = await this.downloadPlaylist(recording, url);
+
+        if (text.includes('#EXT-X-STREAM-INF')) {
+            if (hasSeparateRenditions(text)) {
+                throw DirectRecorder.fatal('Streams with separate audio renditions are not supported');
+            }
+            url = pickVariant(text, url);
+            if (!url) throw DirectRecorder.fatal('No playable variant in the playlist');
+            text = await this.downloadPlaylist(recording, url);
+        }
+
+        return { playlist: parsePlaylist(text, url), url };
+    }
+
+    /**
+     * Download a playlist
+     * @param {Object} recording - Recording state
+     * @param {string} url - Playlist URL
+     * @returns {Promise<string>} Playlist text
+     */
+    async downloadPlaylist(recording, url) {
+        const data = await this.download(recording, url, MAX_PLAYLIST_BYTES);
+        const text = data.toString('utf-8').replace(/^\uFEFF/, '');
+        if (!text.trimStart().startsWith('#EXTM3U')) {
+            throw new Error('Not an HLS playlist');
+        }
+        return text;
+    }
+
+    /**
+     * Decrypt an AES-128 segment
+     * @param {Object} recording - Recording state
+     * @param {Buffer} data - Encrypted segment
+     * @param {Object} segment - Parsed segment with its key
+     * @param {Map} keys - Downloaded keys by URL
+     * @returns {Promise<Buffer>} Decrypted segment
+     */
+    async decrypt(recording, data, segment, keys) {
+        const { method, uri, iv } = segment.key;
+        if (method !== 'AES-128' || !uri) {
+            throw DirectRecorder.fatal(`${method} encrypted streams are not supported`);
+        }
+
+        if (!keys.has(uri)) {
+            keys.set(uri, await this.download(recording, uri, 1024));
+        }
+
+        // Without an explicit IV, the media sequence number is used
+        const ivBytes = Buffer.alloc(16);
+        if (iv) {
+            Buffer.from(iv.padStart(32, '0').slice(-32), 'hex').copy(ivBytes);
+        } else {
+            ivBytes.writeBigUInt64BE(BigInt(segment.sequence), 8);
+        }
+
+        const decipher = crypto.createDecipheriv('aes-128-cbc', keys.get(uri), ivBytes);
+        return Buffer.concat([decipher.update(data), decipher.final()]);
+    }
+
+    /**
+     * Download a URL into memory
+     * @param {Object} recording - Recording state
+     * @param {string} url - URL
+     * @param {number} maxBytes - Fail if the response is larger
+     * @returns {Promise<Buffer>} Response body
+     */
+    async download(recording, url, maxBytes = Infinity) {
+        const chunks = [];
+        let length = 0;
+
+        await this.request(recording, url, recording.headers, (chunk) => {
+            length += chunk.length;
+            if (length > maxBytes) throw new Error('Response too large');
+            chunks.push(chunk);
+        });
+
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Request a URL and pass its body to a callback as it arrives.
+     * The request is abandoned if no data arrives for a while
+     * or the recording is stopped.
+     * @param {Object} recording - Recording state
+     * @param {string} url - URL
+     * @param {Object} headers - Request headers
+     * @param {Function} onChunk - Called with each Buffer (may be async)
+     * @returns {Promise<Response>} The completed response
+     */
+    async request(recording, url, headers, onChunk) {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        let idleTimer = setTimeout(abort, this.idleTimeout);
+        const resetIdle = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(abort, this.idleTimeout);
+        };
+        recording.controller.signal.addEventListener('abort', abort, { once: true });
+
+        try {
+            const response = await fetch(url, {
+                headers: { 'User-Agent': 'FlumIPTV/1.0', ...headers },
+                redirect: 'follow',
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                response.body?.cancel().catch(() => { });
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const reader = response.body.getReader();
+            try {
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+                    resetIdle();
+                    await onChunk(Buffer.from(value));
+                }
+            } finally {
+                reader.cancel().catch(() => { });
+            }
+            return response;
+        } finally {
+            clearTimeout(idleTimer);
+            recording.controller.signal.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Wait, returning early if the recording is stopped
+     * @param {Object} recording - Recording state
+     * @param {number} ms - Delay in milliseconds
+     * @returns {Promise<void>}
+     */
+    sleep(recording, ms) {
+        return new Promise((resolve) => {
+            const signal = recording.controller.signal;
+            const done = () => {
+                clearTimeout(timer);
+                signal.removeEventListener('abort', done);
+                resolve();
+            };
+            const timer = setTimeout(done, ms);
+            signal.addEventListener('abort', done, { once: true });
+        });
+    }
+
+    /**
+     * Create an error that ends the recording instead of being retried
+     * @param {string} message - Error message
+     * @returns {Error} Error marked as fatal
+     */
+    static fatal(message) {
+        const error = new Error(message);
+        error.fatal = true;
+        return error;
+    }
+
+    /**
+     * Get a media file extension from a URL path
+     * @param {string} url - URL
+     * @returns {string|null} Extension including the dot
+     */
+    static getUrlExtension(url) {
+        try {
+            const extension = path.extname(new URL(url).pathname).toLowerCase();
+            return Object.values(NATIVE_EXTENSIONS).includes(extension) ? extension : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Get a path that does not overwrite an existing file
+     * ("name.ts" -> "name (2).ts")
+     * @param {string} filePath - Preferred path
+     * @returns {string} Free path
+     */
+    static getFreePath(filePath) {
+        const { dir, name, ext } = path.parse(filePath);
+        let candidate = filePath;
+        for (let i = 2; fs.existsSync(candidate); i++) {
+            candidate = path.join(dir, `${name} (${i})${ext}`);
+        }
+        return candidate;
+    }
+}
+
+// Singleton instance
+const directRecorder = new DirectRecorder();
+
+module.exports = { DirectRecorder, directRecorder };
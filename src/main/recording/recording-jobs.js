@@ -0,0 +1,136 @@
+/**
+ * RecordingJobs - Scheduled Recording Persistence
+ *
+ * Stores scheduled recording jobs (upcoming, in progress,
+ * completed and failed) so they survive app restarts.
+ * Stored in .FlumIPTVData/recordings.json. Timing is handled
+ * by the renderer's recording scheduler.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { cacheManager } = require('../cache/cache-manager');
+
+class RecordingJobs {
+    constructor() {
+        this.jobsFile = null;
+        this.jobs = [];
+    }
+
+    /**
+     * Initialize recording job storage
+     */
+    initialize() {
+        this.jobsFile = path.join(cacheManager.getCacheDir(), 'recordings.json');
+        this.jobs = this.load();
+    }
+
+    /**
+     * Load jobs from file
+     * @returns {Array} Jobs
+     */
+    load() {
+        try {
+            if (this.jobsFile && fs.existsSync(this.jobsFile)) {
+                const content = fs.readFileSync(this.jobsFile, 'utf-8');
+                const data = JSON.parse(content);
+                return Array.isArray(data.jobs) ? data.jobs : [];
+            }
+        } catch (error) {
+            console.error('[RecordingJobs] Error loading jobs:', error);
+        }
+        return [];
+    }
+
+    /**
+     * Save jobs to file
+     */
+    save() {
+        try {
+            if (this.jobsFile) {
+                fs.writeFileSync(this.jobsFile, JSON.stringify({
+                    jobs: this.jobs
+                }, null, 2));
+            }
+        } catch (error) {
+            console.error('[RecordingJobs] Error saving jobs:', error);
+        }
+    }
+
+    /**
+     * Get all jobs with the current size of their files
+     * @returns {Array} Jobs, each with size in bytes (null without a file)
+     */
+    getAll() {
+        return this.jobs.map(job => ({ ...job, size: this.getFileSize(job.filePath) }));
+    }
+
+    /**
+     * Add a job
+     * @param {Object} job - { channel, title, start, end, paddingBefore, paddingAfter, repeat, ... }
+     * @returns {Object} Stored job
+     */
+    add(job) {
+        const stored = {
+            id: crypto.randomUUID(),
+            status: 'scheduled',
+            recordingId: null,
+            filePath: null,
+            error: null,
+            startedAt: null,
+            endedAt: null,
+            ...job,
+            createdAt: Date.now()
+        };
+
+        this.jobs.push(stored);
+        this.save();
+        return stored;
+    }
+
+    /**
+     * Update fields of a job
+     * @param {string} id - Job ID
+     * @param {Object} changes - Fields to change
+     * @returns {Object|null} Updated job
+     */
+    update(id, changes) {
+        const job = this.jobs.find(j => j.id === id);
+        if (!job) return null;
+
+        Object.assign(job, changes, { id });
+        this.save();
+        return job;
+    }
+
+    /**
+     * Remove a job (its file is kept)
+     * @param {string} id - Job ID
+     * @returns {boolean} True if the job existed
+     */
+    remove(id) {
+        const count = this.jobs.length;
+        this.jobs = this.jobs.filter(j => j.id !== id);
+        this.save();
+        return this.jobs.length < count;
+    }
+
+    /**
+     * Get the size of a file
+     * @param {string|null} filePath - File path
+     * @returns {number|null} Size in bytes, or null if missing
+     */
+    getFileSize(filePath) {
+        try {
+            return filePath ? fs.statSync(filePath).size : null;
+        } catch {
+            return null;
+        }
+    }
+}
+
+// Singleton instance
+const recordingJobs = new RecordingJobs();
+
+module.exports = { RecordingJobs, recordingJobs };
@@ -0,0 +1,428 @@
+/**
+ * WebM Seekable - WebM Finalization
+ *
+ * MediaRecorder writes WebM files as a live stream: the
+ * segment has no size, Info has no duration and there is
+ * no cue index, so players cannot seek or show the length.
+ * The file is rewritten with a known segment size, a
+ * SeekHead, the duration and Cues (one cue per cluster).
+ * Clusters get known sizes and their data is copied in
+ * chunks, so recordings of any length are handled
+ * without loading them.
+ */
+
+const fs = require('fs');
+
+// Element IDs
+const ID = {
+    EBML: 0x1A45DFA3,
+    Segment: 0x18538067,
+    SeekHead: 0x114D9B74,
+    Seek: 0x4DBB,
+    SeekID: 0x53AB,
+    SeekPosition: 0x53AC,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackType: 0x83,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3,
+    BlockGroup: 0xA0,
+    Block: 0xA1,
+    Cues: 0x1C53BB6B,
+    CuePoint: 0xBB,
+    CueTime: 0xB3,
+    CueTrackPositions: 0xB7,
+    CueTrack: 0xF7,
+    CueClusterPosition: 0xF1
+};
+
+// Segment children, which end a cluster of unknown size
+const TOP_LEVEL_IDS = new Set([
+    ID.SeekHead, ID.Info, ID.Tracks, ID.Cluster, ID.Cues,
+    0x1254C367, // Tags
+    0x1941A469, // Attachments
+    0x1043A770 // Chapters
+]);
+
+// Bytes read from disk at a time
+const CHUNK_SIZE = 1024 * 1024;
+
+// Rewritten cluster header: 4-byte ID and 8-byte size
+const CLUSTER_HEADER_SIZE = 12;
+
+/**
+ * Buffered random access to a file
+ */
+class FileWindow {
+    constructor(handle, size) {
+        this.handle = handle;
+        this.size = size;
+        this.start = 0;
+        this.buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * Read bytes at a position
+     * @param {number} position - File offset
+     * @param {number} length - Bytes wanted
+     * @returns {Promise<Buffer>} Bytes (shorter at the end of the file)
+     */
+    async read(position, length) {
+        const end = Math.min(position + length, this.size);
+        if (end <= position) return Buffer.alloc(0);
+
+        if (position < this.start || end > this.start + this.buffer.length) {
+            const buffer = Buffer.alloc(Math.max(length, CHUNK_SIZE));
+            const { bytesRead } = await this.handle.read(buffer, 0, buffer.length, position);
+            this.start = position;
+            this.buffer = buffer.subarray(0, bytesRead);
+        }
+        return this.buffer.subarray(position - this.start, end - this.start);
+    }
+}
+
+/**
+ * Length of a variable size integer from its first byte
+ * @param {number} byte - First byte
+ * @returns {number} Length in bytes (9 if invalid)
+ */
+function vintLength(byte) {
+    for (let length = 1; length <= 8; length++) {
+        if (byte & (0x80 >> (length - 1))) return length;
+    }
+    return 9;
+}
+
+/**
+ * Parse an element header
+ * @param {Buffer} bytes - Data starting with the header
+ * @param {number} offset - Header offset in bytes
+ * @returns {Object|null} { id, headerSize, size } (size null if unknown), or null if truncated
+ */
+function parseHeader(bytes, offset = 0) {
+    if (bytes.length < offset + 2) return null;
+
+    const idLength = vintLength(bytes[offset]);
+    if (idLength > 4 || bytes.length < offset + idLength + 1) return null;
+    const id = bytes.readUIntBE(offset, idLength);
+
+    const sizeLength = vintLength(bytes[offset + idLength]);
+    if (sizeLength > 8 || bytes.length < offset + idLength + sizeLength) return null;
+
+    const mask = 0xFF >> sizeLength;
+    let size = bytes[offset + idLength] & mask;
+    let unknown = size === mask;
+    for (let i = 1; i < sizeLength; i++) {
+        const byte = bytes[offset + idLength + i];
+        size = size * 256 + byte;
+        unknown = unknown && byte === 0xFF;
+    }
+
+    return { id, headerSize: idLength + sizeLength, size: unknown ? null : size };
+}
+
+/**
+ * Read an element header from a file
+ * @param {FileWindow} file - File
+ * @param {number} position - Header offset
+ * @returns {Promise<Object|null>} { id, start, dataStart, end } (end null if the size is unknown)
+ */
+async function readHeader(file, position) {
+    const header = parseHeader(await file.read(position, 12));
+    if (!header) return null;
+
+    const dataStart = position + header.headerSize;
+    return {
+        id: header.id,
+        start: position,
+        dataStart,
+        end: header.size === null ? null : dataStart + header.size
+    };
+}
+
+/**
+ * Split the data of a master element held in memory
+ * @param {Buffer} data - Element data
+ * @returns {Array} { id, raw, data } for each child
+ */
+function parseChildren(data) {
+    const children = [];
+    let offset = 0;
+
+    while (offset < data.length) {
+        const header = parseHeader(data, offset);
+        if (!header || header.size === null) break;
+
+        const end = offset + header.headerSize + header.size;
+        children.push({
+            id: header.id,
+            raw: data.subarray(offset, end),
+            data: data.subarray(offset + header.headerSize, end)
+        });
+        offset = end;
+    }
+    return children;
+}
+
+/**
+ * Find the Info, Tracks and clusters of a live WebM file
+ * @param {FileWindow} file - File
+ * @returns {Promise<Object>} { ebmlEnd, info, tracks, clusters, lastTime }: info and
+ *   tracks are element headers, clusters are { dataStart, end, time }, lastTime is the
+ *   time of the last block (timecode scale units)
+ */
+async function scan(file) {
+    const ebml = await readHeader(file, 0);
+    if (!ebml || ebml.id !== ID.EBML || ebml.end === null) {
+        throw new Error('Not a WebM file');
+    }
+
+    const segment = await readHeader(file, ebml.end);
+    if (!segment || segment.id !== ID.Segment) {
+        throw new Error('WebM segment not found');
+    }
+    const segmentEnd = segment.end === null ? file.size : Math.min(file.size, segment.end);
+
+    const result = { ebmlEnd: ebml.end, info: null, tracks: null, clusters: [], lastTime: 0 };
+    let position = segment.dataStart;
+
+    while (position < segmentEnd) {
+        const element = await readHeader(file, position);
+        if (!element) break;
+
+        if (element.id === ID.Cluster) {
+            position = await scanCluster(file, element, segmentEnd, result);
+            continue;
+        }
+
+        // Other elements of unknown size cannot be skipped
+        if (element.end === null || element.end > segmentEnd) break;
+
+        if (element.id === ID.Info) {
+            result.info = element;
+        } else if (element.id === ID.Tracks) {
+            result.tracks = element;
+        }
+        position = element.end;
+    }
+
+    if (!result.info || !result.tracks || result.clusters.length === 0) {
+        throw new Error('Incomplete WebM file');
+    }
+    return result;
+}
+
+/**
+ * Read the timecode and block times of a cluster
+ * @param {FileWindow} file - File
+ * @param {Object} element - Cluster header
+ * @param {number} segmentEnd - End of the segment
+ * @param {Object} result - Scan result the cluster is added to
+ * @returns {Promise<number>} Offset after the cluster
+ */
+async function scanCluster(file, element, segmentEnd, result) {
+    const end = element.end === null ? segmentEnd : Math.min(segmentEnd, element.end);
+    const cluster = { dataStart: element.dataStart, end, time: 0 };
+    let position = element.dataStart;
+
+    while (position < end) {
+        const child = await readHeader(file, position);
+
+        // A new top-level element ends a cluster of unknown size,
+        // a truncated element ends the file
+        if (!child || child.end === null || TOP_LEVEL_IDS.has(child.id) || child.end > end) break;
+
+        if (child.id === ID.Timecode) {
+            const data = await file.read(child.dataStart, child.end - child.dataStart);
+            cluster.time = data.length > 0 ? data.readUIntBE(0, Math.min(data.length, 6)) : 0;
+        } else if (child.id === ID.SimpleBlock) {
+            await scanBlock(file, child.dataStart, cluster, result);
+        } else if (child.id === ID.BlockGroup) {
+            const block = await readHeader(file, child.dataStart);
+            if (block?.id === ID.Block) await scanBlock(file, block.dataStart, cluster, result);
+        }
+
+        position = child.end;
+    }
+
+    cluster.end = position;
+    result.clusters.push(cluster);
+    return position;
+}
+
+/**
+ * Track the latest block time (cluster timecode + block offset)
+ */
+async function scanBlock(file, dataStart, cluster, result) {
+    const bytes = await file.read(dataStart, 11);
+    const trackLength = vintLength(bytes[0]);
+    if (bytes.length < trackLength + 2) return;
+
+    result.lastTime = Math.max(result.lastTime, cluster.time + bytes.readInt16BE(trackLength));
+}
+
+/**
+ * Number of the track cues point to (the video track if any)
+ * @param {Buffer} tracksData - Tracks element data
+ * @returns {number} Track number
+ */
+function findCueTrack(tracksData) {
+    let first = null;
+
+    for (const entry of parseChildren(tracksData)) {
+        if (entry.id !== ID.TrackEntry) continue;
+
+        const fields = parseChildren(entry.data);
+        const number = fields.find(field => field.id === ID.TrackNumber);
+        const type = fields.find(field => field.id === ID.TrackType);
+        if (!number) continue;
+
+        const trackNumber = number.data.readUIntBE(0, Math.min(number.data.length, 6));
+        if (type && type.data[type.data.length - 1] === 1) return trackNumber;
+        if (first === null) first = trackNumber;
+    }
+    return first || 1;
+}
+
+/**
+ * Encode an element
+ * @param {number} id - Element ID
+ * @param {Buffer} data - Element data
+ * @returns {Buffer} Element
+ */
+function element(id, data) {
+    return Buffer.concat([encodeId(id), encodeSize(data.length), data]);
+}
+
+function encodeId(id) {
+    const length = Math.ceil(Math.log2(id + 1) / 8);
+    const buffer = Buffer.alloc(length);
+    buffer.writeUIntBE(id, 0, length);
+    return buffer;
+}
+
+/**
+ * Encode an element size (always 8 bytes)
+ */
+function encodeSize(size) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(size));
+    buffer[0] = 0x01;
+    return buffer;
+}
+
+/**
+ * Unsigned integer element, always 8 bytes so sizes do not depend on values
+ */
+function uintElement(id, value) {
+    const data = Buffer.alloc(8);
+    data.writeBigUInt64BE(BigInt(Math.max(0, Math.floor(value))));
+    return element(id, data);
+}
+
+/**
+ * Build the SeekHead of the rewritten file
+ * @param {Array} entries - [id, segment position] pairs
+ * @returns {Buffer} SeekHead element
+ */
+function buildSeekHead(entries) {
+    return element(ID.SeekHead, Buffer.concat(entries.map(([id, position]) => element(ID.Seek, Buffer.concat([
+        element(ID.SeekID, encodeId(id)),
+        uintElement(ID.SeekPosition, position)
+    ])))));
+}
+
+/**
+ * Make a MediaRecorder WebM file seekable, in place
+ * @param {string} filePath - WebM file
+ * @param {number} fallbackDuration - Duration in milliseconds, used if blocks have no times
+ * @returns {Promise<void>}
+ * @throws {Error} If the file cannot be read as WebM or the copy cannot be written
+ *   (the file is left untouched and the partial copy removed)
+ */
+async function makeSeekable(filePath, fallbackDuration = 0) {
+    const tempPath = `${filePath}.tmp`;
+    const input = await fs.promises.open(filePath, 'r');
+    let output = null;
+
+    try {
+        const file = new FileWindow(input, (await input.stat()).size);
+        const { ebmlEnd, info, tracks, clusters, lastTime } = await scan(file);
+
+        // Info: duration added (replaced if present), in timecode scale units
+        const infoChildren = parseChildren(Buffer.from(await file.read(info.dataStart, info.end - info.dataStart)));
+        const scale = infoChildren.find(child => child.id === ID.TimecodeScale);
+        const timecodeScale = scale ? scale.data.readUIntBE(0, Math.min(scale.data.length, 6)) : 1000000;
+
+        const duration = Buffer.alloc(8);
+        duration.writeDoubleBE(lastTime > 0 ? lastTime : fallbackDuration * 1000000 / timecodeScale);
+        const infoElement = element(ID.Info, Buffer.concat([
+            ...infoChildren.filter(child => child.id !== ID.Duration).map(child => child.raw),
+            element(ID.Duration, duration)
+        ]));
+
+        const tracksElement = Buffer.from(await file.read(tracks.start, tracks.end - tracks.start));
+        const cueTrack = findCueTrack(tracksElement.subarray(tracks.dataStart - tracks.start));
+
+        // Layout: SeekHead, Info, Tracks, clusters back to back, Cues.
+        // Positions are 8-byte values, so the SeekHead size is known up front.
+        const seekHeadSize = buildSeekHead([[ID.Info, 0], [ID.Tracks, 0], [ID.Cues, 0]]).length;
+        const infoPosition = seekHeadSize;
+        const tracksPosition = infoPosition + infoElement.length;
+
+        let position = tracksPosition + tracksElement.length;
+        const cuePoints = clusters.map(cluster => {
+            const cuePoint = element(ID.CuePoint, Buffer.concat([
+                uintElement(ID.CueTime, cluster.time),
+                element(ID.CueTrackPositions, Buffer.concat([
+                    uintElement(ID.CueTrack, cueTrack),
+                    uintElement(ID.CueClusterPosition, position)
+                ]))
+            ]));
+            position += CLUSTER_HEADER_SIZE + cluster.end - cluster.dataStart;
+            return cuePoint;
+        });
+        const cuesElement = element(ID.Cues, Buffer.concat(cuePoints));
+        const seekHead = buildSeekHead([[ID.Info, infoPosition], [ID.Tracks, tracksPosition], [ID.Cues, position]]);
+
+        // Write the new file next to the old one, then replace it
+        output = await fs.promises.open(tempPath, 'w');
+        await output.write(Buffer.concat([
+            Buffer.from(await file.read(0, ebmlEnd)),
+            encodeId(ID.Segment),
+            encodeSize(position + cuesElement.length),
+            seekHead,
+            infoElement,
+            tracksElement
+        ]));
+
+        const buffer = Buffer.alloc(CHUNK_SIZE);
+        for (const cluster of clusters) {
+            await output.write(Buffer.concat([encodeId(ID.Cluster), encodeSize(cluster.end - cluster.dataStart)]));
+
+            for (let offset = cluster.dataStart; offset < cluster.end;) {
+                const { bytesRead } = await input.read(buffer, 0, Math.min(CHUNK_SIZE, cluster.end - offset), offset);
+                if (bytesRead === 0) throw new Error('Recording file changed while finalizing');
+                await output.write(buffer, 0, bytesRead);
+                offset += bytesRead;
+            }
+        }
+
+        await output.write(cuesElement);
+        await output.close();
+        await input.close();
+        await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+        await output?.close().catch(() => { });
+        await input.close().catch(() => { });
+        await fs.promises.rm(tempPath, { force: true }).catch(() => { });
+        throw error;
+    }
+}
+
+module.exports = { makeSeekable };
@@ -11,6 +11,7 @@ export class DashAdapter {
         this.player = null;
         this.onStateChange = null;
         this.onError = null;
+        this.onFragmentError = null;
         this.onLevelsAvailable = null;
     }
 
@@ -25,9 +26,11 @@ export class DashAdapter {
     /**
      * Load a DASH stream
      * @param {string} url - DASH manifest URL (.mpd)
+     * @param {Object} headers - HTTP headers required by the stream
+     * @param {Object|null} drm - DRM configuration from #KODIPROP
      * @returns {Promise<void>}
      */
-    load(url) {
+    load(url, headers = {}, drm = null) {
         return new Promise((resolve, reject) => {
             // Clean up previous instance
             this.destroy();
@@ -57,6 +60,31 @@ export class DashAdapter {
                     }
                 });
 
+                // Add stream headers to every request (forbidden ones such as
+                // User-Agent and Referer are applied by the main process session)
+                if (Object.keys(headers).length > 0) {
+                    this.player.extend('RequestModifier', () => ({
+                        modifyRequestHeader: (xhr) => {
+                            for (const [name, value] of Object.entries(headers)) {
+                                try {
+                                    xhr.setRequestHeader(name, value);
+                                } catch (error) {
+                                    console.warn(`[DashAdapter] Cannot set header ${name}:`, error.message);
+                                }
+                            }
+                            return xhr;
+                        },
+                        modifyRequestURL: (requestUrl) => requestUrl
+                    }), true);
+                }
+
+                // Protected content
+                if (drm?.type === 'clearkey') {
+                    this.player.setProtectionData(DashAdapter.buildClearKeyProtection(drm));
+                } else if (drm) {
+                    console.warn(`[DashAdapter] Unsupported DRM type: ${drm.type}`);
+                }
+
                 // Error handling
                 this.player.on(window.dashjs.MediaPlayer.events.ERROR, (e) => {
                     console.error('[DashAdapter] Error:', e);
@@ -65,6 +93,14 @@ export class DashAdapter {
                     }
                 });
 
+                // Failed segment downloads are counted for stall detection
+                // (downloads abandoned to switch quality are not failures)
+                this.player.on(window.dashjs.MediaPlayer.events.FRAGMENT_LOADING_COMPLETED, (e) => {
+                    if (e.error && this.onFragmentError) {
+                        this.onFragmentError(e);
+                    }
+                });
+
                 // Stream initialized
                 this.player.on(window.dashjs.MediaPlayer.events.STREAM_INITIALIZED, () => {
                     console.log('[DashAdapter] Stream initialized');
@@ -93,6 +129,49 @@ export class DashAdapter {
         });
     }
 
+    /**
+     * Build dash.js protection data for ClearKey
+     * @param {Object} drm - { keys, licenseUrl, licenseHeaders }
+     * @returns {Object} Protection data keyed by key system
+     */
+    static buildClearKeyProtection(drm) {
+        const clearkey = {};
+
+        // Inline keys: dash.js expects base64url KIDs and keys
+        const keys = Object.entries(drm.keys || {});
+        if (keys.length > 0) {
+            clearkey.clearkeys = Object.fromEntries(
+                keys.map(([kid, key]) => [DashAdapter.toBase64Url(kid), DashAdapter.toBase64Url(key)])
+            );
+        }
+
+        if (drm.licenseUrl) {
+            clearkey.serverURL = drm.licenseUrl;
+            if (Object.keys(drm.licenseHeaders || {}).length > 0) {
+                clearkey.httpRequestHeaders = drm.licenseHeaders;
+            }
+        }
+
+        return { 'org.w3.clearkey': clearkey };
+    }
+
+    /**
+     * Convert a hex (optionally UUID formatted) or base64 key to base64url
+     * @param {string} value - Key or KID
+     * @returns {string} Unpadded base64url
+     */
+    static toBase64Url(value) {
+        const hex = value.replace(/-/g, '');
+        let base64 = value;
+
+        if (/^[0-9a-f]{32}$/i.test(hex)) {
+            const bytes = hex.match(/../g).map(byte => parseInt(byte, 16));
+            base64 = btoa(String.fromCharCode(...bytes));
+        }
+
+        return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
     /**
      * Get available quality levels
      * @returns {Array} Quality levels
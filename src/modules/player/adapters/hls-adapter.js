@@ -11,6 +11,7 @@ export class HlsAdapter {
         this.hls = null;
         this.onStateChange = null;
         this.onError = null;
+        this.onFragmentError = null;
         this.onLevelsAvailable = null;
     }
 
@@ -25,9 +26,10 @@ export class HlsAdapter {
     /**
      * Load an HLS stream
      * @param {string} url - HLS manifest URL (.m3u8)
+     * @param {Object} headers - HTTP headers required by the stream
      * @returns {Promise<void>}
      */
-    load(url) {
+    load(url, headers = {}) {
         return new Promise((resolve, reject) => {
             // Clean up previous instance
             this.destroy();
@@ -60,7 +62,9 @@ export class HlsAdapter {
                 maxBufferLength: 30,
                 maxMaxBufferLength: 60,
                 startLevel: -1, // Auto quality
-                debug: false
+                liveDurationInfinity: true, // Live streams are not on-demand content
+                debug: false,
+                xhrSetup: (xhr) => HlsAdapter.setRequestHeaders(xhr, headers)
             });
 
             // Error handling
@@ -74,8 +78,8 @@ export class HlsAdapter {
 
                     switch (data.type) {
                         case window.Hls.ErrorTypes.NETWORK_ERROR:
-                            console.log('[HlsAdapter] Network error, trying to recover...');
-                            this.hls.startLoad();
+                            // Reloading is left to the PlayerManager reconnect supervisor
+                            console.log('[HlsAdapter] Network error');
                             break;
                         case window.Hls.ErrorTypes.MEDIA_ERROR:
                             console.log('[HlsAdapter] Media error, trying to recover...');
@@ -89,6 +93,8 @@ export class HlsAdapter {
                             }
                             break;
                     }
+                } else if (data.details?.startsWith('frag') && this.onFragmentError) {
+                    this.onFragmentError(data);
                 }
             });
 
@@ -126,6 +132,31 @@ export class HlsAdapter {
         });
     }
 
+    /**
+     * Add stream headers to a manifest, key or segment request.
+     * Headers the browser forbids (User-Agent, Referer) are
+     * applied by the main process session instead.
+     * @param {XMLHttpRequest} xhr - Request being opened
+     * @param {Object} headers - Header name -> value
+     */
+    static setRequestHeaders(xhr, headers) {
+        for (const [name, value] of Object.entries(headers)) {
+            try {
+                xhr.setRequestHeader(name, value);
+            } catch (error) {
+                console.warn(`[HlsAdapter] Cannot set header ${name}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Get the position hls.js plays a live stream at
+     * @returns {number|null} Live position in seconds, or null
+     */
+    getLiveSyncPosition() {
+        return this.hls?.liveSyncPosition ?? null;
+    }
+
     /**
      * Get available quality levels
      * @returns {Array} Quality levels
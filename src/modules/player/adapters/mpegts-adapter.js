@@ -0,0 +1,145 @@
+/**
+ * MPEG-TS Adapter - Raw MPEG Transport Stream Support
+ *
+ * Uses mpegts.js to demux MPEG-TS over HTTP (.ts or
+ * extension-less IPTV URLs) into Media Source Extensions.
+ * Implements the common player adapter interface.
+ */
+
+export class MpegtsAdapter {
+    constructor(videoElement) {
+        this.videoElement = videoElement;
+        this.mpegtsPlayer = null;
+
+        // loadedmetadata listener of the load in progress
+        this.metadataHandler = null;
+
+        this.onStateChange = null;
+        this.onError = null;
+        this.onLevelsAvailable = null;
+    }
+
+    /**
+     * Check if MPEG-TS playback is supported
+     * @returns {boolean} Support status
+     */
+    static isSupported() {
+        return !!window.mpegts && window.mpegts.getFeatureList().mseLivePlayback;
+    }
+
+    /**
+     * Load an MPEG-TS stream
+     * @param {string} url - Transport stream URL
+     * @param {Object} headers - HTTP headers required by the stream
+     * @returns {Promise<void>}
+     */
+    load(url, headers = {}) {
+        return new Promise((resolve, reject) => {
+            // Clean up previous instance
+            this.destroy();
+
+            if (!MpegtsAdapter.isSupported()) {
+                reject(new Error('MPEG-TS playback is not supported'));
+                return;
+            }
+
+            let resolved = false;
+
+            this.mpegtsPlayer = window.mpegts.createPlayer({
+                type: 'mpegts',
+                isLive: true,
+                url
+            }, {
+                enableWorker: true,
+                lazyLoad: false,
+                liveBufferLatencyChasing: true,
+                liveBufferLatencyMaxLatency: 10,
+                liveBufferLatencyMinRemain: 3,
+                headers
+            });
+
+            // Error handling (mpegts.js errors are not recoverable)
+            this.mpegtsPlayer.on(window.mpegts.Events.ERROR, (errorType, details, info) => {
+                console.error('[MpegtsAdapter] Error:', errorType, details, info);
+
+                const error = {
+                    type: errorType === window.mpegts.ErrorTypes.NETWORK_ERROR ? 'networkError' : 'mediaError',
+                    details,
+                    fatal: true
+                };
+
+                if (!resolved) {
+                    resolved = true;
+                    this.removeMetadataHandler();
+                    reject(error);
+                    return;
+                }
+
+                if (this.onError) {
+                    this.onError(error);
+                }
+            });
+
+            // Stream demuxed and playable
+            this.metadataHandler = () => {
+                this.removeMetadataHandler();
+                if (resolved || !this.mpegtsPlayer) return;
+                resolved = true;
+
+                console.log('[MpegtsAdapter] Stream loaded');
+
+                if (this.onLevelsAvailable) {
+                    this.onLevelsAvailable();
+                }
+
+                this.videoElement.play().catch(err => {
+                    console.warn('[MpegtsAdapter] Autoplay blocked:', err);
+                });
+                resolve();
+            };
+            this.videoElement.addEventListener('loadedmetadata', this.metadataHandler);
+
+            this.mpegtsPlayer.attachMediaElement(this.videoElement);
+            this.mpegtsPlayer.load();
+        });
+    }
+
+    /**
+     * A transport stream carries a single rendition
+     * @returns {Array} Empty array
+     */
+    getQualityLevels() {
+        return [];
+    }
+
+    /**
+     * Quality selection not applicable for transport streams
+     */
+    setQuality() {
+        // No-op for MPEG-TS
+    }
+
+    /**
+     * Stop waiting for the stream's metadata
+     */
+    removeMetadataHandler() {
+        if (this.metadataHandler) {
+            this.videoElement.removeEventListener('loadedmetadata', this.metadataHandler);
+            this.metadataHandler = null;
+        }
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.removeMetadataHandler();
+
+        if (this.mpegtsPlayer) {
+            this.mpegtsPlayer.unload();
+            this.mpegtsPlayer.detachMediaElement();
+            this.mpegtsPlayer.destroy();
+            this.mpegtsPlayer = null;
+        }
+    }
+}
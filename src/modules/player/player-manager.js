@@ -8,24 +8,85 @@
  * Supported formats:
  * - HLS (.m3u8) via hls.js
  * - DASH (.mpd) via dashjs
+ * - MPEG-TS (.ts and untyped IPTV URLs) via mpegts.js
  * - Native formats (mp4, webm) via HTML5 video
+ *
+ * A stream can have alternate sources (mirrors). When a source
+ * fails to load, times out or hits a fatal error, the next one
+ * is tried before an error is reported. Streams that stall while
+ * playing are reloaded with backoff by the ReconnectSupervisor.
+ *
+ * Live HLS streams can be played through a timeshift buffer kept
+ * on disk by the main process, so they can be paused and rewound.
  */
 
 import { HlsAdapter } from './adapters/hls-adapter.js';
 import { DashAdapter } from './adapters/dash-adapter.js';
 import { NativeAdapter } from './adapters/native-adapter.js';
+import { MpegtsAdapter } from './adapters/mpegts-adapter.js';
+import { ReconnectSupervisor } from './reconnect-supervisor.js';
 
 export class PlayerManager {
     constructor(videoElement) {
         this.videoElement = videoElement;
         this.currentAdapter = null;
         this.currentUrl = null;
+        this.currentStreamType = null;
         this.loadTimeoutId = null;
 
+        // Sources of the current stream and the one being played
+        this.sources = [];
+        this.sourceIndex = 0;
+
+        // Adapter type that worked for each source
+        this.sourceTypes = [];
+
+        // HTTP headers and DRM required by each source URL
+        this.sourceOptions = {};
+
+        // Increments on every load so stale attempts can be ignored
+        this.loadAttempt = 0;
+        this.rejectLoad = null;
+
+        // Source and position to restore when reconnecting
+        this.reconnectIndex = 0;
+        this.reconnectPosition = null;
+
+        // Live timeshift window in seconds (0 disables buffering)
+        this.timeshiftWindow = 0;
+        this.timeshiftId = null;
+
+        this.supervisor = new ReconnectSupervisor(videoElement);
+        this.supervisor.onReconnecting = (attempt, maxAttempts) => {
+            // Remember what was playing when the stall began
+            if (attempt === 1) {
+                this.reconnectIndex = this.sourceIndex;
+                this.reconnectPosition = this.isSeekable() ? this.videoElement.currentTime : null;
+            }
+            if (this.onReconnecting) {
+                this.onReconnecting(attempt, maxAttempts);
+            }
+        };
+        this.supervisor.onReconnect = () => this.reconnect();
+        this.supervisor.onRecovered = () => {
+            if (this.onReconnected) {
+                this.onReconnected();
+            }
+        };
+        this.supervisor.onGiveUp = (reason) => {
+            this.resetPlayback();
+            if (this.onError) {
+                const error = new Error(`Reconnect failed: ${reason}`);
+                error.type = 'reconnectError';
+                this.onError(error);
+            }
+        };
+
         // Available adapters
         this.adapters = {
             hls: new HlsAdapter(videoElement),
             dash: new DashAdapter(videoElement),
+            mpegts: new MpegtsAdapter(videoElement),
             native: new NativeAdapter(videoElement)
         };
 
@@ -35,14 +96,40 @@ export class PlayerManager {
         this.onTimeUpdate = null;
         this.onQualityChanged = null;
         this.onLevelsAvailable = null;
+        this.onStop = null;
+        this.onSourceChange = null;
+        this.onSourceWorking = null;
+        this.onReconnecting = null;
+        this.onReconnected = null;
+    }
+
+    /**
+     * Detect stream type from the response of the URL (Content-Type
+     * and first bytes), probed in the main process
+     * @param {string} url - Stream URL
+     * @param {Object} headers - HTTP headers required by the stream
+     * @returns {Promise<string|null>} Adapter type, or null if inconclusive
+     */
+    async probeStreamType(url, headers = {}) {
+        if (!window.electronAPI?.probeStream) return null;
+
+        try {
+            const result = await window.electronAPI.probeStream(url, headers);
+            if (result?.type && this.adapters[result.type]) {
+                return result.type;
+            }
+        } catch (error) {
+            console.warn('[PlayerManager] Stream probe failed:', error);
+        }
+        return null;
     }
 
     /**
-     * Detect stream type based on URL
+     * Guess stream type from URL patterns (fallback when probing fails)
      * @param {string} url - Stream URL
-     * @returns {string} Adapter type: 'hls', 'dash', or 'native'
+     * @returns {string|null} Adapter type: 'hls', 'dash', 'mpegts', 'native', or null if the URL gives no hint
      */
-    detectStreamType(url) {
+    matchStreamType(url) {
         const lowerUrl = url.toLowerCase();
 
         // Check for HLS streams
@@ -61,57 +148,163 @@ export class PlayerManager {
             return 'dash';
         }
 
+        // Check for raw MPEG transport streams
+        if (/\.ts($|[?#])/.test(lowerUrl) ||
+            lowerUrl.includes('output=ts') ||
+            lowerUrl.includes('output=mpegts')) {
+            return 'mpegts';
+        }
+
         // Default to HLS for IPTV streams (most common)
         // Native formats would have clear extensions like .mp4, .webm
         if (lowerUrl.includes('.mp4') ||
             lowerUrl.includes('.webm') ||
             lowerUrl.includes('.ogg') ||
-            lowerUrl.includes('.mov')) {
+            lowerUrl.includes('.mov') ||
+            lowerUrl.includes('.mkv')) {
             return 'native';
         }
 
-        // Default to HLS for unknown stream types (most IPTV uses HLS)
-        return 'hls';
+        return null;
     }
 
     /**
      * Load and play a stream
      * @param {string} url - Stream URL
+     * @param {Array} alternates - Mirror URLs tried if the stream fails
+     * @param {Object} options - Source URL -> { headers, drm } it requires
      * @returns {Promise<boolean>} Success status
      */
-    async load(url) {
+    async load(url, alternates = [], options = {}) {
         // Stop current playback
         this.stop();
 
-        // Detect stream type
-        const streamType = this.detectStreamType(url);
-        console.log(`[PlayerManager] Loading ${streamType} stream: ${url}`);
+        this.sources = [...new Set([url, ...alternates].filter(Boolean))];
+        this.sourceTypes = [];
+        this.sourceOptions = options;
+        return this.loadSource(0);
+    }
+
+    /**
+     * Load one of the current stream's sources, failing over
+     * to the next one on error
+     * @param {number} index - Source index
+     * @param {string} streamType - Adapter type (probed if omitted)
+     * @returns {Promise<boolean>} Success status
+     */
+    async loadSource(index, streamType = null) {
+        // Tear down the previous source without ending the session
+        this.resetPlayback();
+
+        const url = this.sources[index];
+        const { headers = {}, drm = null } = this.sourceOptions[url] || {};
+        const attempt = ++this.loadAttempt;
+        this.sourceIndex = index;
+
+        if (this.onSourceChange) {
+            this.onSourceChange(index, this.sources.length, url);
+        }
+
+        // Reuse the type that worked before, else probe the stream,
+        // falling back to URL heuristics
+        if (!streamType) {
+            streamType = this.sourceTypes[index] || await this.probeStreamType(url, headers) || this.matchStreamType(url);
+            if (attempt !== this.loadAttempt) return false;
+        }
+
+        // Headers browsers cannot set themselves are added by the main process
+        if (window.electronAPI?.setStreamHeaders) {
+            await window.electronAPI.setStreamHeaders(url, headers);
+            if (attempt !== this.loadAttempt) return false;
+        }
+
+        // Nothing identified the stream: try HLS, then MPEG-TS
+        const guessed = !streamType;
+        streamType = streamType || 'hls';
+        console.log(`[PlayerManager] Loading ${streamType} stream (source ${index + 1}/${this.sources.length}): ${url}`);
+
+        // Live HLS plays from the local timeshift buffer when one can be made
+        let loadUrl = url;
+        let loadHeaders = headers;
+        if (streamType === 'hls' && !guessed && this.timeshiftWindow > 0) {
+            const buffer = await this.startTimeshift(url, headers);
+            if (attempt !== this.loadAttempt) {
+                if (buffer) window.electronAPI.stopTimeshift(buffer.id);
+                return false;
+            }
+            if (buffer) {
+                loadUrl = buffer.url;
+                loadHeaders = {};
+                this.timeshiftId = buffer.id;
+            }
+        }
 
         // Select appropriate adapter
         this.currentAdapter = this.adapters[streamType];
         this.currentUrl = url;
+        this.currentStreamType = streamType;
 
         // Setup adapter event listeners
         this.setupAdapterEvents();
 
         try {
             // Add timeout to prevent indefinite loading
-            const loadPromise = this.currentAdapter.load(url);
+            const loadPromise = this.currentAdapter.load(loadUrl, loadHeaders, drm);
             const timeoutPromise = new Promise((_, reject) => {
                 this.loadTimeoutId = setTimeout(() => reject(new Error('Load timeout')), 30000);
             });
 
-            const result = await Promise.race([loadPromise, timeoutPromise]);
+            // Settled early by fatal adapter errors or stop()
+            const abortPromise = new Promise((_, reject) => {
+                this.rejectLoad = reject;
+            });
+
+            await Promise.race([loadPromise, timeoutPromise, abortPromise]);
+            if (attempt !== this.loadAttempt) return false;
 
             // Clear timeout on success
             if (this.loadTimeoutId) {
                 clearTimeout(this.loadTimeoutId);
                 this.loadTimeoutId = null;
             }
+            this.rejectLoad = null;
+            this.sourceTypes[index] = streamType;
+
+            // Watch for stalls from now on
+            this.supervisor.start();
 
+            if (this.onSourceWorking) {
+                this.onSourceWorking(url);
+            }
             return true;
         } catch (error) {
+            // A newer load or stop() superseded this attempt
+            if (attempt !== this.loadAttempt) return false;
+
+            if (this.loadTimeoutId) {
+                clearTimeout(this.loadTimeoutId);
+                this.loadTimeoutId = null;
+            }
+            this.rejectLoad = null;
+
             console.error('[PlayerManager] Load error:', error);
+
+            // URLs without a type hint may be raw MPEG-TS rather than HLS
+            if (guessed && MpegtsAdapter.isSupported()) {
+                console.log('[PlayerManager] HLS failed, retrying as MPEG-TS');
+                return this.loadSource(index, 'mpegts');
+            }
+
+            if (this.hasNextSource()) {
+                return this.loadSource(index + 1);
+            }
+
+            // Every source failed while reconnecting: back off and retry
+            if (this.supervisor.isReconnecting()) {
+                this.supervisor.reconnect('load failed');
+                return false;
+            }
+
             if (this.onError) {
                 this.onError(error);
             }
@@ -119,6 +312,113 @@ export class PlayerManager {
         }
     }
 
+    /**
+     * Check whether another source is left to try
+     * @returns {boolean} True if a mirror remains
+     */
+    hasNextSource() {
+        return this.sourceIndex + 1 < this.sources.length;
+    }
+
+    /**
+     * Switch to the next source after a fatal error during playback
+     * @param {Object} error - Adapter error
+     */
+    async failover(error) {
+        console.warn(`[PlayerManager] Source ${this.sourceIndex + 1} failed, trying next source`);
+
+        // Still loading: let loadSource move on to the next source
+        if (this.rejectLoad) {
+            this.rejectLoad(error);
+            return;
+        }
+
+        if (await this.loadSource(this.sourceIndex + 1)) {
+            this.play();
+        }
+    }
+
+    /**
+     * Reload the stream after a stall, starting with the source
+     * that was playing
+     */
+    async reconnect() {
+        const position = this.reconnectPosition;
+
+        if (await this.loadSource(this.reconnectIndex)) {
+            this.play();
+
+            // On-demand content continues where it stalled
+            if (position !== null) {
+                this.seek(position);
+            }
+        }
+    }
+
+    /**
+     * Set how many reconnect attempts are made before giving up
+     * @param {number} attempts - Attempt limit (0 disables reconnecting)
+     */
+    setReconnectLimit(attempts) {
+        this.supervisor.maxAttempts = Math.max(0, Number(attempts) || 0);
+    }
+
+    /**
+     * Start buffering a live HLS stream to disk
+     * @param {string} url - HLS playlist URL
+     * @param {Object} headers - HTTP headers required by the stream
+     * @returns {Promise<Object|null>} { id, url } of the local playlist, or null if not buffered
+     */
+    async startTimeshift(url, headers = {}) {
+        if (!window.electronAPI?.startTimeshift) return null;
+
+        try {
+            const result = await window.electronAPI.startTimeshift(url, headers, this.timeshiftWindow);
+            if (result?.url) {
+                return result;
+            }
+        } catch (error) {
+            console.warn('[PlayerManager] Timeshift buffer failed:', error);
+        }
+        return null;
+    }
+
+    /**
+     * Set how much of a live stream is kept for pause and rewind
+     * @param {number} minutes - Window length (0 disables timeshift)
+     */
+    setTimeshiftWindow(minutes) {
+        this.timeshiftWindow = Math.max(0, Number(minutes) || 0) * 60;
+    }
+
+    /**
+     * Get the rewindable range of a timeshifted live stream
+     * @returns {Object|null} { start, end, live } in seconds (live is the
+     *   live playback position), or null if the stream is not timeshifted
+     */
+    getLiveWindow() {
+        if (!this.timeshiftId || !this.currentAdapter || this.isSeekable()) return null;
+
+        const seekable = this.videoElement.seekable;
+        if (!seekable || seekable.length === 0) return null;
+
+        const start = seekable.start(0);
+        const end = seekable.end(seekable.length - 1);
+        const sync = this.currentAdapter.getLiveSyncPosition?.();
+        return { start, end, live: Number.isFinite(sync) ? Math.min(sync, end) : end };
+    }
+
+    /**
+     * Return a timeshifted stream to the live position
+     */
+    seekToLive() {
+        const liveWindow = this.getLiveWindow();
+        if (!liveWindow) return;
+
+        this.videoElement.currentTime = liveWindow.live;
+        this.play();
+    }
+
     /**
      * Setup event forwarding from adapter
      */
@@ -132,6 +432,27 @@ export class PlayerManager {
         };
 
         this.currentAdapter.onError = (error) => {
+            // HLS marks recoverable errors as non-fatal; DASH and native errors are always fatal
+            const fatal = error?.fatal !== false;
+
+            // Try a mirror before reporting the error
+            if (fatal && this.hasNextSource()) {
+                this.failover(error);
+                return;
+            }
+
+            // Still loading: fail the load so it is reported (or retried) once
+            if (fatal && this.rejectLoad) {
+                this.rejectLoad(error);
+                return;
+            }
+
+            // Network failures of a playing stream are retried with backoff
+            if (fatal && error?.type === 'networkError') {
+                this.supervisor.reconnect('network error');
+                return;
+            }
+
             // If it's a fatal error, cancel the timeout to prevent duplicate errors
             if (error && error.fatal) {
                 if (this.loadTimeoutId) {
@@ -145,6 +466,8 @@ export class PlayerManager {
             }
         };
 
+        this.currentAdapter.onFragmentError = () => this.supervisor.reportFragmentError();
+
         this.currentAdapter.onLevelsAvailable = () => {
             if (this.onLevelsAvailable) {
                 this.onLevelsAvailable();
@@ -185,12 +508,46 @@ export class PlayerManager {
      * Stop playback and clean up
      */
     stop() {
+        // Let listeners read the final position before teardown
+        if (this.currentUrl && this.onStop) {
+            this.onStop(this.currentUrl);
+        }
+
+        this.supervisor.stop();
+        this.resetPlayback();
+        this.currentUrl = null;
+        this.currentStreamType = null;
+        this.sources = [];
+        this.sourceIndex = 0;
+        this.sourceOptions = {};
+        this.reconnectPosition = null;
+    }
+
+    /**
+     * Cancel any pending load and release the current adapter
+     */
+    resetPlayback() {
+        this.supervisor.pause();
+
+        // Invalidate the pending load, if any
+        this.loadAttempt++;
+        if (this.rejectLoad) {
+            this.rejectLoad(new Error('Load cancelled'));
+            this.rejectLoad = null;
+        }
+
         // Cancel any pending load timeout
         if (this.loadTimeoutId) {
             clearTimeout(this.loadTimeoutId);
             this.loadTimeoutId = null;
         }
 
+        // Discard the timeshift buffer of the previous source
+        if (this.timeshiftId) {
+            window.electronAPI?.stopTimeshift(this.timeshiftId);
+            this.timeshiftId = null;
+        }
+
         if (this.currentAdapter) {
             this.currentAdapter.destroy();
             this.currentAdapter = null;
@@ -201,7 +558,32 @@ export class PlayerManager {
             this.videoElement.removeAttribute('src');
             this.videoElement.load();
         }
-        this.currentUrl = null;
+    }
+
+    /**
+     * Check whether the current stream has a finite duration
+     * @returns {boolean} True for on-demand content
+     */
+    isSeekable() {
+        const duration = this.videoElement?.duration;
+        return Number.isFinite(duration) && duration > 0;
+    }
+
+    /**
+     * Seek to a position (on-demand content, or within the
+     * timeshift window of a live stream)
+     * @param {number} time - Position in seconds
+     */
+    seek(time) {
+        if (this.isSeekable()) {
+            this.videoElement.currentTime = Math.max(0, Math.min(time, this.videoElement.duration));
+            return;
+        }
+
+        const liveWindow = this.getLiveWindow();
+        if (liveWindow) {
+            this.videoElement.currentTime = Math.max(liveWindow.start, Math.min(time, liveWindow.live));
+        }
     }
 
     /**
@@ -248,7 +630,7 @@ export class PlayerManager {
             duration: this.videoElement.duration,
             volume: this.videoElement.volume,
             muted: this.videoElement.muted,
-            streamType: this.currentAdapter ? this.detectStreamType(this.currentUrl) : null
+            streamType: this.currentAdapter ? this.currentStreamType : null
         };
     }
 
@@ -0,0 +1,190 @@
+/**
+ * ReconnectSupervisor - Stall Detection and Reconnect Scheduling
+ *
+ * Watches the video element while a stream plays and reports
+ * stalls: no playback progress, buffering ("waiting") for too
+ * long, or repeated fragment errors. Reconnects are scheduled
+ * with exponential backoff until the attempt limit is reached.
+ */
+
+export class ReconnectSupervisor {
+    constructor(videoElement) {
+        this.videoElement = videoElement;
+
+        // Attempts before giving up (0 disables reconnecting)
+        this.maxAttempts = 5;
+
+        // Backoff: 1s, 2s, 4s... capped at 30s
+        this.baseDelay = 1000;
+        this.maxDelay = 30000;
+
+        // Stall thresholds
+        this.stallTimeout = 15000;
+        this.waitingTimeout = 10000;
+        this.fragmentErrorLimit = 3;
+        this.fragmentErrorWindow = 30000;
+
+        this.active = false;
+        this.attempt = 0;
+        this.checkInterval = null;
+        this.retryTimeout = null;
+        this.lastTime = 0;
+        this.lastProgressAt = 0;
+        this.waitingSince = null;
+        this.fragmentErrors = [];
+
+        // Event callbacks
+        this.onReconnecting = null;
+        this.onReconnect = null;
+        this.onRecovered = null;
+        this.onGiveUp = null;
+
+        this.videoElement.addEventListener('timeupdate', () => this.handleTimeUpdate());
+        this.videoElement.addEventListener('waiting', () => {
+            this.waitingSince = Date.now();
+        });
+        this.videoElement.addEventListener('playing', () => {
+            this.waitingSince = null;
+        });
+    }
+
+    /**
+     * Start watching the loaded stream
+     */
+    start() {
+        this.pause();
+
+        this.active = true;
+        this.lastTime = this.videoElement.currentTime;
+        this.lastProgressAt = Date.now();
+        this.waitingSince = null;
+        this.fragmentErrors = [];
+        this.checkInterval = setInterval(() => this.check(), 1000);
+    }
+
+    /**
+     * Stop watching without resetting the attempt count
+     * (used while a stream is being reloaded)
+     */
+    pause() {
+        this.active = false;
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+
+    /**
+     * Stop watching and cancel any scheduled reconnect
+     */
+    stop() {
+        this.pause();
+        if (this.retryTimeout) {
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
+        }
+        this.attempt = 0;
+    }
+
+    /**
+     * Check whether a reconnect is in progress
+     * @returns {boolean} True while reconnecting
+     */
+    isReconnecting() {
+        return this.attempt > 0;
+    }
+
+    /**
+     * Track playback progress
+     */
+    handleTimeUpdate() {
+        const currentTime = this.videoElement.currentTime;
+        if (!this.active || currentTime === this.lastTime) return;
+
+        this.lastTime = currentTime;
+        this.lastProgressAt = Date.now();
+        this.waitingSince = null;
+
+        // Playing again after a reconnect
+        if (this.attempt > 0) {
+            console.log(`[ReconnectSupervisor] Recovered after ${this.attempt} attempt(s)`);
+            this.attempt = 0;
+            if (this.onRecovered) {
+                this.onRecovered();
+            }
+        }
+    }
+
+    /**
+     * Count a failed fragment download
+     */
+    reportFragmentError() {
+        if (!this.active) return;
+
+        const now = Date.now();
+        this.fragmentErrors = this.fragmentErrors.filter(time => now - time < this.fragmentErrorWindow);
+        this.fragmentErrors.push(now);
+
+        if (this.fragmentErrors.length >= this.fragmentErrorLimit) {
+            this.reconnect('repeated fragment errors');
+        }
+    }
+
+    /**
+     * Periodic stall check
+     */
+    check() {
+        if (!this.active) return;
+
+        const now = Date.now();
+
+        // Paused or finished media is not stalled
+        if (this.videoElement.paused || this.videoElement.ended) {
+            this.lastProgressAt = now;
+            this.waitingSince = null;
+            return;
+        }
+
+        if (this.waitingSince && now - this.waitingSince > this.waitingTimeout) {
+            this.reconnect('buffering too long');
+        } else if (now - this.lastProgressAt > this.stallTimeout) {
+            this.reconnect('no playback progress');
+        }
+    }
+
+    /**
+     * Schedule the next reconnect attempt, or give up
+     * once the limit is reached
+     * @param {string} reason - Why the stream is reconnected
+     */
+    reconnect(reason) {
+        // An attempt is already scheduled
+        if (this.retryTimeout) return;
+
+        this.pause();
+        this.attempt++;
+
+        if (this.attempt > this.maxAttempts) {
+            console.warn(`[ReconnectSupervisor] Giving up (${reason})`);
+            this.attempt = 0;
+            if (this.onGiveUp) {
+                this.onGiveUp(reason);
+            }
+            return;
+        }
+
+        const delay = Math.min(this.baseDelay * 2 ** (this.attempt - 1), this.maxDelay);
+        console.warn(`[ReconnectSupervisor] Stream stalled (${reason}), attempt ${this.attempt}/${this.maxAttempts} in ${delay}ms`);
+
+        if (this.onReconnecting) {
+            this.onReconnecting(this.attempt, this.maxAttempts);
+        }
+
+        this.retryTimeout = setTimeout(() => {
+            this.retryTimeout = null;
+            if (this.onReconnect) {
+                this.onReconnect(this.attempt);
+            }
+        }, delay);
+    }
+}
@@ -2,24 +2,79 @@
  * StreamRecorder - Stream Recording Module
  * 
  * Records video/audio from the native video player using
- * MediaRecorder API with VP8/Opus codecs.
+ * MediaRecorder API.
  * 
  * Features:
- * - VP8 video + Opus audio encoding
+ * - WebM (VP8 or VP9 + Opus), MP4 (H.264 + AAC) where Chromium
+ *   supports it, and audio-only WebM (Opus) for radio channels
  * - Configurable quality presets
  * - Max 30fps capture
- * - WebM output format
+ * - Chunks written to disk as they are recorded (the main
+ *   process makes the file seekable when recording stops)
+ * - Optional limits: maximum duration, and splitting into
+ *   numbered files by time or size
+ * - Stops cleanly when the destination disk is almost full
  */
 
+// Recording formats: MIME types are tried in order, the first one
+// MediaRecorder supports is used
+export const RECORDING_FORMATS = {
+    webm: {
+        mimeTypes: ['video/webm; codecs=vp8,opus'],
+        extension: '.webm'
+    },
+    vp9: {
+        mimeTypes: ['video/webm; codecs=vp9,opus'],
+        extension: '.webm'
+    },
+    // AAC audio only: MP4 with Opus does not play in many players
+    mp4: {
+        mimeTypes: [
+            'video/mp4; codecs=avc1.42E01E,mp4a.40.2',
+            'video/mp4; codecs=avc1,mp4a.40.2'
+        ],
+        extension: '.mp4'
+    },
+    audio: {
+        mimeTypes: ['audio/webm; codecs=opus'],
+        extension: '.webm',
+        audioOnly: true
+    }
+};
+
+// Filename used when no template is configured
+export const DEFAULT_FILENAME_TEMPLATE = '{channel}_{date}_{time}_{programme}';
+
 export class StreamRecorder {
     constructor(videoElement) {
         this.videoElement = videoElement;
         this.mediaRecorder = null;
-        this.recordedChunks = [];
         this.stream = null;
         this.recording = false;
         this.startTime = null;
 
+        // Target file of the current recording
+        this.captureId = null;
+        this.filePath = null;
+
+        // Chunk writes, chained so they reach the file in order
+        this.writeQueue = Promise.resolve();
+        this.writeFailed = false;
+
+        // Limits, 0 for none: maxFileSize in MB (starts a new part),
+        // maxDuration in minutes (stops), splitMinutes (starts a new part)
+        this.limits = { maxFileSize: 0, maxDuration: 0, splitMinutes: 0 };
+        this.limitTimer = null;
+
+        // Current part of a split recording. Chunks are tagged with
+        // their part so writes queued before a split do not count
+        // toward the next part's size.
+        this.part = 0;
+        this.partStartTime = null;
+        this.partBytes = 0;
+        this.splitting = false;
+        this.openingPart = false;
+
         // Recording presets (bitrates in bps)
         this.presets = {
             low: {
@@ -40,12 +95,16 @@ export class StreamRecorder {
         };
 
         this.currentPreset = 'medium';
+        this.currentFormat = 'webm';
 
         // Event callbacks
         this.onStart = null;
         this.onStop = null;
         this.onError = null;
         this.onDataAvailable = null;
+
+        // Called with 'duration' or 'diskSpace' before a recording is stopped by a limit
+        this.onLimitReached = null;
     }
 
     /**
@@ -53,8 +112,38 @@ export class StreamRecorder {
      * @returns {boolean}
      */
     static isSupported() {
-        return typeof MediaRecorder !== 'undefined' &&
-            MediaRecorder.isTypeSupported('video/webm; codecs=vp8,opus');
+        return Object.keys(RECORDING_FORMATS).some(format => StreamRecorder.getMimeType(format));
+    }
+
+    /**
+     * Get the MIME type MediaRecorder supports for a format
+     * @param {string} format - Key of RECORDING_FORMATS
+     * @returns {string|null} MIME type, or null if not supported
+     */
+    static getMimeType(format) {
+        if (typeof MediaRecorder === 'undefined' || !RECORDING_FORMATS[format]) {
+            return null;
+        }
+        return RECORDING_FORMATS[format].mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    /**
+     * Set recording format (unsupported formats are ignored)
+     * @param {string} format - Key of RECORDING_FORMATS
+     */
+    setFormat(format) {
+        if (StreamRecorder.getMimeType(format)) {
+            this.currentFormat = format;
+            console.log(`[StreamRecorder] Format set to: ${format}`);
+        }
+    }
+
+    /**
+     * Get the file extension of the current format
+     * @returns {string} Extension with dot
+     */
+    getExtension() {
+        return RECORDING_FORMATS[this.currentFormat].extension;
     }
 
     /**
@@ -68,6 +157,18 @@ export class StreamRecorder {
         }
     }
 
+    /**
+     * Set recording limits (applied from the next check)
+     * @param {Object} limits - { maxFileSize, maxDuration, splitMinutes }, 0 for no limit
+     */
+    setLimits(limits) {
+        for (const key of Object.keys(this.limits)) {
+            const value = Number(limits?.[key]);
+            this.limits[key] = Number.isFinite(value) && value > 0 ? value : 0;
+        }
+        console.log('[StreamRecorder] Limits set to:', this.limits);
+    }
+
     /**
      * Get available presets
      * @returns {Object}
@@ -84,14 +185,15 @@ export class StreamRecorder {
         return this.videoElement &&
             !this.videoElement.paused &&
             this.videoElement.readyState >= 2 &&
-            StreamRecorder.isSupported();
+            !!StreamRecorder.getMimeType(this.currentFormat);
     }
 
     /**
-     * Start recording
-     * @returns {boolean} Success status
+     * Start recording to a file in the recordings folder
+     * @param {string} filename - Filename without extension
+     * @returns {Promise<boolean>} Success status (false if the save dialog is cancelled)
      */
-    start() {
+    async start(filename = StreamRecorder.generateFilename('recording', '')) {
         if (this.recording) {
             console.warn('[StreamRecorder] Already recording');
             return false;
@@ -106,56 +208,37 @@ export class StreamRecorder {
         }
 
         try {
-            // Capture stream from video element at max 30fps
-            this.stream = this.videoElement.captureStream(30);
-
-            const preset = this.presets[this.currentPreset];
-
-            // Create MediaRecorder with VP8/Opus
-            this.mediaRecorder = new MediaRecorder(this.stream, {
-                mimeType: 'video/webm; codecs=vp8,opus',
-                videoBitsPerSecond: preset.videoBitsPerSecond,
-                audioBitsPerSecond: preset.audioBitsPerSecond
-            });
-
-            this.recordedChunks = [];
-
-            // Handle data available
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    this.recordedChunks.push(event.data);
-                    if (this.onDataAvailable) {
-                        this.onDataAvailable(event.data);
-                    }
-                }
-            };
+            // Open the target file first so chunks can be written as they come
+            const { extension, audioOnly } = RECORDING_FORMATS[this.currentFormat];
+            const file = await window.electronAPI.openCaptureFile(filename, { extension, audioOnly: !!audioOnly });
+            if (!file) {
+                return false;
+            }
+            if (file.error) {
+                throw new Error(file.error);
+            }
 
-            // Handle recording stop
-            this.mediaRecorder.onstop = () => {
-                this.recording = false;
-                const duration = this.startTime ? Date.now() - this.startTime : 0;
-                console.log(`[StreamRecorder] Recording stopped. Duration: ${Math.round(duration / 1000)}s`);
+            this.captureId = file.id;
+            this.filePath = file.filePath;
+            this.writeQueue = Promise.resolve();
+            this.writeFailed = false;
 
-                if (this.onStop) {
-                    this.onStop(this.getBlob(), duration);
-                }
-            };
-
-            // Handle errors
-            this.mediaRecorder.onerror = (event) => {
-                console.error('[StreamRecorder] Recording error:', event.error);
-                this.recording = false;
-                if (this.onError) {
-                    this.onError(event.error);
-                }
-            };
+            // Capture stream from video element at max 30fps
+            this.stream = this.videoElement.captureStream(30);
+            if (RECORDING_FORMATS[this.currentFormat].audioOnly) {
+                this.stream = new MediaStream(this.stream.getAudioTracks());
+            }
+            this.startRecorder();
 
-            // Start recording with 1 second chunks
-            this.mediaRecorder.start(1000);
             this.recording = true;
             this.startTime = Date.now();
+            this.part = 0;
+            this.partStartTime = this.startTime;
+            this.partBytes = 0;
+            this.openingPart = false;
+            this.limitTimer = setInterval(() => this.checkLimits(), 1000);
 
-            console.log(`[StreamRecorder] Recording started with preset: ${this.currentPreset}`);
+            console.log(`[StreamRecorder] Recording started with preset: ${this.currentPreset}, format: ${this.currentFormat}`);
 
             if (this.onStart) {
                 this.onStart();
@@ -165,6 +248,7 @@ export class StreamRecorder {
 
         } catch (error) {
             console.error('[StreamRecorder] Failed to start recording:', error);
+            await this.finishFile(0);
             if (this.onError) {
                 this.onError(error);
             }
@@ -172,6 +256,215 @@ export class StreamRecorder {
         }
     }
 
+    /**
+     * Create a MediaRecorder for the captured stream and start it.
+     * Each recorder writes a complete WebM file, so a new one is
+     * created for every part of a split recording.
+     */
+    startRecorder() {
+        const preset = this.presets[this.currentPreset];
+        const mimeType = StreamRecorder.getMimeType(this.currentFormat);
+
+        // Audio-only recordings have no video bitrate
+        const recorder = new MediaRecorder(this.stream, {
+            mimeType,
+            ...(!RECORDING_FORMATS[this.currentFormat].audioOnly && { videoBitsPerSecond: preset.videoBitsPerSecond }),
+            audioBitsPerSecond: preset.audioBitsPerSecond
+        });
+
+        // Handle data available
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                const data = event.data;
+                const part = this.part;
+                this.writeQueue = this.writeQueue.then(() => this.writeChunk(data, part));
+                if (this.onDataAvailable) {
+                    this.onDataAvailable(data);
+                }
+            }
+        };
+
+        // Handle recording stop
+        recorder.onstop = async () => {
+            const partDuration = Date.now() - this.partStartTime;
+
+            // Continue in the next file
+            if (this.splitting) {
+                this.splitting = false;
+
+                // Sizes are not checked until the next file is open
+                this.openingPart = true;
+                this.writeQueue = this.writeQueue
+                    .then(() => this.splitFile(partDuration))
+                    .finally(() => { this.openingPart = false; });
+                this.part++;
+                this.partStartTime = Date.now();
+                this.partBytes = 0;
+                this.startRecorder();
+                return;
+            }
+
+            await this.endRecording(partDuration);
+        };
+
+        // Handle errors: keep what was recorded, as when stopping
+        recorder.onerror = async (event) => {
+            console.error('[StreamRecorder] Recording error:', event.error);
+            const partDuration = Date.now() - this.partStartTime;
+
+            this.splitting = false;
+            if (this.stream) {
+                this.stream.getTracks().forEach(track => track.stop());
+                this.stream = null;
+            }
+
+            await this.endRecording(partDuration);
+            if (this.onError) {
+                this.onError(event.error);
+            }
+        };
+
+        // Start recording with 1 second chunks
+        this.mediaRecorder = recorder;
+        recorder.start(1000);
+    }
+
+    /**
+     * Finish the recording file and report it. Runs once, whether
+     * the recording stopped or failed.
+     * @param {number} partDuration - Duration of the last part in milliseconds
+     */
+    async endRecording(partDuration) {
+        if (!this.recording) return;
+
+        this.recording = false;
+        clearInterval(this.limitTimer);
+        this.limitTimer = null;
+
+        const duration = this.startTime ? Date.now() - this.startTime : 0;
+        console.log(`[StreamRecorder] Recording stopped. Duration: ${Math.round(duration / 1000)}s`);
+
+        const filePath = await this.finishFile(partDuration);
+        if (this.onStop) {
+            this.onStop(filePath, duration);
+        }
+    }
+
+    /**
+     * Stop at the maximum duration, split at the part time or size
+     */
+    checkLimits() {
+        if (!this.recording || this.splitting) return;
+
+        const { maxFileSize, maxDuration, splitMinutes } = this.limits;
+        const now = Date.now();
+
+        if (maxDuration && now - this.startTime >= maxDuration * 60 * 1000) {
+            console.log('[StreamRecorder] Maximum duration reached');
+            this.onLimitReached?.('duration');
+            this.stop();
+        } else if ((splitMinutes && now - this.partStartTime >= splitMinutes * 60 * 1000) ||
+            (maxFileSize && !this.openingPart && this.partBytes >= maxFileSize * 1024 * 1024)) {
+            this.split();
+        }
+    }
+
+    /**
+     * End the current file and continue recording in a new one
+     */
+    split() {
+        if (this.mediaRecorder?.state !== 'recording') return;
+
+        // The recorder's stop handler starts the next part
+        this.splitting = true;
+        this.mediaRecorder.stop();
+    }
+
+    /**
+     * Append a chunk to the recording file
+     * @param {Blob} data - Recorded chunk
+     * @param {number} part - Part the chunk was recorded for
+     */
+    async writeChunk(data, part) {
+        if (this.writeFailed || !this.captureId) return;
+
+        try {
+            // ArrayBuffers are passed to the main process without conversion
+            const result = await window.electronAPI.appendCaptureChunk(this.captureId, await data.arrayBuffer());
+            if (result?.error) {
+                throw new Error(result.error);
+            }
+            if (part === this.part) {
+                this.partBytes = result.bytes;
+            }
+
+            // Stop before the disk fills up, keeping what was recorded
+            if (result.lowDiskSpace && this.mediaRecorder?.state === 'recording') {
+                console.warn('[StreamRecorder] Low disk space, stopping');
+                this.onLimitReached?.('diskSpace');
+                this.stop();
+            }
+        } catch (error) {
+            // Disk full or file gone: keep what was written and stop
+            console.error('[StreamRecorder] Failed to write recording:', error);
+            this.writeFailed = true;
+            if (this.onError) {
+                this.onError(error);
+            }
+            this.stop();
+        }
+    }
+
+    /**
+     * Close the current part and open the next one
+     * @param {number} duration - Duration of the closed part in milliseconds
+     */
+    async splitFile(duration) {
+        if (this.writeFailed || !this.captureId) return;
+
+        try {
+            const result = await window.electronAPI.splitCapture(this.captureId, duration);
+            if (result?.error) {
+                throw new Error(result.error);
+            }
+            this.filePath = result.filePath;
+        } catch (error) {
+            console.error('[StreamRecorder] Failed to split recording:', error);
+            this.writeFailed = true;
+            if (this.onError) {
+                this.onError(error);
+            }
+            this.stop();
+        }
+    }
+
+    /**
+     * Wait for pending chunks and close the recording file
+     * @param {number} duration - Recording duration in milliseconds
+     * @returns {Promise<string|null>} Saved file path
+     */
+    async finishFile(duration) {
+        const id = this.captureId;
+        const filePath = this.filePath;
+        this.captureId = null;
+        this.filePath = null;
+        if (!id) return null;
+
+        await this.writeQueue;
+
+        try {
+            const result = await window.electronAPI.finishCapture(id, duration);
+            if (result?.error) {
+                throw new Error(result.error);
+            }
+            console.log(`[StreamRecorder] Recording saved to: ${filePath}`);
+            return filePath;
+        } catch (error) {
+            console.error('[StreamRecorder] Failed to finish recording:', error);
+            return null;
+        }
+    }
+
     /**
      * Stop recording
      * @returns {boolean} Success status
@@ -183,7 +476,11 @@ export class StreamRecorder {
         }
 
         try {
-            this.mediaRecorder.stop();
+            // A split in progress ends the recording instead of starting a new part
+            this.splitting = false;
+            if (this.mediaRecorder.state !== 'inactive') {
+                this.mediaRecorder.stop();
+            }
 
             // Stop all stream tracks
             if (this.stream) {
@@ -208,17 +505,6 @@ export class StreamRecorder {
         return this.recording;
     }
 
-    /**
-     * Get recorded blob
-     * @returns {Blob|null}
-     */
-    getBlob() {
-        if (this.recordedChunks.length === 0) {
-            return null;
-        }
-        return new Blob(this.recordedChunks, { type: 'video/webm' });
-    }
-
     /**
      * Get recording duration in seconds
      * @returns {number}
@@ -231,65 +517,44 @@ export class StreamRecorder {
     }
 
     /**
-     * Generate filename with timestamp
+     * Generate a filename from a template. Placeholders: {channel},
+     * {date} (YYYY-MM-DD), {time} (HH-MM-SS, local time) and {programme};
+     * separators left around empty ones are removed.
      * @param {string} channelName - Optional channel name
+     * @param {string} extension - File extension, '' for none
+     * @param {Object} options - { template, programme, date }
      * @returns {string}
      */
-    generateFilename(channelName = 'recording') {
-        const now = new Date();
-        const timestamp = now.toISOString()
-            .replace(/[:.]/g, '-')
-            .replace('T', '_')
-            .slice(0, 19);
-
-        // Sanitize channel name
-        const safeName = channelName
+    static generateFilename(channelName = 'recording', extension = '.webm', { template, programme = '', date = new Date() } = {}) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const values = {
+            channel: channelName,
+            date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+            time: `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`,
+            programme
+        };
+
+        const name = (template || DEFAULT_FILENAME_TEMPLATE)
+            .replace(/\{(\w+)\}/g, (match, key) => key in values ? StreamRecorder.sanitizeFilename(values[key]) : '')
             .replace(/[<>:"/\\|?*]/g, '')
             .replace(/\s+/g, '_')
-            .slice(0, 50);
+            .replace(/([_-])[_-]+/g, '$1')
+            .replace(/^[_.-]+|[_.-]+$/g, '')
+            .slice(0, 150);
 
-        return `${safeName}_${timestamp}.webm`;
+        return `${name || 'recording'}${extension}`;
     }
 
     /**
-     * Save recording to file via IPC
-     * @param {string} channelName - Channel name for filename
-     * @returns {Promise<string|null>} Saved file path or null
+     * Make a value safe to use in a filename
+     * @param {string} value - Value
+     * @returns {string}
      */
-    async save(channelName = 'recording') {
-        const blob = this.getBlob();
-        if (!blob) {
-            console.warn('[StreamRecorder] No recording to save');
-            return null;
-        }
-
-        try {
-            // Convert blob to array buffer
-            const arrayBuffer = await blob.arrayBuffer();
-            const uint8Array = new Uint8Array(arrayBuffer);
-
-            // Generate default filename
-            const defaultName = this.generateFilename(channelName);
-
-            // Save via IPC
-            const savedPath = await window.electronAPI.saveRecording(
-                Array.from(uint8Array),
-                defaultName
-            );
-
-            if (savedPath) {
-                console.log(`[StreamRecorder] Recording saved to: ${savedPath}`);
-            }
-
-            return savedPath;
-
-        } catch (error) {
-            console.error('[StreamRecorder] Failed to save recording:', error);
-            if (this.onError) {
-                this.onError(error);
-            }
-            return null;
-        }
+    static sanitizeFilename(value) {
+        return String(value || '')
+            .replace(/[<>:"/\\|?*]/g, '')
+            .replace(/\s+/g, '_')
+            .slice(0, 50);
     }
 
     /**
@@ -299,7 +564,8 @@ export class StreamRecorder {
         if (this.recording) {
             this.stop();
         }
-        this.recordedChunks = [];
+        clearInterval(this.limitTimer);
+        this.limitTimer = null;
         this.mediaRecorder = null;
         this.stream = null;
     }
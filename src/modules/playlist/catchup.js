@@ -0,0 +1,213 @@
+/**
+ * Catchup - Catch-up TV Archive URLs
+ *
+ * Builds the URL of a channel's archive for a past time range
+ * from its catch-up settings (catchup, catchup-source,
+ * catchup-days attributes). Supported types:
+ * - default: catchup-source is the full archive URL template
+ * - append: catchup-source is appended to the channel URL
+ * - shift: "utc" / "lutc" query parameters are added
+ * - flussonic: Flussonic archive paths (index-{utc}-{duration}.m3u8)
+ * - xc: Xtream Codes timeshift URLs
+ */
+
+export class Catchup {
+    /**
+     * Catch-up type aliases used by different providers
+     */
+    static TYPE_ALIASES = {
+        'flussonic-hls': 'flussonic',
+        'flussonic-ts': 'flussonic',
+        'fs': 'flussonic'
+    };
+
+    /**
+     * Read the catch-up settings from EXTINF attributes
+     * @param {Object} attributes - Parsed attributes (with header defaults)
+     * @returns {Object|null} { type, source, days } or null if unsupported
+     */
+    static fromAttributes(attributes) {
+        const days = parseInt(attributes['catchup-days'] || attributes['timeshift'] || attributes['tvg-rec'], 10);
+        const source = attributes['catchup-source'] || null;
+
+        let type = (attributes['catchup'] || attributes['catchup-type'] || '').toLowerCase();
+        type = Catchup.TYPE_ALIASES[type] || type;
+
+        // Archive length without a type: Kodi treats it as "shift" (or "default" with a template)
+        if (!type && days > 0) {
+            type = source ? 'default' : 'shift';
+        }
+
+        if (!['default', 'append', 'shift', 'flussonic', 'xc'].includes(type)) {
+            return null;
+        }
+        if ((type === 'default' || type === 'append') && !source) {
+            return null;
+        }
+
+        return { type, source, days: days > 0 ? days : 1 };
+    }
+
+    /**
+     * Check whether a channel has an archive
+     * @param {Object} channel - Channel object
+     * @returns {boolean} True if catch-up is available
+     */
+    static isAvailable(channel) {
+        return !!channel?.catchup;
+    }
+
+    /**
+     * Check whether a time is still inside the channel's archive
+     * @param {Object} channel - Channel object
+     * @param {number} start - Epoch milliseconds
+     * @returns {boolean} True if the archive covers the time
+     */
+    static covers(channel, start) {
+        if (!Catchup.isAvailable(channel)) return false;
+
+        const now = Date.now();
+        return start < now && start >= now - channel.catchup.days * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Build the archive URL of a time range
+     * @param {Object} channel - Channel with catchup settings
+     * @param {number} start - Start, epoch milliseconds
+     * @param {number} end - End, epoch milliseconds (defaults to now)
+     * @returns {string|null} Archive URL or null if unsupported
+     */
+    static buildUrl(channel, start, end = Date.now()) {
+        const catchup = channel?.catchup;
+        if (!catchup) return null;
+
+        let template;
+        switch (catchup.type) {
+            case 'default':
+                template = catchup.source;
+                break;
+            case 'append':
+                template = channel.url + catchup.source;
+                break;
+            case 'shift':
+                template = `${channel.url}${channel.url.includes('?') ? '&' : '?'}utc={utc}&lutc={lutc}`;
+                break;
+            case 'flussonic':
+                template = Catchup.flussonicTemplate(channel.url);
+                break;
+            case 'xc':
+                template = Catchup.xtreamTemplate(channel.url);
+                break;
+            default:
+                template = null;
+        }
+
+        return template ? Catchup.fillTemplate(template, start, end) : null;
+    }
+
+    /**
+     * Archive template of a Flussonic stream URL
+     * @param {string} url - Live URL
+     * @returns {string} Template
+     */
+    static flussonicTemplate(url) {
+        // http://host/channel/mpegts -> http://host/channel/timeshift_abs-{utc}.ts
+        if (/\/mpegts(\?|$)/.test(url)) {
+            return url.replace(/\/mpegts(\?|$)/, '/timeshift_abs-{utc}.ts$1');
+        }
+
+        // http://host/channel/index.m3u8 -> http://host/channel/index-{utc}-{duration}.m3u8
+        const playlist = url.match(/^(.*\/)([^/?]+)\.m3u8(\?.*)?$/);
+        if (playlist) {
+            return `${playlist[1]}${playlist[2]}-{utc}-{duration}.m3u8${playlist[3] || ''}`;
+        }
+
+        // http://host/channel -> http://host/channel/index-{utc}-{duration}.m3u8
+        const [path, query] = url.split('?');
+        return `${path.replace(/\/+$/, '')}/index-{utc}-{duration}.m3u8${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Archive template of an Xtream Codes stream URL
+     * @param {string} url - Live URL (http://host[/live]/user/pass/id[.ext])
+     * @returns {string|null} Template
+     */
+    static xtreamTemplate(url) {
+        const match = url.match(/^(https?:\/\/[^/]+)(?:\/live)?\/([^/]+)\/([^/]+)\/(\d+)(\.\w+)?(\?.*)?$/);
+        if (!match) return null;
+
+        const [, server, username, password, streamId, extension] = match;
+        return `${server}/timeshift/${username}/${password}/{duration:60}/{Y}-{m}-{d}:{H}-{M}/${streamId}${extension || '.ts'}`;
+    }
+
+    /**
+     * Replace time placeholders in a template
+     * {utc} {start} ${start}: start (unix seconds), {utcend} {end} ${end}: end,
+     * {lutc} {now} ${now} ${timestamp}: current time, {duration} ${duration}: length in seconds,
+     * {offset} ${offset}: seconds from start to now, {duration:N} {offset:N}: divided by N,
+     * {Y} {m} {d} {H} {M} {S}: start date parts (UTC), {utc:Y-m-d} {end:...}: formatted times
+     * @param {string} template - URL template
+     * @param {number} start - Start, epoch milliseconds
+     * @param {number} end - End, epoch milliseconds
+     * @returns {string} URL
+     */
+    static fillTemplate(template, start, end) {
+        const now = Date.now();
+        const seconds = {
+            start: Math.floor(start / 1000),
+            end: Math.floor(end / 1000),
+            now: Math.floor(now / 1000),
+            duration: Math.max(0, Math.floor((end - start) / 1000)),
+            offset: Math.max(0, Math.floor((now - start) / 1000))
+        };
+
+        const values = {
+            utc: seconds.start,
+            start: seconds.start,
+            utcend: seconds.end,
+            end: seconds.end,
+            lutc: seconds.now,
+            now: seconds.now,
+            timestamp: seconds.now,
+            duration: seconds.duration,
+            offset: seconds.offset
+        };
+        const times = { utc: start, start, utcend: end, end, lutc: now, now, timestamp: now };
+
+        return template
+            // {name:format} or ${name:format}
+            .replace(/\$?\{(\w+):([^}]+)\}/g, (match, name, format) => {
+                if (name === 'duration' || name === 'offset') {
+                    const divisor = Number(format) || 1;
+                    return String(Math.floor(seconds[name] / divisor));
+                }
+                return name in times ? Catchup.formatDate(times[name], format) : match;
+            })
+            // {name} or ${name}
+            .replace(/\$?\{(\w+)\}/g, (match, name) => {
+                if (name in values) return String(values[name]);
+                if (/^[YmdHMS]$/.test(name)) return Catchup.formatDate(start, name);
+                return match;
+            });
+    }
+
+    /**
+     * Format a time with Y m d H M S letters (UTC)
+     * @param {number} time - Epoch milliseconds
+     * @param {string} format - e.g. "Y-m-d:H-M"
+     * @returns {string} Formatted time
+     */
+    static formatDate(time, format) {
+        const date = new Date(time);
+        const pad = (value) => String(value).padStart(2, '0');
+        const parts = {
+            Y: String(date.getUTCFullYear()),
+            m: pad(date.getUTCMonth() + 1),
+            d: pad(date.getUTCDate()),
+            H: pad(date.getUTCHours()),
+            M: pad(date.getUTCMinutes()),
+            S: pad(date.getUTCSeconds())
+        };
+        return format.replace(/[YmdHMS]/g, letter => parts[letter]);
+    }
+}
@@ -5,56 +5,128 @@
  * information including names, URLs, logos, and groups.
  */
 
+import { Catchup } from './catchup.js';
+
 export class M3UParser {
     /**
-     * Parse M3U content into channel objects
+     * Attributes of the #EXTM3U header that act as defaults
+     * for every channel in the playlist
+     */
+    static HEADER_DEFAULTS = ['tvg-shift', 'catchup', 'catchup-source', 'catchup-days', 'timeshift'];
+
+    /**
+     * Parse M3U content into playlist metadata and channel objects
      * @param {string} content - Raw M3U file content
-     * @returns {Array} Array of channel objects
+     * @returns {Object} { header, channels }
      */
     static parse(content) {
         const lines = content.split('\n').map(line => line.trim());
         const channels = [];
 
+        let header = M3UParser.parseHeader('');
         let currentChannel = null;
 
+        // #EXTVLCOPT and #KODIPROP lines may also come before #EXTINF
+        let pendingHeaders = {};
+        let pendingProps = {};
+
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i];
 
-            // Skip empty lines and header
-            if (!line || line === '#EXTM3U') continue;
+            // Skip empty lines
+            if (!line) continue;
 
+            // Playlist header with global attributes
+            if (line.startsWith('#EXTM3U')) {
+                header = M3UParser.parseHeader(line);
+            }
             // Parse EXTINF line (channel metadata)
-            if (line.startsWith('#EXTINF:')) {
-                currentChannel = M3UParser.parseExtInf(line);
+            else if (line.startsWith('#EXTINF:')) {
+                currentChannel = M3UParser.parseExtInf(line, header.defaults);
+                currentChannel.headers = pendingHeaders;
+                currentChannel.kodiProps = pendingProps;
+                pendingHeaders = {};
+                pendingProps = {};
+            }
+            // VLC options (HTTP headers required by the stream)
+            else if (line.startsWith('#EXTVLCOPT:')) {
+                const target = currentChannel ? currentChannel.headers : pendingHeaders;
+                Object.assign(target, M3UParser.parseVlcOption(line));
+            }
+            // Kodi inputstream properties (DRM license)
+            else if (line.startsWith('#KODIPROP:')) {
+                const target = currentChannel ? currentChannel.kodiProps : pendingProps;
+                Object.assign(target, M3UParser.parseKodiProp(line));
             }
             // URL line (follows EXTINF)
             else if (!line.startsWith('#') && currentChannel) {
-                currentChannel.url = line;
+                const [main, ...backups] = M3UParser.splitUrls(line).map(url => M3UParser.parseUrlOptions(url));
+
+                // Options piped onto a URL override #EXTVLCOPT for that URL only
+                currentChannel.url = main.url;
+                currentChannel.backupUrls = backups.map(backup => backup.url);
+                currentChannel.backupHeaders = backups.map(backup => ({ ...currentChannel.headers, ...backup.headers }));
+                currentChannel.headers = { ...currentChannel.headers, ...main.headers };
+                currentChannel.drm = M3UParser.parseDrm(currentChannel.kodiProps);
                 currentChannel.id = M3UParser.generateId(currentChannel);
                 channels.push(currentChannel);
                 currentChannel = null;
             }
         }
 
-        return channels;
+        return { header, channels };
+    }
+
+    /**
+     * Parse #EXTM3U header line into playlist metadata
+     * @param {string} line - Header line
+     * @returns {Object} Header metadata (guide URLs, channel defaults, raw attributes)
+     */
+    static parseHeader(line) {
+        const attributes = M3UParser.parseAttributes(line);
+
+        // Guide URLs may be given under several names, comma separated
+        const tvgUrls = [attributes['url-tvg'], attributes['x-tvg-url'], attributes['tvg-url']]
+            .filter(Boolean)
+            .flatMap(value => value.split(','))
+            .map(url => url.trim())
+            .filter(Boolean);
+
+        const defaults = {};
+        for (const key of M3UParser.HEADER_DEFAULTS) {
+            if (attributes[key]) {
+                defaults[key] = attributes[key];
+            }
+        }
+
+        return {
+            tvgUrls: [...new Set(tvgUrls)],
+            defaults,
+            attributes
+        };
     }
 
     /**
      * Parse EXTINF line to extract metadata
      * @param {string} line - EXTINF line
+     * @param {Object} defaults - Attribute defaults from the playlist header
      * @returns {Object} Channel metadata object
      */
-    static parseExtInf(line) {
+    static parseExtInf(line, defaults = {}) {
         const channel = {
             name: 'Unknown Channel',
             group: 'Uncategorized',
             logo: null,
             tvgId: null,
-            tvgName: null
+            tvgName: null,
+            tvgShift: 0,
+            tvgChno: null,
+            catchup: null
         };
 
         // Extract attributes like tvg-logo, group-title, etc. FIRST
-        const attributes = M3UParser.parseAttributes(line);
+        // Channel attributes override the playlist header defaults
+        const attributes = { ...defaults, ...M3UParser.parseAttributes(line) };
 
         if (attributes['tvg-logo']) {
             channel.logo = attributes['tvg-logo'];
@@ -68,6 +140,18 @@ export class M3UParser {
         if (attributes['group-title']) {
             channel.group = attributes['group-title'];
         }
+        if (attributes['tvg-shift'] && !isNaN(parseFloat(attributes['tvg-shift']))) {
+            channel.tvgShift = parseFloat(attributes['tvg-shift']);
+        }
+
+        // Channel number, given as channel-number by some playlists
+        const chno = parseInt(attributes['tvg-chno'] || attributes['channel-number'], 10);
+        if (chno > 0) {
+            channel.tvgChno = chno;
+        }
+
+        // Archive settings (catchup, catchup-source, catchup-days, timeshift)
+        channel.catchup = Catchup.fromAttributes(attributes);
 
         // Find the channel name - it's after the LAST comma in the line
         // Format: #EXTINF:-1 tvg-id="x" tvg-name="y" group-title="z",Channel Name
@@ -87,6 +171,169 @@ export class M3UParser {
         return channel;
     }
 
+    /**
+     * Split a URL line into the main URL and "|"-separated backups.
+     * Pieces that are not URLs (e.g. "User-Agent=...") stay attached
+     * to the URL they follow.
+     * @param {string} line - URL line
+     * @returns {Array} URLs, main first
+     */
+    static splitUrls(line) {
+        const urls = [];
+
+        for (const piece of line.split('|')) {
+            if (/^[a-z][a-z0-9+.-]*:\/\//i.test(piece.trim()) || urls.length === 0) {
+                urls.push(piece.trim());
+            } else {
+                urls[urls.length - 1] += `|${piece}`;
+            }
+        }
+
+        return urls;
+    }
+
+    /**
+     * Separate "url|Name=value&Name=value" into the URL and its HTTP headers
+     * @param {string} value - URL with optional piped options
+     * @returns {Object} { url, headers }
+     */
+    static parseUrlOptions(value) {
+        const [url, ...options] = value.split('|');
+        const headers = {};
+
+        for (const pair of options.join('|').split('&')) {
+            const separator = pair.indexOf('=');
+            if (separator <= 0) continue;
+
+            const name = M3UParser.normalizeHeaderName(pair.slice(0, separator));
+            headers[name] = M3UParser.decodeOption(pair.slice(separator + 1));
+        }
+
+        return { url: url.trim(), headers };
+    }
+
+    /**
+     * Parse an #EXTVLCOPT line into HTTP headers
+     * @param {string} line - Option line, e.g. "#EXTVLCOPT:http-user-agent=..."
+     * @returns {Object} Headers (empty for unrelated options)
+     */
+    static parseVlcOption(line) {
+        const option = line.substring('#EXTVLCOPT:'.length);
+        const separator = option.indexOf('=');
+        if (separator <= 0) return {};
+
+        const names = {
+            'http-user-agent': 'User-Agent',
+            'http-referrer': 'Referer',
+            'http-referer': 'Referer',
+            'http-origin': 'Origin'
+        };
+        const name = names[option.slice(0, separator).trim().toLowerCase()];
+
+        return name ? { [name]: option.slice(separator + 1).trim() } : {};
+    }
+
+    /**
+     * Parse a #KODIPROP line
+     * @param {string} line - Property line, e.g. "#KODIPROP:inputstream.adaptive.license_type=clearkey"
+     * @returns {Object} { name: value } or empty if malformed
+     */
+    static parseKodiProp(line) {
+        const property = line.substring('#KODIPROP:'.length);
+        const separator = property.indexOf('=');
+        if (separator <= 0) return {};
+
+        return { [property.slice(0, separator).trim()]: property.slice(separator + 1).trim() };
+    }
+
+    /**
+     * Build the DRM configuration of a channel from its Kodi properties.
+     * The license key is either inline "kid:key" pairs (hex or base64,
+     * comma separated), a JSON key set, or a license server URL
+     * optionally followed by "|Header=value&..." request headers.
+     * @param {Object} props - Kodi properties
+     * @returns {Object|null} { type, keys, licenseUrl, licenseHeaders } or null
+     */
+    static parseDrm(props = {}) {
+        const licenseType = props['inputstream.adaptive.license_type'];
+        const licenseKey = props['inputstream.adaptive.license_key'];
+        if (!licenseType && !licenseKey) return null;
+
+        const type = /clearkey/i.test(licenseType || 'clearkey') ? 'clearkey' : licenseType.toLowerCase();
+        const drm = { type, keys: {}, licenseUrl: null, licenseHeaders: {} };
+        if (!licenseKey) return drm;
+
+        if (/^https?:\/\//i.test(licenseKey)) {
+            const { url, headers } = M3UParser.parseUrlOptions(licenseKey);
+            drm.licenseUrl = url;
+            drm.licenseHeaders = headers;
+        } else if (licenseKey.startsWith('{')) {
+            try {
+                for (const key of JSON.parse(licenseKey).keys || []) {
+                    if (key.kid && key.k) {
+                        drm.keys[key.kid] = key.k;
+                    }
+                }
+            } catch (error) {
+                console.warn('[M3UParser] Invalid license key set:', error.message);
+            }
+        } else {
+            for (const pair of licenseKey.split(',')) {
+                const [kid, key] = pair.split(':').map(part => part.trim());
+                if (kid && key) {
+                    drm.keys[kid] = key;
+                }
+            }
+        }
+
+        return drm;
+    }
+
+    /**
+     * Use canonical spelling for common header names
+     * @param {string} name - Header name as written in the playlist
+     * @returns {string} Header name
+     */
+    static normalizeHeaderName(name) {
+        const canonical = {
+            'user-agent': 'User-Agent',
+            'referer': 'Referer',
+            'referrer': 'Referer',
+            'origin': 'Origin',
+            'cookie': 'Cookie'
+        };
+        const trimmed = name.trim();
+        return canonical[trimmed.toLowerCase()] || trimmed;
+    }
+
+    /**
+     * Decode a URL-encoded option value, keeping it as-is if malformed
+     * @param {string} value - Option value
+     * @returns {string} Decoded value
+     */
+    static decodeOption(value) {
+        try {
+            return decodeURIComponent(value).trim();
+        } catch {
+            return value.trim();
+        }
+    }
+
+    /**
+     * Normalize a channel name for matching duplicates
+     * (case, accents, quality suffixes and punctuation are ignored)
+     * @param {string} name - Channel name
+     * @returns {string} Normalized name
+     */
+    static normalizeName(name) {
+        return (name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\b(hd|fhd|uhd|sd|4k|hevc)\b/g, '')
+            .replace(/[^a-z0-9]/g, '');
+    }
+
     /**
      * Parse attributes from EXTINF line
      * @param {string} line - EXTINF line
@@ -106,19 +353,24 @@ export class M3UParser {
     }
 
     /**
-     * Generate unique ID for channel
+     * Generate an ID for a channel from tvg-id, URL, group and name.
+     * Saved playlists get stable IDs from the main process instead
+     * (see PlaylistManager.assignIds); identical entries share an ID here.
      * @param {Object} channel - Channel object
-     * @returns {string} Unique ID
+     * @returns {string} Channel ID
      */
     static generateId(channel) {
-        const source = channel.tvgId || channel.name || Date.now().toString();
-        let hash = 0;
+        const source = [channel.tvgId, channel.url, channel.group, channel.name].map(value => value || '').join('\n');
+
+        // Two 32-bit FNV-1a hashes with different seeds (53 bits used)
+        let h1 = 0x811c9dc5;
+        let h2 = 0x01000193;
         for (let i = 0; i < source.length; i++) {
             const char = source.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
+            h1 = Math.imul(h1 ^ char, 0x01000193);
+            h2 = Math.imul(h2 ^ char, 0x5bd1e995);
         }
-        return Math.abs(hash).toString(36);
+        return ((h2 >>> 0) % 0x200000 * 0x100000000 + (h1 >>> 0)).toString(36);
     }
 
     /**
@@ -9,11 +9,30 @@ import { M3UParser } from './m3u-parser.js';
 import { Storage } from './storage.js';
 
 export class PlaylistManager {
+    /**
+     * Highest channel number, the longest that can be typed to tune
+     */
+    static MAX_CHANNEL_NUMBER = 9999;
+
     constructor() {
         this.channels = [];
         this.groups = {};
         this.currentChannel = null;
         this.currentPlaylist = null;
+        this.header = null;
+        this.playlistId = null;
+
+        // Channel id -> number given by the user
+        this.customNumbers = {};
+
+        // Mirror key -> last working source URL
+        this.preferredSources = {};
+
+        // Channels the channel list shows, in its order (null for
+        // the whole playlist), and whether prev/next stay within
+        // them ('group') or walk the whole playlist ('playlist')
+        this.navigationOrder = null;
+        this.navigationScope = 'group';
 
         // Event callbacks
         this.onPlaylistLoaded = null;
@@ -25,12 +44,41 @@ export class PlaylistManager {
      * Load playlist from content string
      * @param {string} content - M3U content
      * @param {string} name - Playlist name
+     * @param {string|null} playlistId - Saved playlist ID, for stable channel IDs
      */
-    loadFromContent(content, name = 'Playlist') {
+    async loadFromContent(content, name = 'Playlist', playlistId = null) {
         try {
-            this.channels = M3UParser.parse(content);
+            const { header, channels } = M3UParser.parse(content);
+            return await this.loadFromChannels(channels, name, header, playlistId);
+        } catch (error) {
+            console.error('[PlaylistManager] Parse error:', error);
+            if (this.onError) {
+                this.onError(error);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Load playlist from already built channel objects
+     * (e.g. an Xtream Codes source)
+     * @param {Array} channels - Channels with the M3UParser shape
+     * @param {string} name - Playlist name
+     * @param {Object|null} header - Playlist header metadata
+     * @param {string|null} playlistId - Saved playlist ID, for stable channel IDs
+     */
+    async loadFromChannels(channels, name = 'Playlist', header = null, playlistId = null) {
+        try {
+            await this.assignIds(channels, playlistId);
+            this.playlistId = playlistId;
+            this.customNumbers = await this.loadCustomNumbers(playlistId);
+            this.preferredSources = await this.loadPreferredSources(playlistId);
+
+            this.channels = channels;
+            this.numberChannels();
+            this.header = header;
             this.groups = M3UParser.groupByCategory(this.channels);
-            this.currentPlaylist = { name, channelCount: this.channels.length };
+            this.currentPlaylist = { name, channelCount: this.channels.length, header };
 
             console.log(`[PlaylistManager] Loaded ${this.channels.length} channels in ${Object.keys(this.groups).length} groups`);
 
@@ -47,7 +95,7 @@ export class PlaylistManager {
 
             return true;
         } catch (error) {
-            console.error('[PlaylistManager] Parse error:', error);
+            console.error('[PlaylistManager] Load error:', error);
             if (this.onError) {
                 this.onError(error);
             }
@@ -55,6 +103,162 @@ export class PlaylistManager {
         }
     }
 
+    /**
+     * Give every channel a unique ID. Channels of saved playlists get
+     * IDs the main process keeps across refreshes, renames and URL
+     * changes; otherwise IDs come from the channel attributes.
+     * @param {Array} channels - Channels
+     * @param {string|null} playlistId - Saved playlist ID
+     */
+    async assignIds(channels, playlistId) {
+        if (playlistId) {
+            try {
+                const ids = await window.electronAPI.resolveChannelIds(playlistId, channels.map(
+                    ({ tvgId, url, group, name }) => ({ tvgId, url, group, name })
+                ));
+                if (ids.error) throw new Error(ids.error);
+
+                channels.forEach((channel, i) => {
+                    channel.id = ids[i];
+                });
+                return;
+            } catch (error) {
+                console.error('[PlaylistManager] Error resolving channel IDs:', error);
+            }
+        }
+
+        // Identical entries get a suffix so each ID points to one channel
+        const usedIds = new Set();
+        channels.forEach(channel => {
+            const baseId = channel.id || M3UParser.generateId(channel);
+            let id = baseId;
+            for (let n = 2; usedIds.has(id); n++) {
+                id = `${baseId}-${n}`;
+            }
+            usedIds.add(id);
+            channel.id = id;
+        });
+    }
+
+    /**
+     * Load the channel numbers the user set for a saved playlist
+     * @param {string|null} playlistId - Saved playlist ID
+     * @returns {Promise<Object>} Channel ID -> number
+     */
+    async loadCustomNumbers(playlistId) {
+        if (!playlistId) return {};
+
+        try {
+            return await window.electronAPI.getChannelNumbers(playlistId) || {};
+        } catch (error) {
+            console.error('[PlaylistManager] Error loading channel numbers:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Load the last working mirrors of a saved playlist
+     * @param {string|null} playlistId - Saved playlist ID
+     * @returns {Promise<Object>} Mirror key -> URL
+     */
+    async loadPreferredSources(playlistId) {
+        if (!playlistId) return {};
+
+        try {
+            return await window.electronAPI.getPreferredSources(playlistId) || {};
+        } catch (error) {
+            console.error('[PlaylistManager] Error loading preferred sources:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Number the channels: numbers set by the user first, then the
+     * playlist's own (tvg-chno), and the rest counted on from the
+     * highest of those in playlist order. A number is given once:
+     * later channels claiming a taken or too large one are counted on.
+     */
+    numberChannels() {
+        const used = new Set();
+        const claim = (channel, number) => {
+            if (PlaylistManager.isValidChannelNumber(number) && !used.has(number)) {
+                channel.number = number;
+                used.add(number);
+            }
+        };
+
+        this.channels.forEach(channel => {
+            channel.number = null;
+            claim(channel, this.customNumbers[channel.id]);
+        });
+        this.channels.forEach(channel => {
+            if (!channel.number) claim(channel, channel.tvgChno);
+        });
+
+        let next = 1;
+        for (const number of used) {
+            if (number >= next) next = number + 1;
+        }
+        for (const channel of this.channels) {
+            if (!channel.number) {
+                channel.number = next++;
+            }
+        }
+    }
+
+    /**
+     * Check whether a number can be given to a channel
+     * @param {number} number - Channel number
+     * @returns {boolean} Whether it is a whole number from 1 to MAX_CHANNEL_NUMBER
+     */
+    static isValidChannelNumber(number) {
+        return Number.isInteger(number) && number >= 1 && number <= PlaylistManager.MAX_CHANNEL_NUMBER;
+    }
+
+    /**
+     * Give a channel a number of the user's choice, kept for the
+     * playlist. Nothing changes when the number is invalid, taken by
+     * another channel or cannot be saved.
+     * @param {Object} channel - Channel object
+     * @param {number|null} number - Channel number, or null for its default number
+     * @returns {Promise<boolean>} Whether the number was saved
+     */
+    async setChannelNumber(channel, number) {
+        if (number !== null) {
+            const owner = this.getChannelByNumber(number);
+            if (!PlaylistManager.isValidChannelNumber(number) || (owner && owner !== channel)) {
+                return false;
+            }
+        }
+
+        if (this.playlistId) {
+            try {
+                const result = await window.electronAPI.setChannelNumber(this.playlistId, channel.id, number);
+                if (result?.error) throw new Error(result.error);
+            } catch (error) {
+                console.error('[PlaylistManager] Error saving channel number:', error);
+                return false;
+            }
+        }
+
+        if (number === null) {
+            delete this.customNumbers[channel.id];
+        } else {
+            this.customNumbers[channel.id] = number;
+        }
+        this.numberChannels();
+        return true;
+    }
+
+    /**
+     * Find a channel by its number
+     * @param {number} number - Channel number
+     * @returns {Object|null} Channel with that number
+     */
+    getChannelByNumber(number) {
+        return this.channels.find(c => c.number === number) || null;
+    }
+
     /**
      * Select and play a channel
      * @param {Object|string} channel - Channel object or ID
@@ -80,6 +284,94 @@ export class PlaylistManager {
         }
     }
 
+    /**
+     * Key used to match mirrors of the same channel
+     * @param {Object} channel - Channel object
+     * @returns {string} tvg-id or normalized name
+     */
+    getMirrorKey(channel) {
+        return channel.tvgId ? `id:${channel.tvgId.toLowerCase()}` : `name:${M3UParser.normalizeName(channel.name)}`;
+    }
+
+    /**
+     * Get every known source URL of a channel: its own URL and
+     * "|" backups, then other entries of the playlist with the same
+     * tvg-id or name. The last working mirror is tried first.
+     * @param {Object} channel - Channel object
+     * @returns {Array} Unique URLs in the order to try
+     */
+    getSources(channel) {
+        const urls = this.getMirrorEntries(channel).flatMap(c => [c.url, ...(c.backupUrls || [])]);
+        const sources = [...new Set(urls.filter(Boolean))];
+
+        const preferred = this.preferredSources[this.getMirrorKey(channel)];
+        if (preferred && sources.includes(preferred)) {
+            return [preferred, ...sources.filter(url => url !== preferred)];
+        }
+        return sources;
+    }
+
+    /**
+     * Get the playback options each source of a channel needs:
+     * HTTP headers (#EXTVLCOPT and the URL's own piped options) and
+     * DRM (#KODIPROP) of the entry the source belongs to
+     * @param {Object} channel - Channel object
+     * @returns {Object} Source URL -> { headers, drm }
+     */
+    getSourceOptions(channel) {
+        const options = {};
+
+        // Later entries never override the channel's own options
+        for (const entry of this.getMirrorEntries(channel).reverse()) {
+            const drm = entry.drm || null;
+            if (entry.url) {
+                options[entry.url] = { headers: entry.headers || {}, drm };
+            }
+            (entry.backupUrls || []).forEach((url, index) => {
+                if (url) {
+                    options[url] = { headers: entry.backupHeaders?.[index] || entry.headers || {}, drm };
+                }
+            });
+        }
+
+        return options;
+    }
+
+    /**
+     * Get a channel followed by the other playlist entries
+     * with the same tvg-id or name
+     * @param {Object} channel - Channel object
+     * @returns {Array} Channel entries
+     */
+    getMirrorEntries(channel) {
+        const key = this.getMirrorKey(channel);
+
+        // Movies and episodes are only matched by their own URLs
+        if (channel.type || key === 'name:') {
+            return [channel];
+        }
+
+        return [channel, ...this.channels.filter(c => c !== channel && this.getMirrorKey(c) === key)];
+    }
+
+    /**
+     * Remember the mirror that played for a channel
+     * (kept across sessions for saved playlists)
+     * @param {Object} channel - Channel object
+     * @param {string} url - Working URL
+     */
+    setWorkingSource(channel, url) {
+        const key = this.getMirrorKey(channel);
+        if (this.preferredSources[key] === url) return;
+
+        this.preferredSources[key] = url;
+        if (this.playlistId) {
+            window.electronAPI.setPreferredSource(this.playlistId, key, url).catch(error => {
+                console.error('[PlaylistManager] Error saving preferred source:', error);
+            });
+        }
+    }
+
     /**
      * Get channels filtered by group
      * @param {string} groupName - Group name to filter
@@ -117,16 +409,50 @@ export class PlaylistManager {
         return Storage.getHistory();
     }
 
+    /**
+     * Set the channels the channel list shows, in its order
+     * @param {Array|null} channels - Shown channels, or null for the whole playlist
+     */
+    setNavigationOrder(channels) {
+        this.navigationOrder = channels && channels.length > 0 ? channels : null;
+    }
+
+    /**
+     * Set what prev/next navigation walks through
+     * @param {string} scope - 'group' (the shown channels) or 'playlist'
+     */
+    setNavigationScope(scope) {
+        this.navigationScope = scope === 'playlist' ? 'playlist' : 'group';
+    }
+
+    /**
+     * Get the channels prev/next navigation walks through: the
+     * shown channels while the current channel is one of them,
+     * otherwise the whole playlist
+     * @returns {Array} Channels
+     */
+    getNavigationChannels() {
+        if (this.navigationScope === 'group' && this.navigationOrder &&
+            this.navigationOrder.some(c => c.id === this.currentChannel?.id)) {
+            return this.navigationOrder;
+        }
+        return this.channels;
+    }
+
     /**
      * Get next channel in list
      * @returns {Object|null} Next channel
      */
     getNextChannel() {
-        if (!this.currentChannel || this.channels.length === 0) return null;
+        const channels = this.getNavigationChannels();
+        if (!this.currentChannel || channels.length === 0) return null;
+
+        const currentIndex = channels.findIndex(c => c.id === this.currentChannel.id);
+        // Current item is not part of the list (e.g. a movie or episode)
+        if (currentIndex === -1) return null;
 
-        const currentIndex = this.channels.findIndex(c => c.id === this.currentChannel.id);
-        const nextIndex = (currentIndex + 1) % this.channels.length;
-        return this.channels[nextIndex];
+        const nextIndex = (currentIndex + 1) % channels.length;
+        return channels[nextIndex];
     }
 
     /**
@@ -134,11 +460,14 @@ export class PlaylistManager {
      * @returns {Object|null} Previous channel
      */
     getPreviousChannel() {
-        if (!this.currentChannel || this.channels.length === 0) return null;
+        const channels = this.getNavigationChannels();
+        if (!this.currentChannel || channels.length === 0) return null;
+
+        const currentIndex = channels.findIndex(c => c.id === this.currentChannel.id);
+        if (currentIndex === -1) return null;
 
-        const currentIndex = this.channels.findIndex(c => c.id === this.currentChannel.id);
-        const prevIndex = currentIndex === 0 ? this.channels.length - 1 : currentIndex - 1;
-        return this.channels[prevIndex];
+        const prevIndex = currentIndex === 0 ? channels.length - 1 : currentIndex - 1;
+        return channels[prevIndex];
     }
 
     /**
@@ -149,5 +478,10 @@ export class PlaylistManager {
         this.groups = {};
         this.currentChannel = null;
         this.currentPlaylist = null;
+        this.header = null;
+        this.playlistId = null;
+        this.customNumbers = {};
+        this.preferredSources = {};
+        this.navigationOrder = null;
     }
 }
@@ -3,22 +3,48 @@
  * 
  * Renders and manages the channel list sidebar with
  * search, filtering, favorites, and selection functionality.
+ * Playlists with an on-demand catalogue can switch between
+ * Live, Movies and Series, with series drilling down into
+ * seasons and episodes.
  */
 
 import { i18n } from '../modules/i18n.js';
+import { epgService } from '../modules/epg-service.js';
+import { PlaylistManager } from '../../modules/playlist/playlist-manager.js';
+
+// Group select values of the favorite filters
+const FAVORITES_GROUP = '__favorites__';
+const FOLDER_GROUP_PREFIX = '__folder__:';
 
 export class ChannelList {
-    constructor({ container, emptyState, searchInput, groupSelect, onChannelClick }) {
+    constructor({ container, emptyState, searchInput, groupSelect, catalogueTabs, onChannelClick, onRecordClick, onLoadCatalogue, onLoadSeries, onModeChange, onNavigationOrderChange, onRenumber }) {
         this.container = container;
         this.emptyState = emptyState;
         this.searchInput = searchInput;
         this.groupSelect = groupSelect;
+        this.catalogueTabs = catalogueTabs;
         this.onChannelClick = onChannelClick;
+        this.onRecordClick = onRecordClick;
+        this.onLoadCatalogue = onLoadCatalogue;
+        this.onLoadSeries = onLoadSeries;
+        this.onModeChange = onModeChange;
+        this.onNavigationOrderChange = onNavigationOrderChange;
+        this.onRenumber = onRenumber;
 
         this.channels = [];
         this.groups = {};
         this.activeChannelId = null;
-        this.favorites = new Set();
+        this.playlistId = null;
+        this.favorites = new Set(); // Stable IDs of the playlist's favorite channels
+        this.favoriteRecords = []; // The playlist's favorites, in the user's order
+        this.favoriteFolders = [];
+        this.draggedChannelId = null;
+        this.recordingIds = new Set();
+
+        // Catalogue mode: 'live', 'movie' or 'series'
+        this.mode = 'live';
+        this.catalogues = {}; // mode -> { channels, groups }
+        this.openSeriesItem = null;
 
         this.init();
     }
@@ -43,33 +69,133 @@ export class ChannelList {
         this.groupSelect.addEventListener('change', (e) => {
             this.filterChannels(this.searchInput.value, e.target.value);
         });
+
+        // Favorites are reordered by dragging while a favorite filter is shown
+        this.container.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.channel-item[draggable="true"]');
+            if (!item) return;
+
+            this.draggedChannelId = item.dataset.id;
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+
+        this.container.addEventListener('dragover', (e) => {
+            const item = e.target.closest('.channel-item[draggable="true"]');
+            if (!item || !this.draggedChannelId) return;
+
+            e.preventDefault();
+            this.showDropPosition(item);
+        });
+
+        this.container.addEventListener('drop', (e) => {
+            const item = e.target.closest('.channel-item[draggable="true"]');
+            if (!item || !this.draggedChannelId) return;
+
+            e.preventDefault();
+            this.moveFavorite(this.draggedChannelId, item.dataset.id);
+        });
+
+        this.container.addEventListener('dragend', () => {
+            this.draggedChannelId = null;
+            this.showDropPosition(null);
+            this.container.querySelectorAll('.channel-item.dragging').forEach(item => item.classList.remove('dragging'));
+        });
+
+        // Catalogue tabs
+        if (this.catalogueTabs) {
+            this.catalogueTabs.addEventListener('click', (e) => {
+                const tab = e.target.closest('.catalogue-tab');
+                if (tab) {
+                    this.setMode(tab.dataset.mode);
+                }
+            });
+        }
     }
 
     /**
-     * Load favorites from storage
+     * Load the favorites of the playlist, updating their stored
+     * names, logos and URLs with the current channels
      */
     async loadFavorites() {
         try {
-            const favs = await window.electronAPI.getFavorites();
-            this.favorites = new Set(favs);
+            const favs = await window.electronAPI.syncFavorites(this.playlistId, this.channels.map(
+                ({ id, name, logo, url, group }) => ({ id, name, logo, url, group })
+            ));
+            this.setFavorites(favs, await window.electronAPI.getFavoriteFolders());
+        } catch (error) {
+            console.error('[ChannelList] Error loading favorites:', error);
+            this.setFavorites([], []);
+        }
+    }
+
+    /**
+     * Reload the favorites of the playlist after they changed
+     */
+    async refreshFavorites() {
+        try {
+            const [favs, folders] = await Promise.all([
+                window.electronAPI.getFavorites(this.playlistId),
+                window.electronAPI.getFavoriteFolders()
+            ]);
+            this.setFavorites(favs, folders);
         } catch (error) {
             console.error('[ChannelList] Error loading favorites:', error);
-            this.favorites = new Set();
         }
     }
 
+    /**
+     * Store the favorites of the playlist
+     * @param {Array} favs - Favorite records, in the user's order
+     * @param {Array} folders - Favorite folders
+     */
+    setFavorites(favs, folders) {
+        this.favoriteRecords = favs;
+        this.favoriteFolders = folders;
+        this.favorites = new Set(favs.map(fav => fav.channelId));
+    }
+
+    /**
+     * Check whether a group select value is a favorite filter
+     * @param {string} group - Group select value
+     * @returns {boolean} Whether it shows favorites
+     */
+    isFavoriteFilter(group) {
+        return group === FAVORITES_GROUP || !!group?.startsWith(FOLDER_GROUP_PREFIX);
+    }
+
+    /**
+     * Get the favorites shown by a favorite filter
+     * @param {string} group - '__favorites__' or a folder filter
+     * @returns {Array} Favorite records, in the user's order
+     */
+    getFavoriteRecords(group) {
+        if (group === FAVORITES_GROUP) {
+            return this.favoriteRecords;
+        }
+        const folderId = group.slice(FOLDER_GROUP_PREFIX.length);
+        return this.favoriteRecords.filter(fav => fav.folderId === folderId);
+    }
+
     /**
      * Render channel list and populate group filter
+     * @param {Array} channels - Live channels
+     * @param {Object} groups - Group name -> channels
+     * @param {string|null} playlistId - Playlist the channels belong to
      */
-    async render(channels, groups) {
+    async render(channels, groups, playlistId = null) {
         this.channels = channels;
         this.groups = groups;
+        this.playlistId = playlistId;
+        this.catalogues.live = { channels, groups };
 
         // Load favorites before rendering
         await this.loadFavorites();
 
         // Update group select options
         this.updateGroupSelect(Object.keys(groups));
+        this.groupSelect.value = 'all';
+        this.onNavigationOrderChange?.(null);
 
         // Cache all channel icons in background
         this.cacheChannelIcons(channels);
@@ -81,6 +207,125 @@ export class ChannelList {
         this.emptyState.classList.add('hidden');
     }
 
+    /**
+     * Show or hide the Live/Movies/Series tabs
+     */
+    setCatalogueEnabled(enabled) {
+        if (this.catalogueTabs) {
+            this.catalogueTabs.classList.toggle('hidden', !enabled);
+        }
+    }
+
+    /**
+     * Switch between live channels and on-demand catalogues
+     * @param {string} mode - 'live', 'movie' or 'series'
+     */
+    async setMode(mode) {
+        if (mode === this.mode && this.catalogues[mode] && !this.openSeriesItem) return;
+
+        this.mode = mode;
+        this.openSeriesItem = null;
+        this.updateCatalogueTabs();
+        this.onModeChange?.(mode);
+        this.onNavigationOrderChange?.(null);
+
+        // Catalogues are loaded the first time they are opened
+        if (!this.catalogues[mode]) {
+            this.channels = [];
+            this.groups = {};
+            this.updateGroupSelect([]);
+            this.renderChannels([]);
+
+            const catalogue = await this.onLoadCatalogue?.(mode);
+            if (!catalogue) return;
+            this.catalogues[mode] = catalogue;
+
+            // The user may have switched again while loading
+            if (this.mode !== mode) return;
+            this.cacheChannelIcons(catalogue.channels);
+        }
+
+        const { channels, groups } = this.catalogues[mode];
+        this.channels = channels;
+        this.groups = groups;
+
+        this.searchInput.value = '';
+        this.updateGroupSelect(Object.keys(groups));
+        this.groupSelect.value = 'all';
+        this.renderChannels(channels);
+    }
+
+    /**
+     * Highlight the tab of the current mode
+     */
+    updateCatalogueTabs() {
+        if (!this.catalogueTabs) return;
+        this.catalogueTabs.querySelectorAll('.catalogue-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.mode === this.mode);
+        });
+    }
+
+    /**
+     * Drill down into the seasons and episodes of a series
+     */
+    async openSeries(series) {
+        this.openSeriesItem = series;
+        this.renderChannels([]);
+
+        const seasons = await this.onLoadSeries?.(series);
+        if (this.openSeriesItem !== series) return;
+
+        if (!seasons) {
+            this.closeSeries();
+            return;
+        }
+
+        series.seasons = seasons;
+        this.renderSeries(series);
+    }
+
+    /**
+     * Return from the episode list to the series list
+     */
+    closeSeries() {
+        this.openSeriesItem = null;
+        this.filterChannels(this.searchInput.value, this.groupSelect.value);
+    }
+
+    /**
+     * Render seasons and episodes of the open series
+     */
+    renderSeries(series) {
+        const items = this.container.querySelectorAll('.channel-item, .channel-list-back, .season-header');
+        items.forEach(item => item.remove());
+
+        const fragment = document.createDocumentFragment();
+
+        const back = document.createElement('div');
+        back.className = 'channel-list-back';
+        back.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="15 18 9 12 15 6" />
+        </svg>`;
+        const title = document.createElement('span');
+        title.textContent = series.name;
+        back.appendChild(title);
+        back.addEventListener('click', () => this.closeSeries());
+        fragment.appendChild(back);
+
+        series.seasons.forEach(season => {
+            const header = document.createElement('div');
+            header.className = 'season-header';
+            header.textContent = season.name || i18n.t('player.catalogue.season', { number: season.number });
+            fragment.appendChild(header);
+
+            season.episodes.forEach(episode => {
+                fragment.appendChild(this.createChannelItem(episode));
+            });
+        });
+
+        this.container.appendChild(fragment);
+    }
+
     /**
      * Cache channel icons in the background
      */
@@ -99,14 +344,16 @@ export class ChannelList {
             const cachedIcons = await window.electronAPI.bulkCacheIcons(logoUrls);
 
             // Update logos with cached versions
-            this.channels.forEach(channel => {
+            channels.forEach(channel => {
                 if (channel.logo && cachedIcons[channel.logo]) {
                     channel.cachedLogo = cachedIcons[channel.logo];
                 }
             });
 
             // Re-render with cached logos
-            this.filterChannels(this.searchInput.value, this.groupSelect.value);
+            if (!this.openSeriesItem) {
+                this.filterChannels(this.searchInput.value, this.groupSelect.value);
+            }
 
             console.log('[ChannelList] Icon caching complete');
         } catch (error) {
@@ -115,9 +362,12 @@ export class ChannelList {
     }
 
     /**
-     * Update group select dropdown
+     * Update group select dropdown, keeping the selected
+     * group if it is still there
      */
     updateGroupSelect(groupNames) {
+        const selected = this.groupSelect.value;
+
         // Clear existing options except first
         while (this.groupSelect.options.length > 1) {
             this.groupSelect.remove(1);
@@ -126,11 +376,21 @@ export class ChannelList {
         // Add favorites group if there are favorites
         if (this.favorites.size > 0) {
             const favOption = document.createElement('option');
-            favOption.value = '__favorites__';
+            favOption.value = FAVORITES_GROUP;
             favOption.textContent = i18n.t('player.favorites');
             this.groupSelect.appendChild(favOption);
         }
 
+        // Add the favorite folders holding channels of the playlist
+        this.favoriteFolders.forEach(folder => {
+            if (!this.favoriteRecords.some(fav => fav.folderId === folder.id)) return;
+
+            const option = document.createElement('option');
+            option.value = FOLDER_GROUP_PREFIX + folder.id;
+            option.textContent = i18n.t('player.favoriteFolder', { name: folder.name });
+            this.groupSelect.appendChild(option);
+        });
+
         // Add group options
         groupNames.sort().forEach(group => {
             const option = document.createElement('option');
@@ -138,6 +398,9 @@ export class ChannelList {
             option.textContent = `${group} (${this.groups[group].length})`;
             this.groupSelect.appendChild(option);
         });
+
+        const options = [...this.groupSelect.options];
+        this.groupSelect.value = options.some(option => option.value === selected) ? selected : 'all';
     }
 
     /**
@@ -145,7 +408,7 @@ export class ChannelList {
      */
     renderChannels(channels) {
         // Clear container (keeping empty state)
-        const items = this.container.querySelectorAll('.channel-item');
+        const items = this.container.querySelectorAll('.channel-item, .channel-list-back, .season-header');
         items.forEach(item => item.remove());
 
         // Create channel items
@@ -171,6 +434,11 @@ export class ChannelList {
             item.classList.add('active');
         }
 
+        // Channel number (live channels only), click to change it
+        if (channel.number) {
+            item.appendChild(this.createNumberBadge(channel));
+        }
+
         // Logo or placeholder
         const logoUrl = channel.cachedLogo || channel.logo;
         if (logoUrl) {
@@ -200,15 +468,28 @@ export class ChannelList {
         group.textContent = channel.group;
         info.appendChild(group);
 
+        // Now/next programme from the guide
+        const epgInfo = this.createEpgInfo(channel);
+        if (epgInfo) {
+            info.appendChild(epgInfo);
+        }
+
         item.appendChild(info);
 
-        // Favorite button
-        const favBtn = this.createFavoriteButton(channel);
-        item.appendChild(favBtn);
+        // Record and favorite buttons (series are not playable themselves)
+        if (channel.url) {
+            if (this.onRecordClick) {
+                item.appendChild(this.createRecordButton(channel));
+            }
+            const favBtn = this.createFavoriteButton(channel);
+            item.appendChild(favBtn);
+        }
 
         // Click handler
         item.addEventListener('click', () => {
-            if (this.onChannelClick) {
+            if (channel.type === 'series') {
+                this.openSeries(channel);
+            } else if (this.onChannelClick) {
                 this.onChannelClick(channel);
             }
         });
@@ -216,13 +497,121 @@ export class ChannelList {
         return item;
     }
 
+    /**
+     * Create now/next programme info with progress bar
+     */
+    createEpgInfo(channel) {
+        const nowNext = epgService.getNowNext(channel.id);
+        if (!nowNext) return null;
+
+        const epg = document.createElement('div');
+        epg.className = 'channel-epg';
+
+        if (nowNext.now) {
+            const now = document.createElement('div');
+            now.className = 'channel-epg-now';
+            now.textContent = nowNext.now.title;
+            now.title = `${epgService.formatTime(nowNext.now.start)} - ${epgService.formatTime(nowNext.now.stop)}`;
+            epg.appendChild(now);
+
+            const progress = document.createElement('div');
+            progress.className = 'channel-epg-progress';
+            const bar = document.createElement('div');
+            bar.className = 'channel-epg-progress-bar';
+            bar.style.width = `${epgService.getProgress(nowNext.now)}%`;
+            progress.appendChild(bar);
+            epg.appendChild(progress);
+        }
+
+        if (nowNext.next) {
+            const next = document.createElement('div');
+            next.className = 'channel-epg-next';
+            next.textContent = i18n.t('player.epg.next', {
+                time: epgService.formatTime(nowNext.next.start),
+                title: nowNext.next.title
+            });
+            epg.appendChild(next);
+        }
+
+        return epg;
+    }
+
+    /**
+     * Refresh now/next info of rendered channel items in place
+     */
+    updateEpg() {
+        const channelsById = new Map(this.channels.map(c => [c.id, c]));
+        const items = this.container.querySelectorAll('.channel-item');
+
+        items.forEach(item => {
+            const channel = channelsById.get(item.dataset.id);
+            const info = item.querySelector('.channel-info');
+            if (!channel || !info) return;
+
+            const existing = info.querySelector('.channel-epg');
+            const epgInfo = this.createEpgInfo(channel);
+
+            if (existing && epgInfo) {
+                existing.replaceWith(epgInfo);
+            } else if (existing) {
+                existing.remove();
+            } else if (epgInfo) {
+                info.appendChild(epgInfo);
+            }
+        });
+    }
+
+    /**
+     * Create record toggle button
+     */
+    createRecordButton(channel) {
+        const btn = document.createElement('button');
+        btn.className = 'record-btn';
+        btn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+            <circle cx="12" cy="12" r="8" />
+        </svg>`;
+        this.updateRecordButton(btn, this.recordingIds.has(channel.id));
+
+        // Click handler - stop propagation to prevent channel play
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.onRecordClick(channel);
+        });
+
+        return btn;
+    }
+
+    /**
+     * Update record button state
+     */
+    updateRecordButton(btn, recording) {
+        btn.classList.toggle('active', recording);
+        btn.title = recording ? i18n.t('player.controls.stopRecording') : i18n.t('player.recordChannel');
+    }
+
+    /**
+     * Mark the channels being recorded
+     * @param {Array<string>} channelIds - IDs of channels with a recording in progress
+     */
+    setRecordingChannels(channelIds) {
+        this.recordingIds = new Set(channelIds);
+
+        const items = this.container.querySelectorAll('.channel-item');
+        items.forEach(item => {
+            const btn = item.querySelector('.record-btn');
+            if (btn) {
+                this.updateRecordButton(btn, this.recordingIds.has(item.dataset.id));
+            }
+        });
+    }
+
     /**
      * Create favorite toggle button
      */
     createFavoriteButton(channel) {
         const btn = document.createElement('button');
         btn.className = 'favorite-btn';
-        const isFav = this.favorites.has(channel.url);
+        const isFav = this.favorites.has(channel.id);
 
         if (isFav) {
             btn.classList.add('active');
@@ -249,14 +638,14 @@ export class ChannelList {
      */
     async toggleFavorite(channel, btn) {
         try {
-            const result = await window.electronAPI.toggleFavorite(channel.url);
+            const { id, name, logo, url, group, type } = channel;
+            const result = await window.electronAPI.toggleFavorite(this.playlistId, { id, name, logo, url, group, type });
             const isFav = result.isFavorite;
+            await this.refreshFavorites();
 
             if (isFav) {
-                this.favorites.add(channel.url);
                 btn.classList.add('active');
             } else {
-                this.favorites.delete(channel.url);
                 btn.classList.remove('active');
             }
 
@@ -269,17 +658,116 @@ export class ChannelList {
             btn.title = isFav ? i18n.t('player.removeFavorite') : i18n.t('player.addFavorite');
 
             // Refresh group select to show/hide favorites group
+            const selected = this.groupSelect.value;
             this.updateGroupSelect(Object.keys(this.groups));
 
             // If currently filtering by favorites, re-render
-            if (this.groupSelect.value === '__favorites__') {
-                this.filterChannels(this.searchInput.value, '__favorites__');
+            if (this.isFavoriteFilter(selected)) {
+                this.filterChannels(this.searchInput.value, this.groupSelect.value);
             }
         } catch (error) {
             console.error('[ChannelList] Error toggling favorite:', error);
         }
     }
 
+    /**
+     * Mark where a dragged favorite would be dropped
+     * @param {HTMLElement|null} target - Item under the pointer
+     */
+    showDropPosition(target) {
+        const items = [...this.container.querySelectorAll('.channel-item[draggable="true"]')];
+        const draggedIndex = items.findIndex(item => item.dataset.id === this.draggedChannelId);
+        const targetIndex = items.indexOf(target);
+
+        items.forEach(item => item.classList.remove('drop-before', 'drop-after'));
+        if (target && targetIndex !== draggedIndex) {
+            target.classList.add(draggedIndex < targetIndex ? 'drop-after' : 'drop-before');
+        }
+    }
+
+    /**
+     * Move a favorite to the place of another one in the shown
+     * favorite filter: after it when dragged down, before it when
+     * dragged up. The moved favorite takes the other one's folder.
+     * @param {string} channelId - Dragged channel ID
+     * @param {string} targetChannelId - Channel ID it was dropped on
+     */
+    async moveFavorite(channelId, targetChannelId) {
+        const group = this.groupSelect.value;
+        const records = this.getFavoriteRecords(group);
+        const fromIndex = records.findIndex(fav => fav.channelId === channelId);
+        const toIndex = records.findIndex(fav => fav.channelId === targetChannelId);
+        if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return;
+
+        const target = records[toIndex];
+        const before = fromIndex < toIndex ? records[toIndex + 1] : target;
+
+        try {
+            await window.electronAPI.moveFavorite(records[fromIndex].id, target.folderId || null, before?.id || null);
+            await this.refreshFavorites();
+            this.updateGroupSelect(Object.keys(this.groups));
+            this.filterChannels(this.searchInput.value, this.groupSelect.value);
+        } catch (error) {
+            console.error('[ChannelList] Error moving favorite:', error);
+        }
+    }
+
+    /**
+     * Create the number badge of a channel
+     */
+    createNumberBadge(channel) {
+        const badge = document.createElement('span');
+        badge.className = 'channel-number';
+        badge.textContent = channel.number;
+        badge.title = i18n.t('player.renumber');
+
+        badge.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.editNumber(channel, badge);
+        });
+
+        return badge;
+    }
+
+    /**
+     * Replace a number badge with an input to renumber the channel.
+     * Enter saves (an empty value restores the default number),
+     * Escape or leaving the input cancels.
+     */
+    editNumber(channel, badge) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '1';
+        input.max = String(PlaylistManager.MAX_CHANNEL_NUMBER);
+        input.className = 'channel-number-input';
+        input.value = channel.number;
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+
+            const value = input.value.trim();
+            const number = value ? Number(value) : null;
+            input.replaceWith(badge);
+
+            if (save && number !== channel.number && (number === null || PlaylistManager.isValidChannelNumber(number))) {
+                this.onRenumber?.(channel, number);
+            }
+        };
+
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(false));
+
+        badge.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
     /**
      * Create logo placeholder with initials
      */
@@ -291,14 +779,15 @@ export class ChannelList {
     }
 
     /**
-     * Filter channels by search query and group
+     * Get channels matching a search query and group
      */
-    filterChannels(query, group) {
+    getFilteredChannels(query, group) {
         let filtered = this.channels;
 
-        // Filter by favorites
-        if (group === '__favorites__') {
-            filtered = filtered.filter(c => this.favorites.has(c.url));
+        // Filter by favorites, in the user's order
+        if (this.isFavoriteFilter(group)) {
+            const byId = new Map(filtered.map(c => [c.id, c]));
+            filtered = this.getFavoriteRecords(group).map(fav => byId.get(fav.channelId)).filter(Boolean);
         }
         // Filter by group
         else if (group && group !== 'all') {
@@ -313,7 +802,35 @@ export class ChannelList {
             );
         }
 
-        this.renderChannels(filtered);
+        return filtered;
+    }
+
+    /**
+     * Render the shown channels again (e.g. after a renumbering)
+     */
+    refresh() {
+        if (!this.openSeriesItem) {
+            this.filterChannels(this.searchInput.value, this.groupSelect.value);
+        }
+    }
+
+    /**
+     * Filter channels by search query and group
+     */
+    filterChannels(query, group) {
+        this.openSeriesItem = null;
+        const channels = this.getFilteredChannels(query, group);
+        this.renderChannels(channels);
+
+        // Favorites can be rearranged while they are all shown
+        if (this.isFavoriteFilter(group) && !query?.trim()) {
+            this.container.querySelectorAll('.channel-item').forEach(item => {
+                item.draggable = true;
+            });
+        }
+
+        // Prev/next can stay within the shown live channels
+        this.onNavigationOrderChange?.(this.mode === 'live' ? channels : null);
     }
 
     /**
@@ -342,8 +859,18 @@ export class ChannelList {
         this.channels = [];
         this.groups = {};
         this.activeChannelId = null;
+        this.playlistId = null;
+        this.setFavorites([], []);
+        this.catalogues = {};
+        this.openSeriesItem = null;
+
+        if (this.mode !== 'live') {
+            this.mode = 'live';
+            this.updateCatalogueTabs();
+            this.onModeChange?.('live');
+        }
 
-        const items = this.container.querySelectorAll('.channel-item');
+        const items = this.container.querySelectorAll('.channel-item, .channel-list-back, .season-header');
         items.forEach(item => item.remove());
 
         this.emptyState.classList.remove('hidden');
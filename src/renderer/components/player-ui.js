@@ -2,11 +2,15 @@
  * PlayerUI - Player Controls Component
  * 
  * Handles the video player UI controls including
- * play/pause, volume, fullscreen, and channel navigation.
+ * play/pause, volume, fullscreen, channel navigation, and
+ * a seek bar for on-demand content and timeshifted live streams.
  */
 
 import { i18n } from '../modules/i18n.js';
 
+// Seconds behind the live position still shown as "LIVE"
+const LIVE_THRESHOLD = 10;
+
 export class PlayerUI {
     constructor({ videoElement, playerManager, playlistManager, onChannelChange, loadingOverlay, channelNameElement }) {
         this.video = videoElement;
@@ -16,6 +20,8 @@ export class PlayerUI {
         this.loadingOverlay = loadingOverlay;
         this.channelNameElement = channelNameElement;
         this.hideTimeout = null;
+        this.isSeeking = false;
+        this.liveInterval = null;
         this.videoContainer = document.getElementById('video-container');
         this.playerControls = document.getElementById('player-controls');
 
@@ -27,6 +33,11 @@ export class PlayerUI {
             muteBtn: document.getElementById('btn-mute'),
             volumeSlider: document.getElementById('volume-slider'),
             fullscreenBtn: document.getElementById('btn-fullscreen'),
+            seekBar: document.getElementById('seek-bar'),
+            seekSlider: document.getElementById('seek-slider'),
+            seekCurrent: document.getElementById('seek-current'),
+            seekDuration: document.getElementById('seek-duration'),
+            liveIndicator: document.getElementById('live-indicator'),
             iconPlay: document.querySelector('.icon-play'),
             iconPause: document.querySelector('.icon-pause'),
             iconVolume: document.querySelector('.icon-volume'),
@@ -88,6 +99,26 @@ export class PlayerUI {
         this.elements.fullscreenBtn.addEventListener('click', () => {
             this.playerManager.toggleFullscreen();
         });
+
+        // Seek bar: preview while dragging, seek on release
+        this.elements.seekSlider.addEventListener('input', (e) => {
+            this.isSeeking = true;
+            const value = parseFloat(e.target.value);
+            if (this.isLive()) {
+                this.updateLiveIndicator(parseFloat(e.target.max) - value);
+            } else {
+                this.elements.seekCurrent.textContent = PlayerUI.formatTime(value);
+            }
+        });
+        this.elements.seekSlider.addEventListener('change', (e) => {
+            this.playerManager.seek(parseFloat(e.target.value));
+            this.isSeeking = false;
+        });
+
+        // Live indicator returns to the live position
+        this.elements.liveIndicator.addEventListener('click', () => {
+            this.playerManager.seekToLive();
+        });
     }
 
     /**
@@ -100,6 +131,91 @@ export class PlayerUI {
         this.video.addEventListener('waiting', () => this.showLoading(true));
         this.video.addEventListener('playing', () => this.showLoading(false));
         this.video.addEventListener('canplay', () => this.showLoading(false));
+        this.video.addEventListener('durationchange', () => this.updateSeekBar());
+        this.video.addEventListener('playing', () => this.updateSeekBar());
+        this.video.addEventListener('emptied', () => this.updateSeekBar());
+        this.video.addEventListener('timeupdate', () => this.updateSeekPosition());
+    }
+
+    /**
+     * Show the seek bar for content with a finite duration and
+     * for live streams with a timeshift window
+     */
+    updateSeekBar() {
+        const seekable = this.playerManager.isSeekable();
+        const live = !seekable && !!this.playerManager.getLiveWindow();
+        this.elements.seekBar.classList.toggle('hidden', !seekable && !live);
+        this.elements.seekBar.classList.toggle('is-live', live);
+        this.playerControls?.classList.toggle('has-seek', seekable || live);
+
+        if (seekable) {
+            this.elements.seekSlider.min = 0;
+            this.elements.seekSlider.max = Math.floor(this.video.duration);
+            this.elements.seekDuration.textContent = PlayerUI.formatTime(this.video.duration);
+        }
+        this.updateSeekPosition();
+
+        // The live position keeps moving while paused
+        if (live && !this.liveInterval) {
+            this.liveInterval = setInterval(() => this.updateSeekPosition(), 1000);
+        } else if (!live && this.liveInterval) {
+            clearInterval(this.liveInterval);
+            this.liveInterval = null;
+        }
+    }
+
+    /**
+     * Check whether the seek bar shows a live timeshift window
+     * @returns {boolean} True for timeshifted live streams
+     */
+    isLive() {
+        return this.elements.seekBar.classList.contains('is-live');
+    }
+
+    /**
+     * Update seek bar position from the current time
+     */
+    updateSeekPosition() {
+        if (this.isSeeking || this.elements.seekBar.classList.contains('hidden')) return;
+
+        if (this.isLive()) {
+            const liveWindow = this.playerManager.getLiveWindow();
+            if (!liveWindow) return;
+
+            this.elements.seekSlider.min = Math.floor(liveWindow.start);
+            this.elements.seekSlider.max = Math.ceil(liveWindow.live);
+            this.elements.seekSlider.value = Math.floor(this.video.currentTime);
+            this.updateLiveIndicator(liveWindow.live - this.video.currentTime);
+            return;
+        }
+
+        this.elements.seekSlider.value = Math.floor(this.video.currentTime);
+        this.elements.seekCurrent.textContent = PlayerUI.formatTime(this.video.currentTime);
+    }
+
+    /**
+     * Show "LIVE" or how far behind live playback is (e.g. -04:12)
+     * @param {number} behind - Seconds behind the live position
+     */
+    updateLiveIndicator(behind) {
+        const atLive = behind < LIVE_THRESHOLD;
+        this.elements.liveIndicator.classList.toggle('at-live', atLive);
+        this.elements.liveIndicator.textContent = atLive
+            ? i18n.t('player.live')
+            : `-${PlayerUI.formatTime(behind).padStart(5, '0')}`;
+    }
+
+    /**
+     * Format seconds as h:mm:ss or m:ss
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Formatted time
+     */
+    static formatTime(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = String(total % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
     }
 
     /**
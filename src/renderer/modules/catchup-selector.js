@@ -0,0 +1,163 @@
+/**
+ * CatchupSelector - Catch-up Time Offset Selection Module
+ *
+ * Manages a popup dropdown for channels with an archive,
+ * letting the user jump back a fixed amount of time
+ * (e.g. 15 min, 1 h) or return to the live stream.
+ */
+
+import { i18n } from './i18n.js';
+import { Catchup } from '../../modules/playlist/catchup.js';
+
+// Offsets offered in the popup, in minutes
+const OFFSETS = [15, 30, 60, 120, 360, 720];
+
+class CatchupSelector {
+    constructor() {
+        this.popup = null;
+        this.button = null;
+        this.channel = null;
+        this.currentOffset = 0; // 0 = live
+        this.onSelect = null;
+        this._outsideClickHandler = null;
+    }
+
+    /**
+     * Initialize the catch-up selector
+     * @param {Function} onSelect - Called with (channel, offsetMinutes), 0 for live
+     */
+    initialize(onSelect) {
+        this.onSelect = onSelect;
+        this.button = document.getElementById('btn-catchup');
+        this.popup = document.getElementById('catchup-popup');
+
+        if (!this.button || !this.popup) {
+            console.warn('[CatchupSelector] Elements not found');
+            return;
+        }
+
+        this.button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggle();
+        });
+
+        this._outsideClickHandler = (e) => {
+            if (!this.popup.contains(e.target) && !this.button.contains(e.target)) {
+                this.hide();
+            }
+        };
+
+        document.addEventListener('click', this._outsideClickHandler);
+
+        // Hide button initially (shown for channels with an archive)
+        this.button.classList.add('hidden');
+    }
+
+    /**
+     * Set the playing channel
+     * @param {Object} channel - Channel object
+     * @param {number} offset - Minutes behind live (0 for live)
+     */
+    setChannel(channel, offset = 0) {
+        this.channel = channel;
+        this.currentOffset = offset;
+        this.button?.classList.toggle('hidden', !Catchup.isAvailable(channel));
+        this.button?.classList.toggle('active', offset > 0);
+        this.hide();
+    }
+
+    /**
+     * Clear channel (when stream stops)
+     */
+    clear() {
+        this.setChannel(null);
+    }
+
+    /**
+     * Render offset options in the popup
+     */
+    render() {
+        if (!this.popup) return;
+
+        this.popup.innerHTML = '';
+
+        // Live option
+        const liveOption = document.createElement('button');
+        liveOption.className = `quality-option${this.currentOffset === 0 ? ' active' : ''}`;
+        liveOption.textContent = i18n.t('player.catchup.live');
+        liveOption.addEventListener('click', () => this.select(0));
+        this.popup.appendChild(liveOption);
+
+        // Only offsets the archive still covers
+        const now = Date.now();
+        for (const minutes of OFFSETS) {
+            if (!Catchup.covers(this.channel, now - minutes * 60 * 1000)) continue;
+
+            const option = document.createElement('button');
+            option.className = `quality-option${this.currentOffset === minutes ? ' active' : ''}`;
+            option.textContent = this.formatLabel(minutes);
+            option.addEventListener('click', () => this.select(minutes));
+            this.popup.appendChild(option);
+        }
+    }
+
+    /**
+     * Format offset label
+     * @param {number} minutes - Offset in minutes
+     * @returns {string} Formatted label
+     */
+    formatLabel(minutes) {
+        return minutes >= 60
+            ? i18n.t('player.catchup.hoursAgo', { count: minutes / 60 })
+            : i18n.t('player.catchup.minutesAgo', { count: minutes });
+    }
+
+    /**
+     * Select an offset
+     * @param {number} minutes - Minutes behind live (0 for live)
+     */
+    select(minutes) {
+        this.hide();
+        if (this.channel) {
+            this.onSelect?.(this.channel, minutes);
+        }
+    }
+
+    /**
+     * Toggle popup visibility
+     */
+    toggle() {
+        if (this.popup.classList.contains('visible')) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * Show offset popup
+     */
+    show() {
+        if (!this.popup || !Catchup.isAvailable(this.channel)) return;
+        this.render();
+        this.popup.classList.add('visible');
+    }
+
+    /**
+     * Hide offset popup
+     */
+    hide() {
+        this.popup?.classList.remove('visible');
+    }
+
+    /**
+     * Clean up
+     */
+    destroy() {
+        if (this._outsideClickHandler) {
+            document.removeEventListener('click', this._outsideClickHandler);
+        }
+    }
+}
+
+export const catchupSelector = new CatchupSelector();
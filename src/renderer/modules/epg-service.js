@@ -0,0 +1,147 @@
+/**
+ * EpgService - Programme Guide State Module
+ *
+ * Keeps the now/next programme information for the channels
+ * of the open playlist up to date by polling the main process
+ * guide index, and notifies the UI when it changes.
+ */
+
+import { i18n } from './i18n.js';
+
+export class EpgService {
+    constructor() {
+        this.playlistId = null;
+        this.channels = [];
+        this.nowNext = {};
+        this.refreshInterval = null;
+
+        // Whether the guide is still being downloaded
+        this.loading = false;
+
+        // Event callbacks
+        this.onUpdate = null;
+        this.onGuideChange = null;
+    }
+
+    /**
+     * Load guide data for a playlist's channels
+     * @param {string} playlistId - Playlist ID
+     * @param {Array} channels - Parsed channels
+     */
+    async load(playlistId, channels) {
+        this.clear();
+
+        this.playlistId = playlistId;
+        this.channels = channels.map(channel => EpgService.toGuideKey(channel));
+
+        // Guide data read until the download ends may be missing
+        this.loading = true;
+
+        // Show the cached guide right away, then refresh it if stale
+        await this.updateNowNext();
+
+        let result = null;
+        try {
+            result = await window.electronAPI.loadEpg(playlistId);
+        } catch (error) {
+            console.error('[EpgService] Error loading guide:', error);
+        }
+        if (this.playlistId !== playlistId) return;
+        this.loading = false;
+
+        if (result?.error) {
+            console.warn('[EpgService] Guide load failed:', result.error);
+        } else if (result) {
+            this.onGuideChange?.();
+            await this.updateNowNext();
+        }
+
+        if (this.playlistId === playlistId && !this.refreshInterval) {
+            this.refreshInterval = setInterval(() => this.updateNowNext(), 60000);
+        }
+    }
+
+    /**
+     * Reduce a channel to the fields used for guide matching
+     * @param {Object} channel - Channel object
+     * @returns {Object} Guide lookup key
+     */
+    static toGuideKey(channel) {
+        return {
+            id: channel.id,
+            tvgId: channel.tvgId,
+            tvgName: channel.tvgName,
+            name: channel.name,
+            tvgShift: channel.tvgShift || 0
+        };
+    }
+
+    /**
+     * Fetch current now/next data from the main process
+     */
+    async updateNowNext() {
+        if (!this.playlistId || this.channels.length === 0) return;
+
+        const playlistId = this.playlistId;
+
+        try {
+            const nowNext = await window.electronAPI.getEpgNowNext(playlistId, this.channels);
+            if (this.playlistId !== playlistId) return;
+
+            this.nowNext = nowNext || {};
+
+            if (this.onUpdate) {
+                this.onUpdate();
+            }
+        } catch (error) {
+            console.error('[EpgService] Error getting now/next:', error);
+        }
+    }
+
+    /**
+     * Get now/next programmes for a channel
+     * @param {string} channelId - Channel ID
+     * @returns {Object|null} { now, next } or null
+     */
+    getNowNext(channelId) {
+        return this.nowNext[channelId] || null;
+    }
+
+    /**
+     * Get elapsed percentage of a programme
+     * @param {Object} programme - Programme with start and stop
+     * @returns {number} Progress between 0 and 100
+     */
+    getProgress(programme) {
+        if (!programme || programme.stop <= programme.start) return 0;
+        const elapsed = (Date.now() - programme.start) / (programme.stop - programme.start);
+        return Math.max(0, Math.min(100, elapsed * 100));
+    }
+
+    /**
+     * Format a programme time for display
+     * @param {number} time - Epoch milliseconds
+     * @returns {string} Localized HH:MM
+     */
+    formatTime(time) {
+        return new Date(time).toLocaleTimeString(i18n.getCurrentLocale(), {
+            hour: '2-digit', minute: '2-digit'
+        });
+    }
+
+    /**
+     * Stop polling and clear guide data
+     */
+    clear() {
+        if (this.refreshInterval) {
+            clearInterval(this.refreshInterval);
+            this.refreshInterval = null;
+        }
+        this.playlistId = null;
+        this.channels = [];
+        this.nowNext = {};
+        this.loading = false;
+    }
+}
+
+export const epgService = new EpgService();
@@ -3,9 +3,13 @@
  * 
  * Manages keyboard shortcuts with customizable key bindings.
  * Shortcuts are persisted via settings and can be rebound
- * from the settings UI.
+ * from the settings UI. Digits not bound to an action are
+ * typed like on a remote control: the number being entered
+ * is shown and tuned after a short pause.
  */
 
+import { PlaylistManager } from '../../modules/playlist/playlist-manager.js';
+
 // Default shortcut bindings
 const DEFAULT_SHORTCUTS = {
     playPause: ' ',
@@ -17,6 +21,12 @@ const DEFAULT_SHORTCUTS = {
     nextChannel: 'ArrowRight'
 };
 
+// A typed channel number is tuned after this pause (ms)
+const NUMBER_ENTRY_DELAY = 1500;
+
+// Longest channel number that can be typed
+const NUMBER_ENTRY_MAX_DIGITS = String(PlaylistManager.MAX_CHANNEL_NUMBER).length;
+
 // Display-friendly key names
 const KEY_DISPLAY_NAMES = {
     ' ': 'Space',
@@ -37,6 +47,10 @@ class KeyboardShortcuts {
         this.actions = {};
         this.enabled = true;
         this._handler = null;
+
+        // Channel number being typed
+        this.numberEntry = '';
+        this.numberTimer = null;
     }
 
     /**
@@ -81,7 +95,10 @@ class KeyboardShortcuts {
 
         // Find matching action
         const action = this.getActionForKey(e.key);
-        if (!action) return;
+        if (!action) {
+            this.handleNumberKey(e);
+            return;
+        }
 
         // Prevent default for navigation keys
         const preventKeys = [' ', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
@@ -95,6 +112,54 @@ class KeyboardShortcuts {
         }
     }
 
+    /**
+     * Type a channel number: digits add to it, Enter tunes it at
+     * once, Escape and Backspace cancel or correct it
+     * @param {KeyboardEvent} e - Key event with no action bound
+     */
+    handleNumberKey(e) {
+        if (e.ctrlKey || e.altKey || e.metaKey) return;
+
+        if (/^[0-9]$/.test(e.key)) {
+            // Leading zeros mean nothing on a remote either
+            if (!this.numberEntry && e.key === '0') return;
+            this.numberEntry += e.key;
+        } else if (!this.numberEntry) {
+            return;
+        } else if (e.key === 'Backspace') {
+            this.numberEntry = this.numberEntry.slice(0, -1);
+        } else if (e.key === 'Escape') {
+            this.numberEntry = '';
+        } else if (e.key !== 'Enter') {
+            return;
+        }
+
+        e.preventDefault();
+        clearTimeout(this.numberTimer);
+
+        if (!this.numberEntry) {
+            this.actions.numberEntry?.(null);
+        } else if (e.key === 'Enter' || this.numberEntry.length >= NUMBER_ENTRY_MAX_DIGITS) {
+            this.tuneNumberEntry();
+        } else {
+            this.actions.numberEntry?.(`${this.numberEntry}_`);
+            this.numberTimer = setTimeout(() => this.tuneNumberEntry(), NUMBER_ENTRY_DELAY);
+        }
+    }
+
+    /**
+     * Tune the channel number typed so far
+     */
+    tuneNumberEntry() {
+        const number = Number(this.numberEntry);
+        this.numberEntry = '';
+        clearTimeout(this.numberTimer);
+        this.numberTimer = null;
+
+        this.actions.numberEntry?.(String(number));
+        this.actions.tuneNumber?.(number);
+    }
+
     /**
      * Find which action is bound to a key
      * @param {string} key - The key value from KeyboardEvent
@@ -196,6 +261,7 @@ class KeyboardShortcuts {
         if (this._handler) {
             document.removeEventListener('keydown', this._handler);
         }
+        clearTimeout(this.numberTimer);
     }
 }
 
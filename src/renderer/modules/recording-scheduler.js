@@ -0,0 +1,339 @@
+/**
+ * RecordingScheduler - Scheduled Recording Module
+ *
+ * Starts and stops direct recordings of scheduled jobs at
+ * their times (with optional padding before and after),
+ * whatever view is open. Jobs are persisted by the main
+ * process so they survive restarts. Repeating jobs queue
+ * their next occurrence when one starts or is missed.
+ */
+
+import { StreamRecorder } from '../../modules/player/stream-recorder.js';
+
+// Due jobs are looked for this often
+const CHECK_INTERVAL = 10000;
+
+// Repeat rules of a job
+export const REPEAT_RULES = ['none', 'daily', 'weekdays', 'weekly'];
+
+class RecordingScheduler {
+    constructor() {
+        this.jobs = [];
+        this.checkInterval = null;
+
+        // Called with the changed job (null when one is removed)
+        this.onChange = null;
+    }
+
+    /**
+     * Load saved jobs and start checking for due ones
+     */
+    async initialize() {
+        try {
+            this.jobs = await window.electronAPI.getRecordingJobs();
+        } catch (error) {
+            console.error('[RecordingScheduler] Error loading jobs:', error);
+            this.jobs = [];
+        }
+
+        window.electronAPI.onRecordingUpdate((info) => this.handleRecordingUpdate(info));
+
+        await this.recoverInterrupted();
+        this.check();
+        this.checkInterval = setInterval(() => this.check(), CHECK_INTERVAL);
+    }
+
+    /**
+     * Resolve jobs saved as recording: reattach to recordings the
+     * main process still runs (window reloaded), fail the ones cut
+     * short by an app restart and record what is left of their time
+     */
+    async recoverInterrupted() {
+        const interrupted = this.jobs.filter(job => job.status === 'recording');
+        if (interrupted.length === 0) return;
+
+        let running = [];
+        try {
+            running = await window.electronAPI.getDirectRecordings();
+        } catch (error) {
+            console.error('[RecordingScheduler] Error listing recordings:', error);
+        }
+
+        for (const job of interrupted) {
+            const info = running.find(recording => recording.id === job.recordingId);
+            if (info) {
+                this.handleRecordingUpdate(info);
+                continue;
+            }
+
+            await this.updateJob(job, { status: 'failed', error: 'interrupted', endedAt: Date.now() });
+
+            if (Date.now() < this.getTimeRange(job).end) {
+                await this.addJob({ ...this.getJobFields(job), repeat: 'none' });
+            }
+        }
+    }
+
+    /**
+     * Schedule a recording
+     * @param {Object} options - Job options
+     * @param {Object} options.channel - { id, name, logo, group, url, headers, playlistId }
+     * @param {string} options.title - Programme title
+     * @param {number} options.start - Start, epoch milliseconds
+     * @param {number} options.end - End, epoch milliseconds
+     * @param {number} options.paddingBefore - Minutes recorded before the start
+     * @param {number} options.paddingAfter - Minutes recorded after the end
+     * @param {string} options.repeat - One of REPEAT_RULES
+     * @returns {Promise<Object>} Stored job
+     * @throws {Error} If the times are invalid
+     */
+    async schedule({ channel, title = '', start, end, paddingBefore = 0, paddingAfter = 0, repeat = 'none' }) {
+        if (!channel?.url || !(end > start)) {
+            throw new Error('Invalid recording time');
+        }
+
+        const job = {
+            channel,
+            title,
+            start,
+            end,
+            paddingBefore: Math.max(0, paddingBefore),
+            paddingAfter: Math.max(0, paddingAfter),
+            repeat: REPEAT_RULES.includes(repeat) ? repeat : 'none'
+        };
+        if (Date.now() >= this.getTimeRange(job).end) {
+            throw new Error('Recording time is over');
+        }
+
+        const stored = await this.addJob(job);
+        this.check();
+        return stored;
+    }
+
+    /**
+     * Cancel a job: stops it if recording, removes it if upcoming.
+     * Removing an upcoming repeating job ends the series.
+     * @param {string} id - Job ID
+     */
+    async cancel(id) {
+        const job = this.jobs.find(j => j.id === id);
+        if (!job) return;
+
+        if (job.status === 'recording') {
+            if (job.recordingId) {
+                await window.electronAPI.stopDirectRecording(job.recordingId);
+            }
+        } else {
+            await this.remove(id);
+        }
+    }
+
+    /**
+     * Remove a job from the list (its file is kept)
+     * @param {string} id - Job ID
+     */
+    async remove(id) {
+        const job = this.jobs.find(j => j.id === id);
+        if (!job || job.status === 'recording') return;
+
+        this.jobs = this.jobs.filter(j => j.id !== id);
+        this.onChange?.(null);
+
+        try {
+            await window.electronAPI.removeRecordingJob(id);
+        } catch (error) {
+            console.error('[RecordingScheduler] Error removing job:', error);
+        }
+    }
+
+    /**
+     * Get all jobs
+     * @returns {Array} Jobs
+     */
+    getJobs() {
+        return [...this.jobs];
+    }
+
+    /**
+     * Get the recording a job is making of a channel
+     * @param {string} channelId - Channel ID
+     * @returns {string|null} Recording id
+     */
+    getRecordingId(channelId) {
+        const job = this.jobs.find(j => j.status === 'recording' && j.recordingId && j.channel.id === channelId);
+        return job ? job.recordingId : null;
+    }
+
+    /**
+     * Get the channels being recorded by jobs
+     * @returns {Array<string>} Channel IDs
+     */
+    getRecordingChannelIds() {
+        return this.jobs.filter(j => j.status === 'recording').map(j => j.channel.id);
+    }
+
+    /**
+     * Time range a job records, padding included
+     * @param {Object} job - Job
+     * @returns {Object} { start, end } epoch milliseconds
+     */
+    getTimeRange(job) {
+        return {
+            start: job.start - (job.paddingBefore || 0) * 60 * 1000,
+            end: job.end + (job.paddingAfter || 0) * 60 * 1000
+        };
+    }
+
+    /**
+     * Start due jobs and stop finished ones
+     */
+    check() {
+        const now = Date.now();
+
+        for (const job of [...this.jobs]) {
+            const range = this.getTimeRange(job);
+
+            if (job.status === 'scheduled' && now >= range.start) {
+                if (now >= range.end) {
+                    // The app was closed for the whole time
+                    this.updateJob(job, { status: 'failed', error: 'missed' });
+                    this.queueNext(job).catch(error => {
+                        console.error('[RecordingScheduler] Error scheduling next occurrence:', error);
+                    });
+                } else {
+                    this.startJob(job).catch(error => {
+                        console.error('[RecordingScheduler] Error starting job:', error);
+                    });
+                }
+            } else if (job.status === 'recording' && job.recordingId && now >= range.end) {
+                window.electronAPI.stopDirectRecording(job.recordingId);
+            }
+        }
+    }
+
+    /**
+     * Start the recording of a job
+     * @param {Object} job - Due job
+     */
+    async startJob(job) {
+        // Marked first so the next check does not start it again
+        await this.updateJob(job, { status: 'recording', startedAt: Date.now() });
+
+        // The recording still starts if the next occurrence cannot be saved
+        await this.queueNext(job).catch(error => {
+            console.error('[RecordingScheduler] Error scheduling next occurrence:', error);
+        });
+
+        const { channel } = job;
+        console.log(`[RecordingScheduler] Starting scheduled recording of ${channel.name}`);
+
+        try {
+            const template = await window.electronAPI.getSetting('recording.filenameTemplate');
+            const info = await window.electronAPI.startDirectRecording({
+                url: channel.url,
+                headers: channel.headers || {},
+                name: channel.name,
+                filename: StreamRecorder.generateFilename(channel.name, '', { template, programme: job.title }),
+                silent: true
+            });
+            if (!info || info.error) throw new Error(info?.error || 'Recording not started');
+
+            await this.updateJob(job, { recordingId: info.id, filePath: info.filePath, size: 0 });
+        } catch (error) {
+            console.error('[RecordingScheduler] Error starting recording:', error);
+            await this.updateJob(job, { status: 'failed', error: error.message, endedAt: Date.now() });
+        }
+    }
+
+    /**
+     * Schedule the occurrence after a repeating job
+     * @param {Object} job - Job that started or was missed
+     */
+    async queueNext(job) {
+        if (!job.repeat || job.repeat === 'none') return;
+
+        const { start, end } = this.getNextOccurrence(job);
+        await this.addJob({ ...this.getJobFields(job), start, end });
+    }
+
+    /**
+     * Next occurrence of a repeating job that is not over yet
+     * @param {Object} job - Repeating job
+     * @returns {Object} { start, end } epoch milliseconds
+     */
+    getNextOccurrence(job) {
+        const duration = job.end - job.start;
+        const date = new Date(job.start);
+        const isSkipped = () => job.repeat === 'weekdays' && (date.getDay() === 0 || date.getDay() === 6);
+
+        // Calendar days keep the time of day across DST changes
+        do {
+            date.setDate(date.getDate() + (job.repeat === 'weekly' ? 7 : 1));
+        } while (isSkipped() || Date.now() >= this.getTimeRange({ ...job, start: date.getTime(), end: date.getTime() + duration }).end);
+
+        return { start: date.getTime(), end: date.getTime() + duration };
+    }
+
+    /**
+     * Track progress and end of the recordings of jobs
+     * @param {Object} info - Recording info from the main process
+     */
+    handleRecordingUpdate(info) {
+        const job = this.jobs.find(j => j.recordingId === info.id);
+        if (!job) return;
+
+        if (info.status === 'recording') {
+            // Progress is not persisted, the file size is read on load
+            job.size = info.bytes;
+            this.onChange?.(job);
+            return;
+        }
+
+        this.updateJob(job, {
+            status: info.status,
+            error: info.error,
+            endedAt: info.endedAt,
+            size: info.bytes
+        });
+    }
+
+    /**
+     * Fields a job shares with its copies
+     * @param {Object} job - Job
+     * @returns {Object} Job fields
+     */
+    getJobFields(job) {
+        const { channel, title, start, end, paddingBefore, paddingAfter, repeat } = job;
+        return { channel, title, start, end, paddingBefore, paddingAfter, repeat };
+    }
+
+    /**
+     * Store a new job
+     * @param {Object} fields - Job fields
+     * @returns {Promise<Object>} Stored job
+     */
+    async addJob(fields) {
+        const job = await window.electronAPI.addRecordingJob(fields);
+        this.jobs.push(job);
+        this.onChange?.(job);
+        return job;
+    }
+
+    /**
+     * Change a job and persist the change
+     * @param {Object} job - Job
+     * @param {Object} changes - Fields to change
+     */
+    async updateJob(job, changes) {
+        Object.assign(job, changes);
+        this.onChange?.(job);
+
+        try {
+            await window.electronAPI.updateRecordingJob(job.id, changes);
+        } catch (error) {
+            console.error('[RecordingScheduler] Error saving job:', error);
+        }
+    }
+}
+
+export const recordingScheduler = new RecordingScheduler();
@@ -0,0 +1,145 @@
+/**
+ * ResumeTracker - Playback Position Tracking Module
+ *
+ * Periodically persists the position of on-demand content
+ * (anything with a finite duration) so it can be resumed
+ * later. Live streams are ignored.
+ */
+
+// Position is saved this often while playing
+const SAVE_INTERVAL = 5000;
+
+class ResumeTracker {
+    constructor() {
+        this.video = null;
+        this.item = null;
+        this.saveInterval = null;
+        this.lastPosition = null;
+    }
+
+    /**
+     * Initialize the tracker
+     * @param {HTMLVideoElement} videoElement - Video element
+     */
+    initialize(videoElement) {
+        this.video = videoElement;
+        this.video.addEventListener('ended', () => this.handleEnded());
+        this.video.addEventListener('pause', () => this.save());
+    }
+
+    /**
+     * Check whether the loaded media has a finite duration
+     * @returns {boolean} True for on-demand content
+     */
+    isOnDemand() {
+        const duration = this.video?.duration;
+        return Number.isFinite(duration) && duration > 0;
+    }
+
+    /**
+     * Start tracking an item
+     * @param {Object} channel - Playing channel, movie or episode
+     * @param {string|null} playlistId - Playlist the item belongs to
+     */
+    start(channel, playlistId = null) {
+        this.stop();
+
+        this.item = {
+            id: channel.id,
+            url: channel.url,
+            name: channel.name,
+            logo: channel.logo,
+            group: channel.group,
+            type: channel.type || null,
+            playlistId
+        };
+        this.lastPosition = null;
+        this.saveInterval = setInterval(() => this.save(), SAVE_INTERVAL);
+    }
+
+    /**
+     * Get the saved position of a URL
+     * @param {string} url - Media URL
+     * @returns {Promise<Object|null>} Progress entry
+     */
+    async getSaved(url) {
+        try {
+            return await window.electronAPI.getWatchProgress(url);
+        } catch (error) {
+            console.error('[ResumeTracker] Error reading progress:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Wait until the media duration is known
+     * @param {number} timeout - Maximum wait in ms
+     * @returns {Promise<boolean>} True if the media is on-demand
+     */
+    waitForDuration(timeout = 10000) {
+        if (this.isOnDemand()) return Promise.resolve(true);
+
+        return new Promise((resolve) => {
+            const done = (result) => {
+                clearTimeout(timer);
+                this.video.removeEventListener('durationchange', check);
+                resolve(result);
+            };
+            const check = () => {
+                if (this.isOnDemand()) done(true);
+            };
+            const timer = setTimeout(() => done(false), timeout);
+            this.video.addEventListener('durationchange', check);
+        });
+    }
+
+    /**
+     * Persist the current position of the tracked item
+     */
+    save() {
+        if (!this.item || !this.isOnDemand()) return;
+
+        const position = this.video.currentTime;
+        if (position === this.lastPosition) return;
+        this.lastPosition = position;
+
+        window.electronAPI.updateWatchProgress({
+            ...this.item,
+            position,
+            duration: this.video.duration
+        }).catch(error => {
+            console.error('[ResumeTracker] Error saving progress:', error);
+        });
+    }
+
+    /**
+     * Finished items no longer need a resume point
+     */
+    handleEnded() {
+        if (!this.item) return;
+
+        const { url } = this.item;
+        this.stop(false);
+
+        window.electronAPI.removeWatchProgress(url).catch(error => {
+            console.error('[ResumeTracker] Error removing progress:', error);
+        });
+    }
+
+    /**
+     * Stop tracking, saving the final position
+     * @param {boolean} saveFinal - Save before stopping
+     */
+    stop(saveFinal = true) {
+        if (saveFinal) {
+            this.save();
+        }
+        if (this.saveInterval) {
+            clearInterval(this.saveInterval);
+            this.saveInterval = null;
+        }
+        this.item = null;
+    }
+}
+
+export const resumeTracker = new ResumeTracker();
@@ -20,6 +20,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
     deletePlaylist: (id) => ipcRenderer.invoke('playlist:delete', id),
     refreshPlaylist: (id) => ipcRenderer.invoke('playlist:refresh', id),
     loadPlaylistContent: (id) => ipcRenderer.invoke('playlist:loadContent', id),
+    resolveChannelIds: (id, channels) => ipcRenderer.invoke('playlist:resolveChannelIds', id, channels),
+    getChannelNumbers: (id) => ipcRenderer.invoke('playlist:getChannelNumbers', id),
+    setChannelNumber: (id, channelId, number) => ipcRenderer.invoke('playlist:setChannelNumber', id, channelId, number),
+    getPreferredSources: (id) => ipcRenderer.invoke('playlist:getPreferredSources', id),
+    setPreferredSource: (id, channelKey, url) => ipcRenderer.invoke('playlist:setPreferredSource', id, channelKey, url),
+
+    // ========== Xtream Operations ==========
+    getXtreamCatalogue: (playlistId, type) => ipcRenderer.invoke('xtream:getCatalogue', playlistId, type),
+    getXtreamSeriesEpisodes: (playlistId, seriesId) => ipcRenderer.invoke('xtream:getSeriesEpisodes', playlistId, seriesId),
+
+    // ========== EPG Operations ==========
+    loadEpg: (playlistId, force) => ipcRenderer.invoke('epg:load', playlistId, force),
+    getEpgNowNext: (playlistId, channels) => ipcRenderer.invoke('epg:getNowNext', playlistId, channels),
+    getEpgProgrammes: (playlistId, channels, from, to) => ipcRenderer.invoke('epg:getProgrammes', playlistId, channels, from, to),
 
     // ========== Cache Operations ==========
     getCachedIcon: (url) => ipcRenderer.invoke('cache:getIcon', url),
@@ -43,18 +57,51 @@ contextBridge.exposeInMainWorld('electronAPI', {
     getNativeTheme: () => ipcRenderer.invoke('system:getNativeTheme'),
     factoryReset: () => ipcRenderer.invoke('system:factoryReset'),
 
+    // ========== Stream ==========
+    probeStream: (url, headers) => ipcRenderer.invoke('player:probeStream', url, headers),
+    setStreamHeaders: (url, headers) => ipcRenderer.invoke('player:setStreamHeaders', url, headers),
+    startTimeshift: (url, headers, windowSeconds) => ipcRenderer.invoke('player:startTimeshift', url, headers, windowSeconds),
+    stopTimeshift: (id) => ipcRenderer.invoke('player:stopTimeshift', id),
+
     // ========== External Player ==========
     detectExternalPlayers: () => ipcRenderer.invoke('player:detectExternal'),
     selectExternalPlayer: () => ipcRenderer.invoke('player:selectExternal'),
     openInExternalPlayer: (data) => ipcRenderer.invoke('player:openExternal', data),
 
     // ========== Favorites ==========
-    toggleFavorite: (url) => ipcRenderer.invoke('favorites:toggle', url),
-    getFavorites: () => ipcRenderer.invoke('favorites:getAll'),
-    isFavorite: (url) => ipcRenderer.invoke('favorites:check', url),
+    toggleFavorite: (playlistId, channel) => ipcRenderer.invoke('favorites:toggle', playlistId, channel),
+    getFavorites: (playlistId) => ipcRenderer.invoke('favorites:getAll', playlistId),
+    syncFavorites: (playlistId, channels) => ipcRenderer.invoke('favorites:sync', playlistId, channels),
+    isFavorite: (playlistId, channelId) => ipcRenderer.invoke('favorites:check', playlistId, channelId),
+    removeFavorite: (id) => ipcRenderer.invoke('favorites:remove', id),
+    moveFavorite: (id, folderId, beforeId) => ipcRenderer.invoke('favorites:move', id, folderId, beforeId),
+    getFavoriteFolders: () => ipcRenderer.invoke('favorites:getFolders'),
+    addFavoriteFolder: (name) => ipcRenderer.invoke('favorites:addFolder', name),
+    renameFavoriteFolder: (id, name) => ipcRenderer.invoke('favorites:renameFolder', id, name),
+    removeFavoriteFolder: (id) => ipcRenderer.invoke('favorites:removeFolder', id),
+
+    // ========== Watch Progress ==========
+    getWatchProgress: (url) => ipcRenderer.invoke('progress:get', url),
+    updateWatchProgress: (entry) => ipcRenderer.invoke('progress:update', entry),
+    removeWatchProgress: (url) => ipcRenderer.invoke('progress:remove', url),
+    getContinueWatching: () => ipcRenderer.invoke('progress:getAll'),
 
     // ========== Recording ==========
-    saveRecording: (data, filename) => ipcRenderer.invoke('recording:save', data, filename),
+    getRecordingsDirectory: () => ipcRenderer.invoke('recording:getDirectory'),
+    selectRecordingsDirectory: () => ipcRenderer.invoke('recording:selectDirectory'),
+    openCaptureFile: (filename, format) => ipcRenderer.invoke('recording:openCapture', filename, format),
+    appendCaptureChunk: (id, data) => ipcRenderer.invoke('recording:appendCapture', id, data),
+    splitCapture: (id, duration) => ipcRenderer.invoke('recording:splitCapture', id, duration),
+    finishCapture: (id, duration) => ipcRenderer.invoke('recording:finishCapture', id, duration),
+    startDirectRecording: (options) => ipcRenderer.invoke('recording:startDirect', options),
+    stopDirectRecording: (id) => ipcRenderer.invoke('recording:stopDirect', id),
+    getDirectRecordings: () => ipcRenderer.invoke('recording:listDirect'),
+    onRecordingUpdate: (callback) => ipcRenderer.on('recording:update', (event, info) => callback(info)),
+    getRecordingJobs: () => ipcRenderer.invoke('recording:getJobs'),
+    addRecordingJob: (job) => ipcRenderer.invoke('recording:addJob', job),
+    updateRecordingJob: (id, changes) => ipcRenderer.invoke('recording:updateJob', id, changes),
+    removeRecordingJob: (id) => ipcRenderer.invoke('recording:removeJob', id),
+    showRecordingFile: (filePath) => ipcRenderer.invoke('recording:showFile', filePath),
 
     // ========== Window Controls ==========
     minimizeWindow: () => ipcRenderer.send('window:minimize'),
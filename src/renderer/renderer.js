@@ -3,11 +3,13 @@
  * 
  * Initializes all UI modules and coordinates communication
  * between components. Manages navigation between Library,
- * Player, and Settings views.
+ * Player, Guide, and Settings views.
  */
 
 import { PlayerManager } from '../modules/player/player-manager.js';
 import { PlaylistManager } from '../modules/playlist/playlist-manager.js';
+import { M3UParser } from '../modules/playlist/m3u-parser.js';
+import { Catchup } from '../modules/playlist/catchup.js';
 import { StreamRecorder } from '../modules/player/stream-recorder.js';
 import { i18n } from './modules/i18n.js';
 import { keyboardShortcuts } from './modules/keyboard-shortcuts.js';
@@ -15,14 +17,28 @@ import { PlayerUI } from './components/player-ui.js';
 import { ChannelList } from './components/channel-list.js';
 import { LibraryView } from './views/library-view.js';
 import { SettingsView } from './views/settings-view.js';
+import { GuideView } from './views/guide-view.js';
+import { RecordingsView } from './views/recordings-view.js';
+import { FavoritesView } from './views/favorites-view.js';
 import { qualitySelector } from './modules/quality-selector.js';
+import { catchupSelector } from './modules/catchup-selector.js';
+import { epgService } from './modules/epg-service.js';
+import { resumeTracker } from './modules/resume-tracker.js';
+import { recordingScheduler } from './modules/recording-scheduler.js';
+
+// A tuned channel number stays on screen this long (ms)
+const NUMBER_OVERLAY_DURATION = 1500;
 
 class App {
     constructor() {
         // Views
         this.libraryView = null;
         this.settingsView = null;
+        this.guideView = null;
+        this.recordingsView = null;
+        this.favoritesView = null;
         this.currentView = 'library';
+        this.recordingsReturnView = 'library';
         this.currentPlaylist = null;
 
         // Core modules
@@ -30,10 +46,17 @@ class App {
         this.playlistManager = null;
         this.streamRecorder = null;
 
+        // Recording: 'direct' saves the stream itself, 'capture' re-encodes the player
+        this.recordingMethod = 'direct';
+        this.directRecordings = new Map(); // recording id -> { info, channelId }
+
         // UI components
         this.playerUI = null;
         this.channelList = null;
 
+        // Pending resume prompt callback
+        this.resolveResumePrompt = null;
+
         // DOM elements
         this.elements = {};
     }
@@ -70,6 +93,10 @@ class App {
         // Initialize keyboard shortcuts
         await this.initializeKeyboardShortcuts();
 
+        // Start scheduled recordings
+        recordingScheduler.onChange = () => this.handleScheduledRecordingChange();
+        await recordingScheduler.initialize();
+
         // Show library view
         this.showView('library');
 
@@ -85,20 +112,31 @@ class App {
             libraryView: document.getElementById('library-view'),
             playerView: document.getElementById('player-view'),
             settingsView: document.getElementById('settings-view'),
+            guideView: document.getElementById('guide-view'),
+            recordingsView: document.getElementById('recordings-view'),
+            favoritesView: document.getElementById('favorites-view'),
 
             // Player
             videoPlayer: document.getElementById('video-player'),
             searchInput: document.getElementById('search-input'),
             groupSelect: document.getElementById('group-select'),
+            catalogueTabs: document.getElementById('catalogue-tabs'),
             channelListContainer: document.getElementById('channel-list'),
             emptyState: document.getElementById('empty-state'),
             loadingOverlay: document.getElementById('loading-overlay'),
+            loadingMessage: document.getElementById('loading-message'),
             currentChannelName: document.getElementById('current-channel-name'),
             currentChannelGroup: document.getElementById('current-channel-group'),
+            currentMirror: document.getElementById('current-mirror'),
             playlistNameHeader: document.getElementById('playlist-name-header'),
+            channelNumberOverlay: document.getElementById('channel-number-overlay'),
 
             // Navigation
             btnBackLibrary: document.getElementById('btn-back-library'),
+            btnOpenGuide: document.getElementById('btn-open-guide'),
+            btnOpenRecordings: document.getElementById('btn-open-recordings'),
+            btnOpenRecordingsPlayer: document.getElementById('btn-open-recordings-player'),
+            btnOpenFavorites: document.getElementById('btn-open-favorites'),
 
             // Recording
             btnRecord: document.getElementById('btn-record')
@@ -111,20 +149,63 @@ class App {
     initializeViews() {
         this.libraryView = new LibraryView({
             onPlaylistOpen: (playlist) => this.openPlaylist(playlist),
-            onSettingsOpen: () => this.showView('settings')
+            onSettingsOpen: () => this.showView('settings'),
+            onContinueWatching: (item) => this.resumeItem(item)
         });
 
         this.settingsView = new SettingsView({
             onBack: () => this.showView('library'),
+            onRecordingMethodChange: (method) => {
+                this.recordingMethod = method;
+            },
             onRecordingPresetChange: (preset) => {
                 if (this.streamRecorder) {
                     this.streamRecorder.setPreset(preset);
                 }
             },
+            onRecordingFormatChange: (format) => this.streamRecorder?.setFormat(format),
+            onRecordingLimitsChange: (limits) => this.streamRecorder?.setLimits(limits),
+            onReconnectAttemptsChange: (attempts) => this.playerManager.setReconnectLimit(attempts),
+            onTimeshiftChange: (minutes) => this.playerManager.setTimeshiftWindow(minutes),
+            onChannelNavigationChange: (scope) => this.playlistManager.setNavigationScope(scope),
             onLanguageChange: (locale) => {
                 i18n.setLocale(locale);
             }
         });
+
+        this.guideView = new GuideView({
+            onBack: () => this.showView('player'),
+            onChannelSelected: (channel) => {
+                this.showView('player');
+                this.handleChannelSelected(channel);
+            },
+            onCatchupSelected: (channel, programme) => {
+                this.showView('player');
+                this.playCatchup(channel, programme.start, programme.stop, programme.title);
+            },
+            onRecordSelected: (channel, programme) => {
+                this.recordingsView.openScheduleModal({
+                    channel,
+                    title: programme.title,
+                    start: programme.start,
+                    end: programme.stop
+                });
+            },
+            getChannels: (group) => this.channelList.getFilteredChannels('', group),
+            sourceGroupSelect: this.elements.groupSelect
+        });
+
+        this.recordingsView = new RecordingsView({
+            onBack: () => this.showView(this.recordingsReturnView),
+            getChannels: () => this.playlistManager.channels,
+            onSchedule: (channel, options) => this.scheduleRecording(channel, options)
+        });
+
+        this.favoritesView = new FavoritesView({
+            onBack: () => this.showView('library'),
+            getPlaylists: () => this.libraryView.playlists,
+            onPlay: (favorite) => this.playFavorite(favorite)
+        });
     }
 
     /**
@@ -135,19 +216,59 @@ class App {
         this.playerManager.onStateChange = (state) => this.handlePlayerStateChange(state);
         this.playerManager.onError = (error) => this.handlePlayerError(error);
         this.playerManager.onLevelsAvailable = () => qualitySelector.updateLevels();
+        this.playerManager.onStop = () => resumeTracker.stop();
+        this.playerManager.onReconnecting = (attempt, maxAttempts) => {
+            this.showLoading(true, i18n.t('player.reconnecting', { attempt, max: maxAttempts }));
+        };
+        this.playerManager.onReconnected = () => this.showLoading(false);
+        this.playerManager.onSourceChange = (index, total) => this.updateMirrorIndicator(index, total);
+        this.playerManager.onSourceWorking = (url) => {
+            // Only channels with mirrors need the working one remembered
+            if (this.playlistManager.currentChannel && this.playerManager.sources.length > 1) {
+                this.playlistManager.setWorkingSource(this.playlistManager.currentChannel, url);
+            }
+        };
 
         this.playlistManager = new PlaylistManager();
 
         // Initialize quality selector
         qualitySelector.initialize(this.playerManager);
 
+        // Jump back in the archive of channels with catch-up
+        catchupSelector.initialize((channel, minutes) => {
+            if (minutes === 0) {
+                this.handleChannelSelected(channel);
+            } else {
+                this.playCatchup(channel, Date.now() - minutes * 60 * 1000, Date.now(), null, minutes);
+            }
+        });
+
+        // Track playback position of on-demand content
+        resumeTracker.initialize(this.elements.videoPlayer);
+
+        // Refresh now/next info in the channel list when the guide updates
+        epgService.onUpdate = () => this.channelList?.updateEpg();
+
+        // Reload the guide grid once a downloaded guide replaces the cached one
+        epgService.onGuideChange = () => this.guideView?.invalidate();
+
         // Initialize stream recorder
         if (StreamRecorder.isSupported()) {
             this.streamRecorder = new StreamRecorder(this.elements.videoPlayer);
-            this.streamRecorder.onStop = (blob, duration) => this.handleRecordingStop(blob, duration);
+            this.streamRecorder.onStop = (filePath, duration) => this.handleRecordingStop(filePath, duration);
             this.streamRecorder.onError = (error) => this.showToast(i18n.t('toast.recordingError', { message: error.message }), 'error');
+            this.streamRecorder.onLimitReached = (reason) => this.handleRecordingLimit(reason);
             this.loadRecordingPreset();
+            this.loadRecordingLimits();
         }
+
+        // Progress of recordings made by the main process
+        window.electronAPI.onRecordingUpdate((info) => this.handleDirectRecordingUpdate(info));
+        this.loadRecordingMethod();
+
+        this.loadReconnectLimit();
+        this.loadTimeshiftWindow();
+        this.loadChannelNavigation();
     }
 
     /**
@@ -166,7 +287,17 @@ class App {
             emptyState: this.elements.emptyState,
             searchInput: this.elements.searchInput,
             groupSelect: this.elements.groupSelect,
-            onChannelClick: (channel) => this.handleChannelSelected(channel)
+            catalogueTabs: this.elements.catalogueTabs,
+            onChannelClick: (channel) => this.handleChannelSelected(channel),
+            onRecordClick: (channel) => this.toggleDirectRecording(channel),
+            onLoadCatalogue: (type) => this.loadCatalogue(type),
+            onLoadSeries: (series) => this.loadSeriesEpisodes(series),
+            onModeChange: (mode) => {
+                // The guide only covers live channels
+                this.elements.btnOpenGuide.disabled = mode !== 'live';
+            },
+            onNavigationOrderChange: (channels) => this.playlistManager.setNavigationOrder(channels),
+            onRenumber: (channel, number) => this.renumberChannel(channel, number)
         });
     }
 
@@ -187,22 +318,100 @@ class App {
             nextChannel: () => {
                 const next = this.playlistManager.getNextChannel();
                 if (next) this.handleChannelSelected(next);
-            }
+            },
+            numberEntry: (text) => this.showNumberEntry(text),
+            tuneNumber: (number) => this.tuneChannelNumber(number)
         });
     }
 
+    /**
+     * Show the channel number being typed
+     * @param {string|null} text - e.g. "12_", or null to hide it
+     */
+    showNumberEntry(text) {
+        const overlay = this.elements.channelNumberOverlay;
+        clearTimeout(this.numberOverlayTimer);
+
+        if (!text || this.currentView !== 'player' || this.playlistManager.channels.length === 0) {
+            overlay.classList.add('hidden');
+            return;
+        }
+
+        overlay.textContent = text;
+        overlay.classList.remove('hidden');
+    }
+
+    /**
+     * Play the channel with a typed number
+     * @param {number} number - Channel number
+     */
+    tuneChannelNumber(number) {
+        const overlay = this.elements.channelNumberOverlay;
+        if (overlay.classList.contains('hidden')) return;
+
+        const channel = this.playlistManager.getChannelByNumber(number);
+        if (channel) {
+            this.handleChannelSelected(channel);
+        } else {
+            overlay.textContent = i18n.t('player.channelNumberNotFound', { number });
+        }
+
+        this.numberOverlayTimer = setTimeout(() => overlay.classList.add('hidden'), NUMBER_OVERLAY_DURATION);
+    }
+
+    /**
+     * Give a channel a number of the user's choice
+     * @param {Object} channel - Channel
+     * @param {number|null} number - New number, or null for its default number
+     */
+    async renumberChannel(channel, number) {
+        const owner = number !== null && this.playlistManager.getChannelByNumber(number);
+        if (owner && owner !== channel) {
+            this.showToast(i18n.t('toast.channelNumberTaken', { number, name: owner.name }), 'error');
+            return;
+        }
+
+        if (!await this.playlistManager.setChannelNumber(channel, number)) {
+            this.showToast(i18n.t('toast.channelNumberError'), 'error');
+            return;
+        }
+        this.channelList.refresh();
+    }
+
     /**
      * Setup event listeners
      */
     setupEventListeners() {
         // Back to library
         this.elements.btnBackLibrary.addEventListener('click', () => {
+            this.cancelResumePrompt();
             this.playerManager.stop();
             qualitySelector.clear();
+            catchupSelector.clear();
+            epgService.clear();
             this.hideError();
             this.showView('library');
         });
 
+        // Save the playback position when the window closes
+        window.addEventListener('beforeunload', () => resumeTracker.stop());
+
+        // Open programme guide
+        this.elements.btnOpenGuide.addEventListener('click', () => this.showView('guide'));
+
+        // Open recording manager, returning to the view it was opened from
+        this.elements.btnOpenRecordings.addEventListener('click', () => {
+            this.recordingsReturnView = 'library';
+            this.showView('recordings');
+        });
+        this.elements.btnOpenRecordingsPlayer.addEventListener('click', () => {
+            this.recordingsReturnView = 'player';
+            this.showView('recordings');
+        });
+
+        // Open the favorites of every playlist
+        this.elements.btnOpenFavorites.addEventListener('click', () => this.showView('favorites'));
+
         // Retry button
         const btnRetry = document.getElementById('btn-retry');
         if (btnRetry) {
@@ -216,7 +425,7 @@ class App {
         }
 
         // Recording button
-        if (this.elements.btnRecord && this.streamRecorder) {
+        if (this.elements.btnRecord) {
             this.elements.btnRecord.addEventListener('click', () => this.toggleRecording());
         }
     }
@@ -225,12 +434,19 @@ class App {
      * Show specific view
      */
     showView(viewName) {
+        if (this.currentView === 'guide' && viewName !== 'guide') {
+            this.guideView.hide();
+        }
+
         this.currentView = viewName;
 
         // Hide all views
         this.elements.libraryView.classList.remove('active');
         this.elements.playerView.classList.remove('active');
         this.elements.settingsView.classList.remove('active');
+        this.elements.guideView.classList.remove('active');
+        this.elements.recordingsView.classList.remove('active');
+        this.elements.favoritesView.classList.remove('active');
 
         // Show requested view
         switch (viewName) {
@@ -243,6 +459,15 @@ class App {
             case 'settings':
                 this.settingsView.show();
                 break;
+            case 'guide':
+                this.guideView.show();
+                break;
+            case 'recordings':
+                this.recordingsView.show();
+                break;
+            case 'favorites':
+                this.favoritesView.show();
+                break;
         }
     }
 
@@ -255,15 +480,21 @@ class App {
         // Reset player state completely
         this.playerManager.stop();
         qualitySelector.clear();
+        catchupSelector.clear();
+        epgService.clear();
         this.playlistManager.clear();
         this.channelList.clear();
         this.elements.currentChannelName.textContent = 'Flum IPTV';
+        this.updateMirrorIndicator(0, 0);
 
         this.currentPlaylist = playlist;
 
         // Update header
         this.elements.playlistNameHeader.textContent = playlist.name;
 
+        // Movies and series are only available from Xtream sources
+        this.channelList.setCatalogueEnabled(playlist.source === 'xtream');
+
         // Show player view
         this.libraryView.hide();
         this.showView('player');
@@ -277,19 +508,74 @@ class App {
                 return;
             }
 
-            // Use loadFromContent which parses and stores
-            this.playlistManager.loadFromContent(result.content, playlist.name);
+            if (result.channels) {
+                // Sources like Xtream Codes return channel objects directly
+                await this.playlistManager.loadFromChannels(result.channels, playlist.name, result.header, playlist.id);
+            } else {
+                // Use loadFromContent which parses and stores
+                await this.playlistManager.loadFromContent(result.content, playlist.name, playlist.id);
+
+                // Store the parsed header (guide URLs, channel defaults) with the playlist
+                const header = this.playlistManager.header;
+                if (header && JSON.stringify(header) !== JSON.stringify(result.header || null)) {
+                    await window.electronAPI.updatePlaylist(playlist.id, { header });
+                }
+            }
 
             // Get parsed channels and groups
             const channels = this.playlistManager.channels;
             const groups = this.playlistManager.groups;
-            this.channelList.render(channels, groups);
+            this.channelList.render(channels, groups, playlist.id);
+
+            // Load programme guide in background
+            epgService.load(playlist.id, channels);
 
         } catch (error) {
             console.error('[App] Error loading playlist:', error);
         }
     }
 
+    /**
+     * Load the movie or series catalogue of the open playlist
+     * @param {string} type - 'movie' or 'series'
+     * @returns {Promise<Object|null>} { channels, groups }
+     */
+    async loadCatalogue(type) {
+        const playlistId = this.currentPlaylist?.id;
+        if (!playlistId) return null;
+
+        try {
+            const result = await window.electronAPI.getXtreamCatalogue(playlistId, type);
+            if (result.error) throw new Error(result.error);
+
+            return { channels: result, groups: M3UParser.groupByCategory(result) };
+        } catch (error) {
+            console.error('[App] Error loading catalogue:', error);
+            this.showToast(i18n.t('toast.catalogueError', { message: error.message }), 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Load seasons and episodes of a series
+     * @param {Object} series - Series item
+     * @returns {Promise<Array|null>} Seasons with episodes
+     */
+    async loadSeriesEpisodes(series) {
+        const playlistId = this.currentPlaylist?.id;
+        if (!playlistId) return null;
+
+        try {
+            const result = await window.electronAPI.getXtreamSeriesEpisodes(playlistId, series.seriesId);
+            if (result.error) throw new Error(result.error);
+            return result;
+        } catch (error) {
+            console.error('[App] Error loading series:', error);
+            this.showToast(i18n.t('toast.catalogueError', { message: error.message }), 'error');
+            return null;
+        }
+    }
+
     /**
      * Handle channel selected event
      */
@@ -297,8 +583,9 @@ class App {
         console.log(`[App] Playing: ${channel.name}`);
         console.log(`[App] URL: ${channel.url}`);
 
-        // Clear any previous error
+        // Clear any previous error or pending resume prompt
         this.hideError();
+        this.cancelResumePrompt();
 
         // Disable recording while loading
         this.updateRecordButtonState(false);
@@ -324,12 +611,22 @@ class App {
 
         // Update current channel for prev/next navigation
         this.playlistManager.currentChannel = channel;
+        catchupSelector.setChannel(channel);
+        this.updateRecordButton();
 
         try {
-            const success = await this.playerManager.load(channel.url);
+            // Mirrors of the channel are tried in turn if a source fails
+            const [url, ...alternates] = this.playlistManager.getSources(channel);
+            const options = this.playlistManager.getSourceOptions(channel);
+            const success = await this.playerManager.load(url, alternates, options);
             console.log(`[App] Load result: ${success}`);
             if (success) {
+                // Offer to continue on-demand content where it was left
+                await this.offerResume(channel);
+                if (this.playlistManager.currentChannel !== channel) return;
+
                 this.playerManager.play();
+                resumeTracker.start(channel, this.currentPlaylist?.id);
 
                 // Enable recording now that stream is playing
                 this.updateRecordButtonState(true);
@@ -348,10 +645,194 @@ class App {
             console.error('[App] Channel load error:', error);
             this.handlePlayerError(error);
         } finally {
-            this.showLoading(false);
+            // Leave the spinner alone if another channel is loading
+            if (this.playlistManager.currentChannel === channel) {
+                this.showLoading(false);
+            }
+        }
+    }
+
+    /**
+     * Play a time range from a channel's catch-up archive
+     * @param {Object} channel - Channel with catchup settings
+     * @param {number} start - Start, epoch milliseconds
+     * @param {number} end - End, epoch milliseconds
+     * @param {string|null} title - Programme title
+     * @param {number} offset - Minutes behind live, for the offset selector
+     */
+    async playCatchup(channel, start, end, title = null, offset = 0) {
+        const url = Catchup.buildUrl(channel, start, end);
+        if (!url) {
+            this.showToast(i18n.t('toast.catchupUnavailable'), 'error');
+            return;
+        }
+
+        console.log(`[App] Catch-up: ${channel.name} from ${new Date(start).toISOString()}`);
+        console.log(`[App] URL: ${url}`);
+
+        this.hideError();
+        this.cancelResumePrompt();
+        this.updateRecordButtonState(false);
+
+        // The archive is played like any stream of the channel
+        const archive = { ...channel, url };
+
+        const settings = await window.electronAPI.getSettings();
+        const externalPlayer = settings.externalPlayer;
+
+        if (externalPlayer?.enabled && externalPlayer?.path) {
+            await this.playInExternalPlayer(archive, externalPlayer);
+            return;
+        }
+
+        this.hideExternalPlayerOverlay();
+
+        this.showLoading(true);
+        this.elements.currentChannelName.textContent = i18n.t('player.catchup.title', {
+            channel: channel.name,
+            programme: title || this.formatCatchupTime(start)
+        });
+        this.elements.currentChannelGroup.textContent = channel.group || '';
+        this.channelList.setActive(channel.id);
+
+        // Prev/next keep navigating from the archived channel
+        this.playlistManager.currentChannel = channel;
+        catchupSelector.setChannel(channel, offset || Math.round((Date.now() - start) / 60000));
+
+        try {
+            const options = { [url]: { headers: channel.headers, drm: null } };
+            const success = await this.playerManager.load(url, [], options);
+            console.log(`[App] Catch-up load result: ${success}`);
+            if (success && this.playlistManager.currentChannel === channel) {
+                this.playerManager.play();
+                this.updateRecordButtonState(true);
+                this.updateMediaSession(channel);
+            }
+        } catch (error) {
+            console.error('[App] Catch-up load error:', error);
+            this.handlePlayerError(error);
+        } finally {
+            if (this.playlistManager.currentChannel === channel) {
+                this.showLoading(false);
+            }
+        }
+    }
+
+    /**
+     * Format an archive start time for the player header
+     * @param {number} time - Epoch milliseconds
+     * @returns {string} e.g. "Mon 21:30"
+     */
+    formatCatchupTime(time) {
+        const locale = i18n.getCurrentLocale();
+        const day = new Date(time).toLocaleDateString(locale, { weekday: 'short' });
+        return `${day} ${epgService.formatTime(time)}`;
+    }
+
+    /**
+     * Show which mirror of the channel is playing
+     * @param {number} index - Active source index
+     * @param {number} total - Number of sources
+     */
+    updateMirrorIndicator(index, total) {
+        const indicator = this.elements.currentMirror;
+        if (!indicator) return;
+
+        indicator.classList.toggle('hidden', total <= 1);
+        indicator.textContent = total > 1 ? i18n.t('player.mirror', { current: index + 1, total }) : '';
+    }
+
+    /**
+     * Ask whether to resume on-demand content from its saved position
+     */
+    async offerResume(channel) {
+        const saved = await resumeTracker.getSaved(channel.url);
+        if (!saved || !(await resumeTracker.waitForDuration())) return;
+
+        // Another channel may have been selected meanwhile
+        if (this.playlistManager.currentChannel !== channel) return;
+
+        this.playerManager.pause();
+        const resume = await this.showResumePrompt(saved.position);
+        if (resume && this.playlistManager.currentChannel === channel) {
+            this.playerManager.seek(saved.position);
         }
     }
 
+    /**
+     * Show resume/restart prompt over the player
+     * @param {number} position - Saved position in seconds
+     * @returns {Promise<boolean>} True to resume
+     */
+    showResumePrompt(position) {
+        const overlay = document.getElementById('resume-overlay');
+        const message = document.getElementById('resume-message');
+        const btnContinue = document.getElementById('btn-resume-continue');
+        const btnRestart = document.getElementById('btn-resume-restart');
+
+        message.textContent = i18n.t('player.resume.message', { time: PlayerUI.formatTime(position) });
+        overlay.classList.remove('hidden');
+
+        return new Promise((resolve) => {
+            this.resolveResumePrompt = (resume) => {
+                overlay.classList.add('hidden');
+                btnContinue.onclick = null;
+                btnRestart.onclick = null;
+                this.resolveResumePrompt = null;
+                resolve(resume);
+            };
+            btnContinue.onclick = () => this.resolveResumePrompt(true);
+            btnRestart.onclick = () => this.resolveResumePrompt(false);
+        });
+    }
+
+    /**
+     * Dismiss a pending resume prompt
+     */
+    cancelResumePrompt() {
+        if (this.resolveResumePrompt) {
+            this.resolveResumePrompt(false);
+        }
+    }
+
+    /**
+     * Play an item from the "Continue watching" row
+     */
+    async resumeItem(item) {
+        const playlist = this.libraryView.playlists.find(p => p.id === item.playlistId);
+
+        if (playlist) {
+            await this.openPlaylist(playlist);
+        } else {
+            this.libraryView.hide();
+            this.showView('player');
+        }
+
+        this.handleChannelSelected(item);
+    }
+
+    /**
+     * Play a favorite from the favorites view. Its playlist is opened
+     * and the channel found by its stable ID, so a stream URL changed
+     * since it was added is followed; the stored URL is only played if
+     * the channel or its playlist is gone.
+     */
+    async playFavorite(favorite) {
+        const playlist = this.libraryView.playlists.find(p => p.id === favorite.playlistId);
+
+        if (playlist) {
+            await this.openPlaylist(playlist);
+        } else {
+            this.libraryView.hide();
+            this.showView('player');
+        }
+
+        const { channelId, name, logo, url, group, type } = favorite;
+        const channel = this.playlistManager.channels.find(c => c.id === channelId)
+            || { id: channelId || url, name: name || url, logo, url, group, type };
+        this.handleChannelSelected(channel);
+    }
+
     /**
      * Play channel in external player
      */
@@ -372,7 +853,8 @@ class App {
             const result = await window.electronAPI.openInExternalPlayer({
                 playerPath: externalPlayer.path,
                 streamUrl: channel.url,
-                channelName: channel.name
+                channelName: channel.name,
+                headers: channel.headers || {}
             });
 
             if (result.error) {
@@ -450,6 +932,8 @@ class App {
                 }
             } else if (error.type === 'mediaError') {
                 errorMessage = i18n.t('player.errors.formatNotSupported');
+            } else if (error.type === 'reconnectError') {
+                errorMessage = i18n.t('player.errors.reconnectFailed');
             } else if (error.message) {
                 if (error.message.includes('timeout')) {
                     errorMessage = i18n.t('player.errors.timeout');
@@ -493,8 +977,11 @@ class App {
 
     /**
      * Show toast notification
+     * @param {string} message - Message
+     * @param {string} type - 'error' or 'success'
+     * @param {Object} action - Optional button: { label, onClick }
      */
-    showToast(message, type = 'error') {
+    showToast(message, type = 'error', action = null) {
         let container = document.querySelector('.toast-container');
         if (!container) {
             container = document.createElement('div');
@@ -513,6 +1000,14 @@ class App {
             <span>${message}</span>
         `;
 
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', action.onClick);
+            toast.appendChild(button);
+        }
+
         container.appendChild(toast);
 
         // Auto remove after 5 seconds
@@ -531,53 +1026,227 @@ class App {
 
     /**
      * Show/hide loading overlay
+     * @param {boolean} show - Visibility
+     * @param {string} message - Text shown under the spinner
      */
-    showLoading(show) {
+    showLoading(show, message = i18n.t('app.loading')) {
+        if (show) {
+            this.elements.loadingMessage.textContent = message;
+        }
         this.elements.loadingOverlay.classList.toggle('visible', show);
     }
 
     /**
      * Toggle recording state
      */
-    toggleRecording() {
-        if (!this.streamRecorder) return;
+    async toggleRecording() {
+        const channel = this.playlistManager.currentChannel;
 
-        if (this.streamRecorder.isRecording()) {
+        if (this.streamRecorder?.isRecording()) {
             this.streamRecorder.stop();
-        } else {
-            if (this.streamRecorder.start()) {
-                this.elements.btnRecord.classList.add('recording');
-                this.elements.btnRecord.querySelector('.icon-record').classList.add('hidden');
-                this.elements.btnRecord.querySelector('.icon-recording').classList.remove('hidden');
-                this.elements.btnRecord.title = i18n.t('player.controls.stopRecording');
-                this.showToast(i18n.t('toast.recordingStarted'), 'success');
+        } else if (channel && (this.recordingMethod === 'direct' || !this.streamRecorder || this.getDirectRecordingId(channel))) {
+            this.toggleDirectRecording(channel);
+        } else if (this.streamRecorder && await this.streamRecorder.start(await this.getRecordingFilename(channel))) {
+            this.setRecordButtonActive(true);
+            this.showToast(i18n.t('toast.recordingStarted'), 'success');
+        }
+    }
+
+    /**
+     * Start or stop recording a channel straight to disk
+     * (no re-encoding; the channel does not need to be playing)
+     * @param {Object} channel - Channel to record
+     */
+    async toggleDirectRecording(channel) {
+        const recordingId = this.getDirectRecordingId(channel);
+        if (recordingId) {
+            await window.electronAPI.stopDirectRecording(recordingId);
+            return;
+        }
+
+        const { url, headers } = this.getRecordingSource(channel);
+        if (!url) return;
+
+        try {
+            const info = await window.electronAPI.startDirectRecording({
+                url,
+                headers,
+                name: channel.name,
+                filename: await this.getRecordingFilename(channel)
+            });
+            if (!info) return; // Save dialog canceled
+            if (info.error) throw new Error(info.error);
+
+            this.directRecordings.set(info.id, { info, channelId: channel.id });
+            this.updateRecordingChannels();
+            this.showToast(i18n.t('toast.channelRecordingStarted', { name: channel.name }), 'success');
+        } catch (error) {
+            console.error('[App] Direct recording error:', error);
+            this.showToast(i18n.t('toast.recordingError', { message: error.message }), 'error');
+        }
+    }
+
+    /**
+     * Name a recording of a channel after the filename template
+     * @param {Object} channel - Channel object
+     * @returns {Promise<string>} Filename without extension
+     */
+    async getRecordingFilename(channel) {
+        const template = await window.electronAPI.getSetting('recording.filenameTemplate');
+        const programme = epgService.getNowNext(channel?.id)?.now?.title || '';
+        return StreamRecorder.generateFilename(channel?.name || 'recording', '', { template, programme });
+    }
+
+    /**
+     * Get the source a channel is recorded from
+     * @param {Object} channel - Channel object
+     * @returns {Object} { url, headers }
+     */
+    getRecordingSource(channel) {
+        // The playing channel is recorded from the source that works
+        const sources = this.playlistManager.getSources(channel);
+        const isPlaying = channel === this.playlistManager.currentChannel && sources.includes(this.playerManager.currentUrl);
+        const url = isPlaying ? this.playerManager.currentUrl : sources[0];
+
+        const headers = this.playlistManager.getSourceOptions(channel)[url]?.headers || channel.headers || {};
+        return { url, headers };
+    }
+
+    /**
+     * Schedule a recording of a channel
+     * @param {Object} channel - Channel object
+     * @param {Object} options - { title, start, end, paddingBefore, paddingAfter, repeat }
+     */
+    async scheduleRecording(channel, options) {
+        const { url, headers } = this.getRecordingSource(channel);
+
+        // The job keeps what it needs to record without the playlist loaded
+        await recordingScheduler.schedule({
+            ...options,
+            channel: {
+                id: channel.id,
+                name: channel.name,
+                logo: channel.logo || null,
+                group: channel.group || '',
+                url,
+                headers,
+                playlistId: this.currentPlaylist?.id || null
             }
+        });
+
+        this.showToast(i18n.t('toast.recordingScheduled', { name: channel.name }), 'success');
+    }
+
+    /**
+     * Refresh recording indicators when a scheduled job changes
+     */
+    handleScheduledRecordingChange() {
+        this.updateRecordingChannels();
+        if (this.recordingsView.isVisible()) {
+            this.recordingsView.render();
         }
     }
 
     /**
-     * Handle recording stop
+     * Handle progress and end of a direct recording
+     * @param {Object} info - Recording info from the main process
      */
-    async handleRecordingStop(blob, duration) {
-        // Update button state
-        this.elements.btnRecord.classList.remove('recording');
-        this.elements.btnRecord.querySelector('.icon-record').classList.remove('hidden');
-        this.elements.btnRecord.querySelector('.icon-recording').classList.add('hidden');
-        this.elements.btnRecord.title = i18n.t('player.controls.record');
+    handleDirectRecordingUpdate(info) {
+        const entry = this.directRecordings.get(info.id);
+        if (!entry) return;
+
+        entry.info = info;
+        if (info.status === 'recording') return;
+
+        this.directRecordings.delete(info.id);
+        this.updateRecordingChannels();
+
+        if (info.status === 'failed') {
+            this.showToast(i18n.t('toast.recordingError', { message: `${info.name}: ${info.error}` }), 'error');
+        } else {
+            this.showRecordingSaved(info.filePath, info.endedAt - info.startedAt);
+        }
+    }
+
+    /**
+     * Get the direct recording in progress of a channel
+     * @param {Object} channel - Channel object
+     * @returns {string|null} Recording id
+     */
+    getDirectRecordingId(channel) {
+        for (const [id, entry] of this.directRecordings) {
+            if (entry.channelId === channel?.id) return id;
+        }
+        return recordingScheduler.getRecordingId(channel?.id);
+    }
+
+    /**
+     * Reflect the channels being recorded in the channel list and record button
+     */
+    updateRecordingChannels() {
+        const channelIds = [...this.directRecordings.values()].map(entry => entry.channelId);
+        this.channelList.setRecordingChannels([...channelIds, ...recordingScheduler.getRecordingChannelIds()]);
+        this.updateRecordButton();
+    }
+
+    /**
+     * Sync the record button with the playing channel
+     */
+    updateRecordButton() {
+        if (this.streamRecorder?.isRecording()) return;
 
-        // Get channel name for filename
-        const channelName = this.playlistManager.currentChannel?.name || 'recording';
+        const recording = !!this.getDirectRecordingId(this.playlistManager.currentChannel);
+        this.setRecordButtonActive(recording);
 
-        // Save the recording
-        const savedPath = await this.streamRecorder.save(channelName);
-        if (savedPath) {
-            const durationStr = Math.round(duration / 1000);
-            this.showToast(i18n.t('toast.recordingSaved', { duration: durationStr }), 'success');
+        // A recording in progress can be stopped while the channel loads
+        if (recording) {
+            this.updateRecordButtonState(true);
         }
     }
 
     /**
-     * Load recording preset from settings
+     * Show the record button as recording or idle
+     * @param {boolean} active - Recording in progress
+     */
+    setRecordButtonActive(active) {
+        const btn = this.elements.btnRecord;
+        if (!btn) return;
+
+        btn.classList.toggle('recording', active);
+        btn.querySelector('.icon-record').classList.toggle('hidden', active);
+        btn.querySelector('.icon-recording').classList.toggle('hidden', !active);
+        btn.title = active ? i18n.t('player.controls.stopRecording') : i18n.t('player.controls.record');
+    }
+
+    /**
+     * Handle recording stop (the file is already written)
+     * @param {string|null} filePath - Saved file path
+     * @param {number} duration - Duration in milliseconds
+     */
+    handleRecordingStop(filePath, duration) {
+        // Update button state
+        this.updateRecordButton();
+
+        if (filePath) {
+            this.showRecordingSaved(filePath, duration);
+        }
+    }
+
+    /**
+     * Tell the user a recording was saved, with a link to the file
+     * @param {string} filePath - Saved file path
+     * @param {number} duration - Duration in milliseconds
+     */
+    showRecordingSaved(filePath, duration) {
+        const durationStr = Math.round(duration / 1000);
+        this.showToast(i18n.t('toast.recordingSaved', { duration: durationStr }), 'success', {
+            label: i18n.t('recordings.showFile'),
+            onClick: () => window.electronAPI.showRecordingFile(filePath)
+        });
+    }
+
+    /**
+     * Load recording preset and format from settings
      */
     async loadRecordingPreset() {
         try {
@@ -585,11 +1254,96 @@ class App {
             if (preset && this.streamRecorder) {
                 this.streamRecorder.setPreset(preset);
             }
+
+            const format = await window.electronAPI.getSetting('recording.format');
+            if (format && this.streamRecorder) {
+                this.streamRecorder.setFormat(format);
+            }
         } catch (error) {
             console.error('[App] Error loading recording preset:', error);
         }
     }
 
+    /**
+     * Load recording limits from settings
+     */
+    async loadRecordingLimits() {
+        try {
+            const recording = await window.electronAPI.getSetting('recording');
+            this.streamRecorder?.setLimits(recording);
+        } catch (error) {
+            console.error('[App] Error loading recording limits:', error);
+        }
+    }
+
+    /**
+     * Tell the user why a recording is stopping
+     * @param {string} reason - 'duration' or 'diskSpace'
+     */
+    handleRecordingLimit(reason) {
+        if (reason === 'diskSpace') {
+            this.showToast(i18n.t('toast.recordingLowDiskSpace'), 'error');
+        } else {
+            this.showToast(i18n.t('toast.recordingMaxDuration'), 'success');
+        }
+    }
+
+    /**
+     * Load recording method from settings
+     */
+    async loadRecordingMethod() {
+        try {
+            const method = await window.electronAPI.getSetting('recording.method');
+            if (method) {
+                this.recordingMethod = method;
+            }
+        } catch (error) {
+            console.error('[App] Error loading recording method:', error);
+        }
+    }
+
+    /**
+     * Apply the saved reconnect attempt limit
+     */
+    async loadReconnectLimit() {
+        try {
+            const attempts = await window.electronAPI.getSetting('player.reconnectAttempts');
+            if (attempts !== undefined && attempts !== null) {
+                this.playerManager.setReconnectLimit(attempts);
+            }
+        } catch (error) {
+            console.error('[App] Error loading reconnect limit:', error);
+        }
+    }
+
+    /**
+     * Apply the saved live timeshift window
+     */
+    async loadTimeshiftWindow() {
+        try {
+            const minutes = await window.electronAPI.getSetting('player.timeshiftMinutes');
+            if (minutes !== undefined && minutes !== null) {
+                this.playerManager.setTimeshiftWindow(minutes);
+            }
+        } catch (error) {
+            console.error('[App] Error loading timeshift window:', error);
+        }
+    }
+
+    /**
+     * Apply whether prev/next stay within the shown channels
+     */
+    async loadChannelNavigation() {
+        try {
+            const scope = await window.electronAPI.getSetting('player.channelNavigation');
+            if (scope) {
+                this.playlistManager.setNavigationScope(scope);
+            }
+        } catch (error) {
+            console.error('[App] Error loading channel navigation:', error);
+        }
+    }
+
     /**
      * Update record button state based on playback
      */
@@ -0,0 +1,394 @@
+/**
+ * FavoritesView - All Favorites Component
+ *
+ * Lists the favorite channels of every playlist, sorted
+ * into the user's folders. Favorites are dragged to
+ * rearrange them or to move them to another folder.
+ * They are played through their playlist, so a channel
+ * whose stream URL changed since it was added still plays.
+ */
+
+import { i18n } from '../modules/i18n.js';
+
+export class FavoritesView {
+    constructor({ onBack, getPlaylists, onPlay }) {
+        this.onBack = onBack;
+        this.getPlaylists = getPlaylists;
+        this.onPlay = onPlay;
+
+        this.favorites = [];
+        this.folders = [];
+        this.draggedId = null;
+
+        // Folder being renamed, or null to create one
+        this.editFolderId = null;
+
+        this.cacheElements();
+        this.setupEventListeners();
+    }
+
+    cacheElements() {
+        this.view = document.getElementById('favorites-view');
+        this.btnBack = document.getElementById('btn-back-from-favorites');
+        this.btnNewFolder = document.getElementById('btn-new-favorite-folder');
+        this.content = document.getElementById('favorites-content');
+        this.emptyState = document.getElementById('favorites-empty');
+
+        // Folder modal
+        this.folderModal = document.getElementById('favorite-folder-modal');
+        this.folderModalTitle = document.getElementById('favorite-folder-modal-title');
+        this.folderNameInput = document.getElementById('favorite-folder-name');
+        this.btnCancelFolder = document.getElementById('btn-cancel-favorite-folder');
+        this.btnConfirmFolder = document.getElementById('btn-confirm-favorite-folder');
+    }
+
+    setupEventListeners() {
+        this.btnBack.addEventListener('click', () => this.onBack?.());
+        this.btnNewFolder.addEventListener('click', () => this.showFolderModal());
+
+        // Folder and favorite actions (delegated)
+        this.content.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            const folderId = e.target.closest('.favorite-folder')?.dataset.folderId;
+
+            if (btn?.dataset.action === 'rename-folder') {
+                this.showFolderModal(this.folders.find(folder => folder.id === folderId));
+                return;
+            }
+            if (btn?.dataset.action === 'remove-folder') {
+                this.removeFolder(folderId);
+                return;
+            }
+
+            const item = e.target.closest('.favorite-item');
+            const favorite = item && this.favorites.find(fav => fav.id === item.dataset.id);
+            if (!favorite) return;
+
+            if (btn?.dataset.action === 'remove') {
+                this.removeFavorite(favorite);
+            } else {
+                this.onPlay?.(favorite);
+            }
+        });
+
+        // Drag and drop
+        this.content.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.favorite-item');
+            if (!item) return;
+
+            this.draggedId = item.dataset.id;
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+
+        this.content.addEventListener('dragover', (e) => {
+            const folder = e.target.closest('.favorite-folder');
+            if (!folder || !this.draggedId) return;
+
+            e.preventDefault();
+            this.showDropPosition(folder, e.target.closest('.favorite-item'));
+        });
+
+        this.content.addEventListener('drop', (e) => {
+            const folder = e.target.closest('.favorite-folder');
+            if (!folder || !this.draggedId) return;
+
+            e.preventDefault();
+            this.dropFavorite(folder, e.target.closest('.favorite-item'));
+        });
+
+        this.content.addEventListener('dragend', () => {
+            this.draggedId = null;
+            this.showDropPosition(null, null);
+            this.content.querySelectorAll('.dragging').forEach(item => item.classList.remove('dragging'));
+        });
+
+        // Folder modal
+        this.btnCancelFolder.addEventListener('click', () => this.hideFolderModal());
+        this.btnConfirmFolder.addEventListener('click', () => this.confirmFolder());
+        this.folderNameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.confirmFolder();
+        });
+        this.folderModal.addEventListener('click', (e) => {
+            if (e.target === this.folderModal) this.hideFolderModal();
+        });
+    }
+
+    /**
+     * Load favorites and folders and render them
+     */
+    async load() {
+        try {
+            const [favorites, folders] = await Promise.all([
+                window.electronAPI.getFavorites(),
+                window.electronAPI.getFavoriteFolders()
+            ]);
+            this.favorites = favorites;
+            this.folders = folders;
+        } catch (error) {
+            console.error('[FavoritesView] Error loading favorites:', error);
+            this.favorites = [];
+            this.folders = [];
+        }
+        this.render();
+    }
+
+    /**
+     * Remove a favorite
+     * @param {Object} favorite - Favorite record
+     */
+    async removeFavorite(favorite) {
+        this.favorites = this.favorites.filter(fav => fav.id !== favorite.id);
+        this.render();
+
+        try {
+            await window.electronAPI.removeFavorite(favorite.id);
+        } catch (error) {
+            console.error('[FavoritesView] Error removing favorite:', error);
+        }
+    }
+
+    /**
+     * Mark where a dragged favorite would be dropped
+     * @param {HTMLElement|null} folder - Folder section under the pointer
+     * @param {HTMLElement|null} target - Favorite under the pointer
+     */
+    showDropPosition(folder, target) {
+        this.content.querySelectorAll('.drop-before, .drop-after, .drop-target').forEach(el => {
+            el.classList.remove('drop-before', 'drop-after', 'drop-target');
+        });
+        if (!folder) return;
+
+        if (!target) {
+            folder.classList.add('drop-target');
+        } else if (target.dataset.id !== this.draggedId) {
+            target.classList.add(this.isDraggedBefore(target) ? 'drop-after' : 'drop-before');
+        }
+    }
+
+    /**
+     * Check whether the dragged favorite comes before another of its folder
+     * @param {HTMLElement} target - Favorite item
+     * @returns {boolean} Whether it is dragged down within its folder
+     */
+    isDraggedBefore(target) {
+        const dragged = this.content.querySelector('.favorite-item.dragging');
+        if (dragged?.closest('.favorite-folder') !== target.closest('.favorite-folder')) return false;
+
+        const from = this.favorites.findIndex(fav => fav.id === this.draggedId);
+        const to = this.favorites.findIndex(fav => fav.id === target.dataset.id);
+        return from < to;
+    }
+
+    /**
+     * Move the dragged favorite into a folder: next to the favorite it
+     * was dropped on, or last when dropped on the folder itself
+     * @param {HTMLElement} folder - Folder section
+     * @param {HTMLElement|null} target - Favorite item dropped on
+     */
+    async dropFavorite(folder, target) {
+        const id = this.draggedId;
+        const folderId = folder.dataset.folderId || null;
+        if (target?.dataset.id === id) return;
+
+        let beforeId = null;
+        if (target) {
+            if (this.isDraggedBefore(target)) {
+                // After the target: before the next favorite of the folder
+                const items = [...folder.querySelectorAll('.favorite-item')];
+                beforeId = items[items.indexOf(target) + 1]?.dataset.id || null;
+            } else {
+                beforeId = target.dataset.id;
+            }
+        }
+
+        try {
+            await window.electronAPI.moveFavorite(id, folderId, beforeId);
+        } catch (error) {
+            console.error('[FavoritesView] Error moving favorite:', error);
+        }
+        await this.load();
+    }
+
+    render() {
+        this.content.querySelectorAll('.settings-section').forEach(section => section.remove());
+        this.emptyState.classList.toggle('hidden', this.favorites.length > 0 || this.folders.length > 0);
+
+        // Favorites out of any folder first, shown as soon as there is a
+        // folder so favorites can be dragged back out of it
+        const unfiled = this.favorites.filter(fav => !this.folders.some(folder => folder.id === fav.folderId));
+        if (unfiled.length > 0 || this.folders.length > 0) {
+            this.content.appendChild(this.createFolderSection(null, i18n.t('favorites.noFolder'), unfiled));
+        }
+
+        for (const folder of this.folders) {
+            const favorites = this.favorites.filter(fav => fav.folderId === folder.id);
+            this.content.appendChild(this.createFolderSection(folder, folder.name, favorites));
+        }
+    }
+
+    /**
+     * Create the section of a folder
+     * @param {Object|null} folder - Folder (null for favorites in no folder)
+     * @param {string} name - Section title
+     * @param {Array} favorites - Favorites of the folder, in order
+     * @returns {HTMLElement} Section
+     */
+    createFolderSection(folder, name, favorites) {
+        const section = document.createElement('section');
+        section.className = 'settings-section favorite-folder';
+        section.dataset.folderId = folder ? folder.id : '';
+
+        const header = document.createElement('div');
+        header.className = 'favorite-folder-header';
+
+        const title = document.createElement('h2');
+        title.className = 'section-title';
+        title.textContent = name;
+        header.appendChild(title);
+
+        if (folder) {
+            header.appendChild(this.createActionButton('rename-folder', i18n.t('common.edit')));
+            header.appendChild(this.createActionButton('remove-folder', i18n.t('common.delete')));
+        }
+        section.appendChild(header);
+
+        if (favorites.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'favorite-folder-empty';
+            empty.textContent = i18n.t('favorites.folderEmpty');
+            section.appendChild(empty);
+        }
+
+        favorites.forEach(favorite => section.appendChild(this.createFavoriteItem(favorite)));
+        return section;
+    }
+
+    createFavoriteItem(favorite) {
+        const item = document.createElement('div');
+        item.className = 'favorite-item';
+        item.dataset.id = favorite.id;
+        item.draggable = true;
+
+        // Favorites migrated from older versions only know their URL
+        const name = favorite.name || favorite.url;
+
+        if (favorite.logo) {
+            const logo = document.createElement('img');
+            logo.className = 'channel-logo';
+            logo.src = favorite.logo;
+            logo.alt = name;
+            logo.draggable = false;
+            logo.onerror = () => logo.replaceWith(this.createLogoPlaceholder(name));
+            item.appendChild(logo);
+        } else {
+            item.appendChild(this.createLogoPlaceholder(name));
+        }
+
+        const info = document.createElement('div');
+        info.className = 'favorite-info';
+
+        const nameEl = document.createElement('div');
+        nameEl.className = 'favorite-name';
+        nameEl.textContent = name;
+        nameEl.title = name;
+        info.appendChild(nameEl);
+
+        const playlist = this.getPlaylists().find(p => p.id === favorite.playlistId);
+        const details = [favorite.group, playlist?.name].filter(Boolean);
+        if (details.length > 0) {
+            const meta = document.createElement('div');
+            meta.className = 'favorite-meta';
+            meta.textContent = details.join(' · ');
+            info.appendChild(meta);
+        }
+
+        item.appendChild(info);
+        item.appendChild(this.createActionButton('remove', i18n.t('player.removeFavorite')));
+
+        return item;
+    }
+
+    createActionButton(action, label) {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-secondary btn-sm';
+        btn.dataset.action = action;
+        btn.textContent = label;
+        return btn;
+    }
+
+    createLogoPlaceholder(name) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'channel-logo-placeholder';
+        placeholder.textContent = name.charAt(0).toUpperCase();
+        return placeholder;
+    }
+
+    // Folder Modal
+
+    /**
+     * Show the folder modal
+     * @param {Object|null} folder - Folder to rename (null to create one)
+     */
+    showFolderModal(folder = null) {
+        this.editFolderId = folder?.id || null;
+        this.folderModalTitle.textContent = i18n.t(folder ? 'favorites.renameFolder' : 'favorites.newFolder');
+        this.folderNameInput.value = folder?.name || '';
+        this.folderModal.classList.remove('hidden');
+        this.folderNameInput.focus();
+    }
+
+    hideFolderModal() {
+        this.folderModal.classList.add('hidden');
+        this.editFolderId = null;
+    }
+
+    async confirmFolder() {
+        const name = this.folderNameInput.value.trim();
+        if (!name) {
+            this.folderNameInput.focus();
+            return;
+        }
+
+        try {
+            const result = this.editFolderId
+                ? await window.electronAPI.renameFavoriteFolder(this.editFolderId, name)
+                : await window.electronAPI.addFavoriteFolder(name);
+            if (result?.error) throw new Error(result.error);
+        } catch (error) {
+            console.error('[FavoritesView] Error saving folder:', error);
+        }
+
+        this.hideFolderModal();
+        await this.load();
+    }
+
+    /**
+     * Remove a folder, keeping its favorites
+     * @param {string} folderId - Folder ID
+     */
+    async removeFolder(folderId) {
+        const folder = this.folders.find(f => f.id === folderId);
+        if (!folder || !confirm(i18n.t('modal.confirm.delete', { name: folder.name }))) return;
+
+        try {
+            await window.electronAPI.removeFavoriteFolder(folderId);
+        } catch (error) {
+            console.error('[FavoritesView] Error removing folder:', error);
+        }
+        await this.load();
+    }
+
+    show() {
+        this.view.classList.add('active');
+        this.load();
+    }
+
+    hide() {
+        this.view.classList.remove('active');
+    }
+
+    isVisible() {
+        return this.view.classList.contains('active');
+    }
+}
@@ -0,0 +1,514 @@
+/**
+ * GuideView - TV Guide Grid Component
+ *
+ * Renders a scrollable timeline grid (channels as rows,
+ * half-hour columns) for the open playlist. Only the rows
+ * and time range in view are rendered and programme data is
+ * fetched lazily in blocks, so large playlists and multi-day
+ * guides stay smooth.
+ */
+
+import { i18n } from '../modules/i18n.js';
+import { epgService, EpgService } from '../modules/epg-service.js';
+import { Catchup } from '../../modules/playlist/catchup.js';
+
+// Grid geometry
+const ROW_HEIGHT = 56;
+const SLOT_WIDTH = 120; // px per half hour
+const SLOT_DURATION = 30 * 60 * 1000;
+const PX_PER_MS = SLOT_WIDTH / SLOT_DURATION;
+const OVERSCAN_ROWS = 5;
+
+// Programme data is requested in blocks of this duration
+const BLOCK_DURATION = 6 * 60 * 60 * 1000;
+
+// Days shown before and after today
+const DAYS_BEFORE = 1;
+const DAYS_AFTER = 7;
+
+export class GuideView {
+    constructor({ onBack, onChannelSelected, onCatchupSelected, onRecordSelected, getChannels, sourceGroupSelect }) {
+        this.onBack = onBack;
+        this.onChannelSelected = onChannelSelected;
+        this.onCatchupSelected = onCatchupSelected;
+        this.onRecordSelected = onRecordSelected;
+        this.getChannels = getChannels;
+        this.sourceGroupSelect = sourceGroupSelect;
+
+        this.channels = [];
+        this.programmes = new Map(); // `${channelId}:${block}` -> programmes
+        this.pendingBlocks = new Set();
+        this.blockGeneration = 0; // Bumped when cached blocks are dropped
+        this.playlistId = null;
+        this.rangeStart = 0;
+        this.rangeEnd = 0;
+        this.renderScheduled = false;
+        this.nowInterval = null;
+        this.selectedProgramme = null;
+
+        this.cacheElements();
+        this.setupEventListeners();
+    }
+
+    cacheElements() {
+        this.view = document.getElementById('guide-view');
+        this.btnBack = document.getElementById('btn-back-from-guide');
+        this.btnNow = document.getElementById('btn-guide-now');
+        this.groupSelect = document.getElementById('guide-group-select');
+        this.emptyState = document.getElementById('guide-empty');
+
+        // Grid panes
+        this.timeline = document.getElementById('guide-timeline-inner');
+        this.channelColumn = document.getElementById('guide-channels-inner');
+        this.scroller = document.getElementById('guide-scroller');
+        this.canvas = document.getElementById('guide-canvas');
+
+        // Programme details modal
+        this.detailsModal = document.getElementById('programme-details-modal');
+        this.detailsTitle = document.getElementById('programme-details-title');
+        this.detailsTime = document.getElementById('programme-details-time');
+        this.detailsCategories = document.getElementById('programme-details-categories');
+        this.detailsDesc = document.getElementById('programme-details-desc');
+        this.btnCloseDetails = document.getElementById('btn-close-programme-details');
+        this.btnWatchProgramme = document.getElementById('btn-watch-programme');
+        this.btnCatchupProgramme = document.getElementById('btn-catchup-programme');
+        this.btnRecordProgramme = document.getElementById('btn-record-programme');
+    }
+
+    setupEventListeners() {
+        this.btnBack.addEventListener('click', () => this.onBack?.());
+        this.btnNow.addEventListener('click', () => this.scrollToNow());
+
+        this.groupSelect.addEventListener('change', () => {
+            this.loadChannels();
+            this.scroller.scrollTop = 0;
+            this.scheduleRender();
+        });
+
+        // Keep headers aligned with the programme grid
+        this.scroller.addEventListener('scroll', () => this.scheduleRender());
+        window.addEventListener('resize', () => {
+            if (this.view.classList.contains('active')) {
+                this.scheduleRender();
+            }
+        });
+
+        // Programme clicks (delegated)
+        this.canvas.addEventListener('click', (e) => {
+            const cell = e.target.closest('.guide-programme');
+            if (cell) {
+                this.handleProgrammeClick(cell.dataset.channelId, Number(cell.dataset.start));
+            }
+        });
+
+        // Channel name clicks play the channel
+        this.channelColumn.addEventListener('click', (e) => {
+            const cell = e.target.closest('.guide-channel');
+            if (cell) {
+                const channel = this.channels.find(c => c.id === cell.dataset.id);
+                if (channel) this.onChannelSelected?.(channel);
+            }
+        });
+
+        // Details modal
+        this.btnCloseDetails.addEventListener('click', () => this.hideDetails());
+        this.btnWatchProgramme.addEventListener('click', () => {
+            const channel = this.selectedProgramme?.channel;
+            this.hideDetails();
+            if (channel) this.onChannelSelected?.(channel);
+        });
+        this.btnCatchupProgramme.addEventListener('click', () => {
+            const selected = this.selectedProgramme;
+            this.hideDetails();
+            if (selected) this.onCatchupSelected?.(selected.channel, selected.programme);
+        });
+        this.btnRecordProgramme.addEventListener('click', () => {
+            const selected = this.selectedProgramme;
+            this.hideDetails();
+            if (selected) this.onRecordSelected?.(selected.channel, selected.programme);
+        });
+        this.detailsModal.addEventListener('click', (e) => {
+            if (e.target === this.detailsModal) this.hideDetails();
+        });
+    }
+
+    /**
+     * Copy group options from the channel list selector
+     */
+    syncGroupOptions() {
+        if (!this.sourceGroupSelect) return;
+
+        const previous = this.groupSelect.value;
+        this.groupSelect.innerHTML = this.sourceGroupSelect.innerHTML;
+
+        const options = Array.from(this.groupSelect.options).map(o => o.value);
+        if (this.view.classList.contains('active') && options.includes(previous)) {
+            this.groupSelect.value = previous;
+        } else {
+            this.groupSelect.value = this.sourceGroupSelect.value;
+        }
+    }
+
+    /**
+     * Load channels for the selected group
+     */
+    loadChannels() {
+        this.channels = this.getChannels?.(this.groupSelect.value) || [];
+
+        this.canvas.style.height = `${this.channels.length * ROW_HEIGHT}px`;
+        this.channelColumn.style.height = `${this.channels.length * ROW_HEIGHT}px`;
+
+        this.emptyState.classList.toggle('hidden', this.channels.length > 0);
+    }
+
+    /**
+     * Compute the time range of the grid (aligned to midnight)
+     */
+    setupTimeRange() {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        this.rangeStart = today.getTime() - DAYS_BEFORE * 24 * 60 * 60 * 1000;
+        this.rangeEnd = today.getTime() + DAYS_AFTER * 24 * 60 * 60 * 1000;
+
+        const width = (this.rangeEnd - this.rangeStart) * PX_PER_MS;
+        this.canvas.style.width = `${width}px`;
+        this.timeline.style.width = `${width}px`;
+
+        this.renderTimeline();
+    }
+
+    /**
+     * Render half-hour labels of the timeline header
+     */
+    renderTimeline() {
+        this.timeline.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        const locale = i18n.getCurrentLocale();
+
+        for (let time = this.rangeStart; time < this.rangeEnd; time += SLOT_DURATION) {
+            const date = new Date(time);
+            const slot = document.createElement('div');
+            slot.className = 'guide-slot';
+            slot.style.left = `${(time - this.rangeStart) * PX_PER_MS}px`;
+            slot.style.width = `${SLOT_WIDTH}px`;
+
+            if (date.getHours() === 0 && date.getMinutes() === 0) {
+                slot.classList.add('day-start');
+                slot.textContent = date.toLocaleDateString(locale, { weekday: 'short', day: 'numeric', month: 'short' });
+            } else {
+                slot.textContent = epgService.formatTime(time);
+            }
+
+            fragment.appendChild(slot);
+        }
+
+        this.timeline.appendChild(fragment);
+    }
+
+    /**
+     * Throttle rendering to one per animation frame
+     */
+    scheduleRender() {
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.render();
+        });
+    }
+
+    /**
+     * Render visible rows and programmes
+     */
+    render() {
+        const { scrollTop, scrollLeft, clientHeight, clientWidth } = this.scroller;
+
+        // Align sticky panes with the scroller
+        this.timeline.style.transform = `translateX(${-scrollLeft}px)`;
+        this.channelColumn.style.transform = `translateY(${-scrollTop}px)`;
+
+        const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+        const lastRow = Math.min(this.channels.length, Math.ceil((scrollTop + clientHeight) / ROW_HEIGHT) + OVERSCAN_ROWS);
+        const rows = this.channels.slice(firstRow, lastRow);
+
+        const from = this.rangeStart + scrollLeft / PX_PER_MS;
+        const to = from + clientWidth / PX_PER_MS;
+
+        this.ensureProgrammes(rows, from, to);
+        this.renderChannelColumn(rows, firstRow);
+        this.renderProgrammes(rows, firstRow, from, to);
+    }
+
+    /**
+     * Render visible channel name cells
+     */
+    renderChannelColumn(rows, firstRow) {
+        const fragment = document.createDocumentFragment();
+
+        rows.forEach((channel, i) => {
+            const cell = document.createElement('div');
+            cell.className = 'guide-channel';
+            cell.dataset.id = channel.id;
+            cell.style.top = `${(firstRow + i) * ROW_HEIGHT}px`;
+            cell.title = channel.name;
+
+            const logoUrl = channel.cachedLogo || channel.logo;
+            if (logoUrl) {
+                const logo = document.createElement('img');
+                logo.className = 'guide-channel-logo';
+                logo.src = logoUrl;
+                logo.alt = '';
+                logo.onerror = () => logo.remove();
+                cell.appendChild(logo);
+            }
+
+            const name = document.createElement('span');
+            name.className = 'guide-channel-name';
+            name.textContent = channel.name;
+            cell.appendChild(name);
+
+            fragment.appendChild(cell);
+        });
+
+        this.channelColumn.replaceChildren(fragment);
+    }
+
+    /**
+     * Render programme cells of visible rows within a time range
+     */
+    renderProgrammes(rows, firstRow, from, to) {
+        const fragment = document.createDocumentFragment();
+        const now = Date.now();
+        const blocks = this.getBlocks(from, to);
+
+        rows.forEach((channel, i) => {
+            const top = (firstRow + i) * ROW_HEIGHT;
+            const seen = new Set();
+
+            for (const block of blocks) {
+                const programmes = this.programmes.get(`${channel.id}:${block}`) || [];
+
+                for (const programme of programmes) {
+                    if (programme.stop <= from || programme.start >= to || seen.has(programme.start)) continue;
+                    seen.add(programme.start);
+
+                    const cell = document.createElement('div');
+                    cell.className = 'guide-programme';
+                    cell.dataset.channelId = channel.id;
+                    cell.dataset.start = programme.start;
+                    cell.style.top = `${top}px`;
+                    cell.style.left = `${(programme.start - this.rangeStart) * PX_PER_MS}px`;
+                    cell.style.width = `${Math.max(0, (programme.stop - programme.start) * PX_PER_MS - 2)}px`;
+
+                    if (programme.start <= now && programme.stop > now) {
+                        cell.classList.add('live');
+                    } else if (programme.stop <= now) {
+                        cell.classList.add('past');
+                        if (Catchup.covers(channel, programme.start)) {
+                            cell.classList.add('catchup');
+                        }
+                    }
+
+                    const title = document.createElement('div');
+                    title.className = 'guide-programme-title';
+                    title.textContent = programme.title;
+                    cell.appendChild(title);
+
+                    const time = document.createElement('div');
+                    time.className = 'guide-programme-time';
+                    time.textContent = `${epgService.formatTime(programme.start)} - ${epgService.formatTime(programme.stop)}`;
+                    cell.appendChild(time);
+
+                    fragment.appendChild(cell);
+                }
+            }
+        });
+
+        // Current time marker
+        if (now >= this.rangeStart && now < this.rangeEnd) {
+            const nowLine = document.createElement('div');
+            nowLine.className = 'guide-now-line';
+            nowLine.style.left = `${(now - this.rangeStart) * PX_PER_MS}px`;
+            fragment.appendChild(nowLine);
+        }
+
+        this.canvas.replaceChildren(fragment);
+    }
+
+    /**
+     * Get block indexes covering a time range
+     */
+    getBlocks(from, to) {
+        const blocks = [];
+        for (let block = Math.floor(from / BLOCK_DURATION); block * BLOCK_DURATION < to; block++) {
+            blocks.push(block);
+        }
+        return blocks;
+    }
+
+    /**
+     * Request programme data missing for visible rows
+     */
+    ensureProgrammes(rows, from, to) {
+        if (!this.playlistId) return;
+
+        for (const block of this.getBlocks(from, to)) {
+            const missing = rows.filter(channel => {
+                const key = `${channel.id}:${block}`;
+                return !this.programmes.has(key) && !this.pendingBlocks.has(key);
+            });
+
+            if (missing.length > 0) {
+                this.fetchBlock(block, missing);
+            }
+        }
+    }
+
+    /**
+     * Fetch one block of programme data for a set of channels
+     */
+    async fetchBlock(block, channels) {
+        const generation = this.blockGeneration;
+        const keys = channels.map(channel => `${channel.id}:${block}`);
+        keys.forEach(key => this.pendingBlocks.add(key));
+
+        try {
+            const from = block * BLOCK_DURATION;
+            const result = await window.electronAPI.getEpgProgrammes(
+                this.playlistId,
+                channels.map(channel => EpgService.toGuideKey(channel)),
+                from,
+                from + BLOCK_DURATION
+            );
+
+            if (generation !== this.blockGeneration) return;
+
+            channels.forEach(channel => {
+                const programmes = result?.[channel.id] || [];
+
+                // Ask again once the guide download is done
+                if (programmes.length > 0 || !epgService.loading) {
+                    this.programmes.set(`${channel.id}:${block}`, programmes);
+                }
+            });
+
+            this.scheduleRender();
+        } catch (error) {
+            console.error('[GuideView] Error loading programmes:', error);
+        } finally {
+            if (generation === this.blockGeneration) {
+                keys.forEach(key => this.pendingBlocks.delete(key));
+            }
+        }
+    }
+
+    /**
+     * Find a loaded programme by channel and start time
+     */
+    findProgramme(channelId, start) {
+        const block = Math.floor(start / BLOCK_DURATION);
+        const programmes = this.programmes.get(`${channelId}:${block}`) || [];
+        return programmes.find(p => p.start === start) || null;
+    }
+
+    /**
+     * Live programmes play the channel, others show details
+     */
+    handleProgrammeClick(channelId, start) {
+        const channel = this.channels.find(c => c.id === channelId);
+        const programme = this.findProgramme(channelId, start);
+        if (!channel || !programme) return;
+
+        const now = Date.now();
+        if (programme.start <= now && programme.stop > now) {
+            this.onChannelSelected?.(channel);
+        } else {
+            this.showDetails(channel, programme);
+        }
+    }
+
+    /**
+     * Show programme details modal
+     */
+    showDetails(channel, programme) {
+        this.selectedProgramme = { channel, programme };
+
+        const locale = i18n.getCurrentLocale();
+        const day = new Date(programme.start).toLocaleDateString(locale, {
+            weekday: 'long', day: 'numeric', month: 'long'
+        });
+
+        this.detailsTitle.textContent = programme.subTitle
+            ? `${programme.title} - ${programme.subTitle}`
+            : programme.title;
+        this.detailsTime.textContent = `${channel.name} | ${day}, ${epgService.formatTime(programme.start)} - ${epgService.formatTime(programme.stop)}`;
+        this.detailsCategories.textContent = (programme.categories || []).join(', ');
+        this.detailsDesc.textContent = programme.desc || i18n.t('guide.noDescription');
+
+        // Past programmes still in the channel archive can be played
+        const archived = programme.stop <= Date.now() && Catchup.covers(channel, programme.start);
+        this.btnCatchupProgramme.classList.toggle('hidden', !archived);
+
+        // Upcoming programmes can be scheduled for recording
+        this.btnRecordProgramme.classList.toggle('hidden', programme.start <= Date.now() || !this.onRecordSelected);
+
+        this.detailsModal.classList.remove('hidden');
+    }
+
+    hideDetails() {
+        this.detailsModal.classList.add('hidden');
+        this.selectedProgramme = null;
+    }
+
+    /**
+     * Scroll the grid so the current time is near the left edge
+     */
+    scrollToNow() {
+        const offset = (Date.now() - this.rangeStart) * PX_PER_MS;
+        this.scroller.scrollLeft = Math.max(0, offset - SLOT_WIDTH);
+        this.scheduleRender();
+    }
+
+    /**
+     * Drop cached programme data, e.g. after the guide was downloaded
+     */
+    invalidate() {
+        this.blockGeneration++;
+        this.programmes.clear();
+        this.pendingBlocks.clear();
+
+        if (this.view.classList.contains('active')) {
+            this.scheduleRender();
+        }
+    }
+
+    show() {
+        // Reset cached data when the playlist changed
+        if (this.playlistId !== epgService.playlistId) {
+            this.playlistId = epgService.playlistId;
+            this.invalidate();
+        }
+
+        this.syncGroupOptions();
+        this.view.classList.add('active');
+
+        this.setupTimeRange();
+        this.loadChannels();
+        this.scrollToNow();
+
+        // Move the current time marker and live highlight every minute
+        this.nowInterval = setInterval(() => this.scheduleRender(), 60000);
+    }
+
+    hide() {
+        this.view.classList.remove('active');
+        this.hideDetails();
+
+        if (this.nowInterval) {
+            clearInterval(this.nowInterval);
+            this.nowInterval = null;
+        }
+    }
+}
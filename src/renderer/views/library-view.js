@@ -2,17 +2,20 @@
  * LibraryView - Playlist Library Component
  * 
  * Manages the library view showing saved playlists
- * with add, edit, delete functionality.
+ * with add, edit, delete functionality, and a
+ * "Continue watching" row of unfinished on-demand items.
  */
 
 import { i18n } from '../modules/i18n.js';
 
 export class LibraryView {
-    constructor({ onPlaylistOpen, onSettingsOpen }) {
+    constructor({ onPlaylistOpen, onSettingsOpen, onContinueWatching }) {
         this.onPlaylistOpen = onPlaylistOpen;
         this.onSettingsOpen = onSettingsOpen;
+        this.onContinueWatching = onContinueWatching;
 
         this.playlists = [];
+        this.continueItems = [];
         this.selectedFile = null;
 
         this.cacheElements();
@@ -25,6 +28,8 @@ export class LibraryView {
         this.grid = document.getElementById('playlist-grid');
         this.emptyState = document.getElementById('empty-library');
         this.searchInput = document.getElementById('library-search');
+        this.continueSection = document.getElementById('continue-watching');
+        this.continueRow = document.getElementById('continue-row');
 
         // Buttons
         this.btnAddPlaylist = document.getElementById('btn-add-playlist');
@@ -37,7 +42,12 @@ export class LibraryView {
         this.btnSelectFile = document.getElementById('btn-select-file');
         this.selectedFileName = document.getElementById('selected-file-name');
         this.urlInput = document.getElementById('playlist-url-input');
+        this.xtreamServerInput = document.getElementById('xtream-server-input');
+        this.xtreamUsernameInput = document.getElementById('xtream-username-input');
+        this.xtreamPasswordInput = document.getElementById('xtream-password-input');
         this.nameInput = document.getElementById('playlist-name-input');
+        this.epgInput = document.getElementById('playlist-epg-input');
+        this.addError = document.getElementById('add-playlist-error');
         this.btnCancelAdd = document.getElementById('btn-cancel-add');
         this.btnConfirmAdd = document.getElementById('btn-confirm-add');
 
@@ -45,6 +55,7 @@ export class LibraryView {
         this.editModal = document.getElementById('edit-playlist-modal');
         this.editNameInput = document.getElementById('edit-playlist-name');
         this.editUrlInput = document.getElementById('edit-playlist-url');
+        this.editEpgInput = document.getElementById('edit-playlist-epg');
         this.btnCancelEdit = document.getElementById('btn-cancel-edit');
         this.btnConfirmEdit = document.getElementById('btn-confirm-edit');
     }
@@ -89,6 +100,78 @@ export class LibraryView {
         }
     }
 
+    async loadContinueWatching() {
+        try {
+            this.continueItems = await window.electronAPI.getContinueWatching();
+        } catch (error) {
+            console.error('[LibraryView] Error loading continue watching:', error);
+            this.continueItems = [];
+        }
+        this.renderContinueWatching();
+    }
+
+    renderContinueWatching() {
+        this.continueRow.innerHTML = '';
+        this.continueSection.classList.toggle('hidden', this.continueItems.length === 0);
+
+        this.continueItems.forEach(item => {
+            this.continueRow.appendChild(this.createContinueCard(item));
+        });
+    }
+
+    createContinueCard(item) {
+        const card = document.createElement('div');
+        card.className = 'continue-card';
+        card.title = item.name;
+
+        if (item.logo) {
+            const logo = document.createElement('img');
+            logo.className = 'continue-logo';
+            logo.src = item.logo;
+            logo.alt = '';
+            logo.onerror = () => logo.remove();
+            card.appendChild(logo);
+        }
+
+        const name = document.createElement('div');
+        name.className = 'continue-name';
+        name.textContent = item.name;
+        card.appendChild(name);
+
+        const meta = document.createElement('div');
+        meta.className = 'continue-meta';
+        meta.textContent = i18n.t('library.continue.remaining', {
+            minutes: Math.max(1, Math.round((item.duration - item.position) / 60))
+        });
+        card.appendChild(meta);
+
+        const progress = document.createElement('div');
+        progress.className = 'continue-progress';
+        const bar = document.createElement('div');
+        bar.className = 'continue-progress-bar';
+        bar.style.width = `${Math.min(100, (item.position / item.duration) * 100)}%`;
+        progress.appendChild(bar);
+        card.appendChild(progress);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'continue-remove';
+        removeBtn.title = i18n.t('library.continue.remove');
+        removeBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18" />
+            <line x1="6" y1="6" x2="18" y2="18" />
+        </svg>`;
+        removeBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await window.electronAPI.removeWatchProgress(item.url);
+            await this.loadContinueWatching();
+        });
+        card.appendChild(removeBtn);
+
+        card.addEventListener('click', () => this.onContinueWatching?.(item));
+
+        return card;
+    }
+
     render() {
         // Clear existing cards
         const cards = this.grid.querySelectorAll('.playlist-card');
@@ -201,6 +284,7 @@ export class LibraryView {
         if (confirm(i18n.t('modal.confirm.delete', { name: playlist.name }))) {
             await window.electronAPI.deletePlaylist(playlist.id);
             await this.loadPlaylists();
+            await this.loadContinueWatching();
         }
     }
 
@@ -229,7 +313,12 @@ export class LibraryView {
         this.selectedFile = null;
         this.selectedFileName.textContent = '';
         this.urlInput.value = '';
+        this.xtreamServerInput.value = '';
+        this.xtreamUsernameInput.value = '';
+        this.xtreamPasswordInput.value = '';
         this.nameInput.value = '';
+        this.epgInput.value = '';
+        this.addError.classList.add('hidden');
         this.switchTab('file');
         this.addModal.classList.remove('hidden');
     }
@@ -279,10 +368,38 @@ export class LibraryView {
                 path: url,
                 name: name || defaultName
             };
+        } else if (activeTab === 'xtream' && this.xtreamServerInput.value.trim() && this.xtreamUsernameInput.value.trim()) {
+            const server = this.xtreamServerInput.value.trim();
+            const username = this.xtreamUsernameInput.value.trim();
+            // Default name: username@host
+            let defaultName = username;
+            try {
+                defaultName = `${username}@${new URL(/^https?:\/\//i.test(server) ? server : `http://${server}`).hostname}`;
+            } catch {
+                // If URL parsing fails, use the username
+            }
+            playlistData = {
+                source: 'xtream',
+                path: server,
+                xtream: {
+                    server,
+                    username,
+                    password: this.xtreamPasswordInput.value
+                },
+                name: name || defaultName
+            };
         }
 
         if (playlistData) {
-            await window.electronAPI.addPlaylist(playlistData);
+            playlistData.epgUrl = this.epgInput.value.trim();
+            const result = await window.electronAPI.addPlaylist(playlistData);
+
+            // Xtream accounts are checked before they are saved
+            if (result?.error) {
+                this.addError.textContent = i18n.t('modal.addPlaylist.xtreamError', { message: result.error });
+                this.addError.classList.remove('hidden');
+                return;
+            }
             this.hideAddModal();
             await this.loadPlaylists();
         }
@@ -294,8 +411,11 @@ export class LibraryView {
     showEditModal(playlist) {
         this.currentEditId = playlist.id;
         this.editNameInput.value = playlist.name;
-        this.editUrlInput.value = playlist.source === 'url' ? playlist.path : '';
-        this.editUrlInput.disabled = playlist.source !== 'url';
+        this.editUrlInput.value = playlist.source === 'file' ? '' : playlist.path;
+        this.editUrlInput.disabled = playlist.source === 'file';
+        this.editEpgInput.value = playlist.epgUrl || '';
+        // Hint the guide announced by the playlist header, used when left empty
+        this.editEpgInput.placeholder = playlist.header?.tvgUrls?.[0] || i18n.t('modal.editPlaylist.epgPlaceholder');
         this.editModal.classList.remove('hidden');
     }
 
@@ -308,11 +428,18 @@ export class LibraryView {
         if (!this.currentEditId) return;
 
         const updates = {
-            name: this.editNameInput.value.trim()
+            name: this.editNameInput.value.trim(),
+            epgUrl: this.editEpgInput.value.trim()
         };
 
         if (!this.editUrlInput.disabled && this.editUrlInput.value.trim()) {
             updates.path = this.editUrlInput.value.trim();
+
+            // Xtream playlists keep the server with the credentials
+            const playlist = this.playlists.find(p => p.id === this.currentEditId);
+            if (playlist?.source === 'xtream') {
+                updates.xtream = { ...playlist.xtream, server: updates.path };
+            }
         }
 
         await window.electronAPI.updatePlaylist(this.currentEditId, updates);
@@ -323,6 +450,7 @@ export class LibraryView {
     show() {
         this.view.classList.add('active');
         this.loadPlaylists();
+        this.loadContinueWatching();
     }
 
     hide() {
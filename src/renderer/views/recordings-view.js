@@ -0,0 +1,378 @@
+/**
+ * RecordingsView - Recording Manager Component
+ *
+ * Lists scheduled recording jobs grouped as in progress,
+ * upcoming, completed and failed, with their file paths and
+ * sizes, and hosts the modal that schedules one-off and
+ * repeating recordings.
+ */
+
+import { i18n } from '../modules/i18n.js';
+import { recordingScheduler, REPEAT_RULES } from '../modules/recording-scheduler.js';
+
+// Job groups in display order
+const GROUPS = [
+    { status: 'recording', key: 'recordings.inProgress' },
+    { status: 'scheduled', key: 'recordings.upcoming' },
+    { status: 'completed', key: 'recordings.completed' },
+    { status: 'failed', key: 'recordings.failed' }
+];
+
+// Errors stored as codes by the scheduler
+const ERROR_KEYS = {
+    missed: 'recordings.errorMissed',
+    interrupted: 'recordings.errorInterrupted'
+};
+
+export class RecordingsView {
+    constructor({ onBack, getChannels, onSchedule }) {
+        this.onBack = onBack;
+        this.getChannels = getChannels;
+        this.onSchedule = onSchedule;
+
+        // Channel fixed by the guide, or null to pick one
+        this.scheduleChannel = null;
+
+        this.cacheElements();
+        this.setupEventListeners();
+    }
+
+    cacheElements() {
+        this.view = document.getElementById('recordings-view');
+        this.btnBack = document.getElementById('btn-back-from-recordings');
+        this.btnNew = document.getElementById('btn-new-recording');
+        this.content = document.getElementById('recordings-content');
+        this.emptyState = document.getElementById('recordings-empty');
+
+        // Schedule modal
+        this.scheduleModal = document.getElementById('schedule-recording-modal');
+        this.channelSelect = document.getElementById('schedule-channel');
+        this.titleInput = document.getElementById('schedule-title');
+        this.dateInput = document.getElementById('schedule-date');
+        this.startInput = document.getElementById('schedule-start');
+        this.endInput = document.getElementById('schedule-end');
+        this.paddingBeforeInput = document.getElementById('schedule-padding-before');
+        this.paddingAfterInput = document.getElementById('schedule-padding-after');
+        this.repeatSelect = document.getElementById('schedule-repeat');
+        this.scheduleError = document.getElementById('schedule-error');
+        this.btnCancelSchedule = document.getElementById('btn-cancel-schedule');
+        this.btnConfirmSchedule = document.getElementById('btn-confirm-schedule');
+    }
+
+    setupEventListeners() {
+        this.btnBack.addEventListener('click', () => this.onBack?.());
+        this.btnNew.addEventListener('click', () => this.openScheduleModal());
+
+        // Job actions (delegated)
+        this.content.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (btn) {
+                this.handleAction(btn.dataset.action, btn.closest('.recording-item').dataset.id);
+            }
+        });
+
+        // Schedule modal
+        this.btnCancelSchedule.addEventListener('click', () => this.hideScheduleModal());
+        this.btnConfirmSchedule.addEventListener('click', () => this.confirmSchedule());
+        this.scheduleModal.addEventListener('click', (e) => {
+            if (e.target === this.scheduleModal) this.hideScheduleModal();
+        });
+    }
+
+    /**
+     * Run a job action
+     * @param {string} action - 'cancel', 'stop', 'show' or 'remove'
+     * @param {string} id - Job ID
+     */
+    async handleAction(action, id) {
+        const job = recordingScheduler.getJobs().find(j => j.id === id);
+        if (!job) return;
+
+        switch (action) {
+            case 'cancel':
+            case 'stop':
+                await recordingScheduler.cancel(id);
+                break;
+            case 'show':
+                await window.electronAPI.showRecordingFile(job.filePath);
+                break;
+            case 'remove':
+                await recordingScheduler.remove(id);
+                break;
+        }
+    }
+
+    render() {
+        this.content.querySelectorAll('.settings-section').forEach(section => section.remove());
+
+        const jobs = recordingScheduler.getJobs();
+        this.emptyState.classList.toggle('hidden', jobs.length > 0);
+
+        for (const group of GROUPS) {
+            const groupJobs = jobs.filter(job => job.status === group.status);
+            if (groupJobs.length === 0) continue;
+
+            // Upcoming soonest first, the rest most recent first
+            groupJobs.sort((a, b) => group.status === 'scheduled' ? a.start - b.start : b.start - a.start);
+
+            const section = document.createElement('section');
+            section.className = 'settings-section';
+
+            const title = document.createElement('h2');
+            title.className = 'section-title';
+            title.textContent = i18n.t(group.key);
+            section.appendChild(title);
+
+            groupJobs.forEach(job => section.appendChild(this.createJobItem(job)));
+            this.content.appendChild(section);
+        }
+    }
+
+    createJobItem(job) {
+        const item = document.createElement('div');
+        item.className = `recording-item ${job.status}`;
+        item.dataset.id = job.id;
+
+        const info = document.createElement('div');
+        info.className = 'recording-info';
+
+        const name = document.createElement('div');
+        name.className = 'recording-name';
+        name.textContent = job.title ? `${job.channel.name} - ${job.title}` : job.channel.name;
+        info.appendChild(name);
+
+        const meta = document.createElement('div');
+        meta.className = 'recording-meta';
+        meta.textContent = this.formatSchedule(job);
+        info.appendChild(meta);
+
+        if (job.filePath) {
+            const filePath = document.createElement('div');
+            filePath.className = 'recording-path';
+            filePath.textContent = job.filePath;
+            filePath.title = job.filePath;
+            info.appendChild(filePath);
+        }
+
+        if (job.status === 'failed' && job.error) {
+            const error = document.createElement('div');
+            error.className = 'recording-error';
+            error.textContent = ERROR_KEYS[job.error] ? i18n.t(ERROR_KEYS[job.error]) : job.error;
+            info.appendChild(error);
+        }
+
+        item.appendChild(info);
+
+        if (job.size !== null && job.size !== undefined) {
+            const size = document.createElement('span');
+            size.className = 'recording-size';
+            size.textContent = this.formatBytes(job.size);
+            item.appendChild(size);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'recording-actions';
+
+        if (job.status === 'scheduled') {
+            actions.appendChild(this.createActionButton('cancel', i18n.t('common.cancel')));
+        } else if (job.status === 'recording') {
+            actions.appendChild(this.createActionButton('stop', i18n.t('player.controls.stopRecording')));
+        } else {
+            if (job.filePath && job.size !== null) {
+                actions.appendChild(this.createActionButton('show', i18n.t('recordings.showFile')));
+            }
+            actions.appendChild(this.createActionButton('remove', i18n.t('common.delete')));
+        }
+
+        item.appendChild(actions);
+        return item;
+    }
+
+    createActionButton(action, label) {
+        const btn = document.createElement('button');
+        btn.className = 'btn btn-secondary btn-sm';
+        btn.dataset.action = action;
+        btn.textContent = label;
+        return btn;
+    }
+
+    /**
+     * Describe when a job records
+     * @param {Object} job - Job
+     * @returns {string} e.g. "Mon, Oct 12, 20:00 - 21:00 · Daily"
+     */
+    formatSchedule(job) {
+        const locale = i18n.getCurrentLocale();
+        const day = new Date(job.start).toLocaleDateString(locale, {
+            weekday: 'short', day: 'numeric', month: 'short'
+        });
+        const time = (value) => new Date(value).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
+
+        const parts = [`${day}, ${time(job.start)} - ${time(job.end)}`];
+        if (job.paddingBefore || job.paddingAfter) {
+            parts.push(i18n.t('recordings.paddingInfo', { before: job.paddingBefore || 0, after: job.paddingAfter || 0 }));
+        }
+        if (job.repeat && job.repeat !== 'none') {
+            parts.push(i18n.t(`recordings.repeat.${job.repeat}`));
+        }
+        return parts.join(' · ');
+    }
+
+    formatBytes(bytes) {
+        if (bytes === 0) return '0 Bytes';
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    /**
+     * Show the schedule modal
+     * @param {Object} options - Prefilled values
+     * @param {Object|null} options.channel - Channel to record (null to pick one)
+     * @param {string} options.title - Programme title
+     * @param {number|null} options.start - Start, epoch milliseconds
+     * @param {number|null} options.end - End, epoch milliseconds
+     */
+    async openScheduleModal({ channel = null, title = '', start = null, end = null } = {}) {
+        this.scheduleChannel = channel;
+
+        // Channel choice
+        const channels = channel ? [channel] : this.getChannels();
+        this.channelSelect.innerHTML = '';
+        channels.forEach(c => {
+            const option = document.createElement('option');
+            option.value = c.id;
+            option.textContent = c.name;
+            this.channelSelect.appendChild(option);
+        });
+        this.channelSelect.disabled = !!channel;
+
+        // Next 5 minute mark, one hour long
+        if (!start) {
+            start = Math.ceil(Date.now() / (5 * 60 * 1000)) * 5 * 60 * 1000;
+            end = start + 60 * 60 * 1000;
+        }
+
+        this.titleInput.value = title;
+        this.dateInput.value = this.toDateValue(start);
+        this.startInput.value = this.toTimeValue(start);
+        this.endInput.value = this.toTimeValue(end);
+        this.repeatSelect.innerHTML = '';
+        REPEAT_RULES.forEach(rule => {
+            const option = document.createElement('option');
+            option.value = rule;
+            option.textContent = i18n.t(`recordings.repeat.${rule}`);
+            this.repeatSelect.appendChild(option);
+        });
+
+        // Padding used last time
+        const recording = await window.electronAPI.getSetting('recording');
+        this.paddingBeforeInput.value = recording?.paddingBefore ?? 0;
+        this.paddingAfterInput.value = recording?.paddingAfter ?? 0;
+
+        this.scheduleError.classList.add('hidden');
+        this.scheduleModal.classList.remove('hidden');
+    }
+
+    hideScheduleModal() {
+        this.scheduleModal.classList.add('hidden');
+        this.scheduleChannel = null;
+    }
+
+    async confirmSchedule() {
+        const channel = this.scheduleChannel ||
+            this.getChannels().find(c => c.id === this.channelSelect.value);
+
+        const start = this.parseDateTime(this.dateInput.value, this.startInput.value);
+        let end = this.parseDateTime(this.dateInput.value, this.endInput.value);
+
+        // An end before the start is on the next day
+        if (start !== null && end !== null && end <= start) {
+            const next = new Date(end);
+            next.setDate(next.getDate() + 1);
+            end = next.getTime();
+        }
+
+        if (!channel || start === null || end === null) {
+            this.showScheduleError(i18n.t('recordings.schedule.invalid'));
+            return;
+        }
+
+        const paddingBefore = Math.max(0, parseInt(this.paddingBeforeInput.value, 10) || 0);
+        const paddingAfter = Math.max(0, parseInt(this.paddingAfterInput.value, 10) || 0);
+
+        try {
+            await this.onSchedule?.(channel, {
+                title: this.titleInput.value.trim(),
+                start,
+                end,
+                paddingBefore,
+                paddingAfter,
+                repeat: this.repeatSelect.value
+            });
+        } catch (error) {
+            console.error('[RecordingsView] Error scheduling recording:', error);
+            this.showScheduleError(i18n.t('recordings.schedule.invalid'));
+            return;
+        }
+
+        window.electronAPI.setSetting('recording.paddingBefore', paddingBefore);
+        window.electronAPI.setSetting('recording.paddingAfter', paddingAfter);
+        this.hideScheduleModal();
+    }
+
+    showScheduleError(message) {
+        this.scheduleError.textContent = message;
+        this.scheduleError.classList.remove('hidden');
+    }
+
+    /**
+     * Local date for a date input
+     * @param {number} time - Epoch milliseconds
+     * @returns {string} YYYY-MM-DD
+     */
+    toDateValue(time) {
+        const date = new Date(time);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Local time for a time input
+     * @param {number} time - Epoch milliseconds
+     * @returns {string} HH:MM
+     */
+    toTimeValue(time) {
+        const date = new Date(time);
+        return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Read date and time input values as local time
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} time - HH:MM
+     * @returns {number|null} Epoch milliseconds
+     */
+    parseDateTime(date, time) {
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours, minutes] = time.split(':').map(Number);
+        if (!year || !month || !day || Number.isNaN(hours) || Number.isNaN(minutes)) return null;
+
+        return new Date(year, month - 1, day, hours, minutes).getTime();
+    }
+
+    show() {
+        this.view.classList.add('active');
+        this.btnNew.disabled = this.getChannels().length === 0;
+        this.render();
+    }
+
+    hide() {
+        this.view.classList.remove('active');
+    }
+
+    isVisible() {
+        return this.view.classList.contains('active');
+    }
+}
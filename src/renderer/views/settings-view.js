@@ -7,11 +7,18 @@
 
 import { i18n } from '../modules/i18n.js';
 import { keyboardShortcuts } from '../modules/keyboard-shortcuts.js';
+import { StreamRecorder, DEFAULT_FILENAME_TEMPLATE } from '../../modules/player/stream-recorder.js';
 
 export class SettingsView {
-    constructor({ onBack, onRecordingPresetChange, onLanguageChange }) {
+    constructor({ onBack, onRecordingMethodChange, onRecordingPresetChange, onRecordingFormatChange, onRecordingLimitsChange, onReconnectAttemptsChange, onTimeshiftChange, onChannelNavigationChange, onLanguageChange }) {
         this.onBack = onBack;
+        this.onRecordingMethodChange = onRecordingMethodChange;
         this.onRecordingPresetChange = onRecordingPresetChange;
+        this.onRecordingFormatChange = onRecordingFormatChange;
+        this.onRecordingLimitsChange = onRecordingLimitsChange;
+        this.onReconnectAttemptsChange = onReconnectAttemptsChange;
+        this.onTimeshiftChange = onTimeshiftChange;
+        this.onChannelNavigationChange = onChannelNavigationChange;
         this.onLanguageChange = onLanguageChange;
 
         this.cacheElements();
@@ -34,6 +41,11 @@ export class SettingsView {
         this.btnOpenDataFolder = document.getElementById('btn-open-data-folder');
         this.btnClearCache = document.getElementById('btn-clear-cache');
 
+        // Playback
+        this.reconnectAttemptsSelect = document.getElementById('setting-reconnect-attempts');
+        this.timeshiftSelect = document.getElementById('setting-timeshift');
+        this.channelNavigationSelect = document.getElementById('setting-channel-navigation');
+
         // External Player
         this.useExternalPlayerToggle = document.getElementById('setting-use-external-player');
         this.externalPlayerPathContainer = document.getElementById('external-player-path-container');
@@ -43,7 +55,18 @@ export class SettingsView {
         this.detectedPlayersSelect = document.getElementById('detected-players-select');
 
         // Recording
+        this.recordingMethodSelect = document.getElementById('setting-recording-method');
         this.recordingPresetSelect = document.getElementById('setting-recording-preset');
+        this.recordingFormatSelect = document.getElementById('setting-recording-format');
+        this.recordingDirectoryPath = document.getElementById('recording-directory-path');
+        this.btnSelectRecordingDirectory = document.getElementById('btn-select-recording-directory');
+        this.recordingTemplateInput = document.getElementById('setting-recording-template');
+        this.recordingAskLocationToggle = document.getElementById('setting-recording-ask-location');
+        this.recordingLimitSelects = {
+            splitMinutes: document.getElementById('setting-recording-split'),
+            maxFileSize: document.getElementById('setting-recording-max-size'),
+            maxDuration: document.getElementById('setting-recording-max-duration')
+        };
 
         // Shortcuts
         this.shortcutsContainer = document.getElementById('shortcuts-container');
@@ -80,12 +103,73 @@ export class SettingsView {
         this.btnSelectPlayer?.addEventListener('click', () => this.selectExternalPlayer());
         this.detectedPlayersSelect?.addEventListener('change', (e) => this.onDetectedPlayerSelect(e.target.value));
 
+        // Reconnect attempts
+        this.reconnectAttemptsSelect?.addEventListener('change', (e) => {
+            const attempts = Number(e.target.value);
+            window.electronAPI.setSetting('player.reconnectAttempts', attempts);
+            this.onReconnectAttemptsChange?.(attempts);
+        });
+
+        // Timeshift window
+        this.timeshiftSelect?.addEventListener('change', (e) => {
+            const minutes = Number(e.target.value);
+            window.electronAPI.setSetting('player.timeshiftMinutes', minutes);
+            this.onTimeshiftChange?.(minutes);
+        });
+
+        // Prev/next channel scope
+        this.channelNavigationSelect?.addEventListener('change', (e) => {
+            window.electronAPI.setSetting('player.channelNavigation', e.target.value);
+            this.onChannelNavigationChange?.(e.target.value);
+        });
+
+        // Recording method
+        this.recordingMethodSelect?.addEventListener('change', (e) => {
+            window.electronAPI.setSetting('recording.method', e.target.value);
+            this.onRecordingMethodChange?.(e.target.value);
+        });
+
         // Recording preset
         this.recordingPresetSelect?.addEventListener('change', (e) => {
             window.electronAPI.setSetting('recording.preset', e.target.value);
             this.onRecordingPresetChange?.(e.target.value);
         });
 
+        // Recording format
+        this.recordingFormatSelect?.addEventListener('change', (e) => {
+            window.electronAPI.setSetting('recording.format', e.target.value);
+            this.onRecordingFormatChange?.(e.target.value);
+        });
+
+        // Recordings folder
+        this.btnSelectRecordingDirectory?.addEventListener('click', async () => {
+            const directory = await window.electronAPI.selectRecordingsDirectory();
+            if (directory) {
+                await window.electronAPI.setSetting('recording.directory', directory);
+                this.recordingDirectoryPath.textContent = directory;
+            }
+        });
+
+        // Filename template (an empty one restores the default)
+        this.recordingTemplateInput?.addEventListener('change', async (e) => {
+            const template = e.target.value.trim() || DEFAULT_FILENAME_TEMPLATE;
+            e.target.value = template;
+            await window.electronAPI.setSetting('recording.filenameTemplate', template);
+        });
+
+        // Save dialog on every manual recording
+        this.recordingAskLocationToggle?.addEventListener('change', (e) => {
+            window.electronAPI.setSetting('recording.askLocation', e.target.checked);
+        });
+
+        // Recording limits
+        for (const [key, select] of Object.entries(this.recordingLimitSelects)) {
+            select?.addEventListener('change', (e) => {
+                window.electronAPI.setSetting(`recording.${key}`, Number(e.target.value));
+                this.onRecordingLimitsChange?.(this.getRecordingLimits());
+            });
+        }
+
         // Language
         this.languageSelect?.addEventListener('change', (e) => {
             window.electronAPI.setSetting('ui.language', e.target.value);
@@ -126,6 +210,21 @@ export class SettingsView {
             const stats = await window.electronAPI.getCacheStats();
             this.cacheSizeInfo.textContent = this.formatBytes(stats.totalSize);
 
+            // Reconnect attempts
+            if (this.reconnectAttemptsSelect && settings.player?.reconnectAttempts !== undefined) {
+                this.reconnectAttemptsSelect.value = String(settings.player.reconnectAttempts);
+            }
+
+            // Timeshift window
+            if (this.timeshiftSelect && settings.player?.timeshiftMinutes !== undefined) {
+                this.timeshiftSelect.value = String(settings.player.timeshiftMinutes);
+            }
+
+            // Prev/next channel scope
+            if (this.channelNavigationSelect && settings.player?.channelNavigation) {
+                this.channelNavigationSelect.value = settings.player.channelNavigation;
+            }
+
             // External Player
             if (this.useExternalPlayerToggle) {
                 this.useExternalPlayerToggle.checked = settings.externalPlayer?.enabled || false;
@@ -140,11 +239,45 @@ export class SettingsView {
                 await this.detectExternalPlayers();
             }
 
+            // Recording method
+            if (this.recordingMethodSelect && settings.recording?.method) {
+                this.recordingMethodSelect.value = settings.recording.method;
+            }
+
             // Recording preset
             if (this.recordingPresetSelect && settings.recording?.preset) {
                 this.recordingPresetSelect.value = settings.recording.preset;
             }
 
+            // Recording format (formats MediaRecorder cannot encode are disabled)
+            if (this.recordingFormatSelect) {
+                for (const option of this.recordingFormatSelect.options) {
+                    option.disabled = !StreamRecorder.getMimeType(option.value);
+                }
+                const format = settings.recording?.format;
+                if (format && StreamRecorder.getMimeType(format)) {
+                    this.recordingFormatSelect.value = format;
+                }
+            }
+
+            // Recordings folder and naming
+            if (this.recordingDirectoryPath) {
+                this.recordingDirectoryPath.textContent = await window.electronAPI.getRecordingsDirectory();
+            }
+            if (this.recordingTemplateInput) {
+                this.recordingTemplateInput.value = settings.recording?.filenameTemplate || DEFAULT_FILENAME_TEMPLATE;
+            }
+            if (this.recordingAskLocationToggle) {
+                this.recordingAskLocationToggle.checked = settings.recording?.askLocation === true;
+            }
+
+            // Recording limits
+            for (const [key, select] of Object.entries(this.recordingLimitSelects)) {
+                if (select && settings.recording?.[key] !== undefined) {
+                    select.value = String(settings.recording[key]);
+                }
+            }
+
             // Render keyboard shortcuts
             this.renderShortcuts();
 
@@ -153,6 +286,18 @@ export class SettingsView {
         }
     }
 
+    /**
+     * Get the recording limits selected
+     * @returns {Object} { splitMinutes, maxFileSize, maxDuration }
+     */
+    getRecordingLimits() {
+        const limits = {};
+        for (const [key, select] of Object.entries(this.recordingLimitSelects)) {
+            limits[key] = Number(select?.value) || 0;
+        }
+        return limits;
+    }
+
     async setTheme(theme) {
         await window.electronAPI.setSetting('ui.theme', theme);
         this.applyTheme(theme);
@@ -0,0 +1,126 @@
+/**
+ * XtreamClient tests against a local stub of player_api.php
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { XtreamClient } = require('../src/main/playlist/xtream-client');
+
+// Accounts known to the stub server: username -> { password, status }
+const ACCOUNTS = {
+    viewer: { password: 'secret', status: 'Active' },
+    expired: { password: 'secret', status: 'Disabled' }
+};
+
+const CATEGORIES = [
+    { category_id: '1', category_name: 'News' },
+    { category_id: '2', category_name: 'Sports' }
+];
+
+const STREAMS = [
+    { num: 1, name: 'News One', stream_id: 101, stream_icon: 'http://logos/news.png', epg_channel_id: 'news.one', category_id: '1', tv_archive: 1, tv_archive_duration: 3 },
+    { num: 2, name: 'Sports Two', stream_id: 102, stream_icon: '', epg_channel_id: null, category_id: '2', tv_archive: 0 },
+    { num: 0, name: 'No Category', stream_id: 103, category_id: '9' }
+];
+
+let server;
+let address;
+
+/**
+ * Answer player_api.php like an Xtream Codes panel
+ */
+function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    // "/broken/player_api.php" fails like an overloaded server
+    if (url.pathname === '/broken/player_api.php') {
+        res.writeHead(503);
+        res.end();
+        return;
+    }
+    if (url.pathname !== '/player_api.php') {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    const account = ACCOUNTS[url.searchParams.get('username')];
+    const authorized = account && account.password === url.searchParams.get('password');
+
+    let body;
+    switch (url.searchParams.get('action')) {
+        case null:
+            body = authorized
+                ? { user_info: { auth: 1, status: account.status, allowed_output_formats: ['m3u8', 'ts'] }, server_info: {} }
+                : { user_info: { auth: 0 } };
+            break;
+        case 'get_live_categories':
+            body = authorized ? CATEGORIES : [];
+            break;
+        case 'get_live_streams':
+            body = authorized ? STREAMS : [];
+            break;
+        default:
+            body = [];
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+before(async () => {
+    server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    address = `127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+test('normalizes the server address', () => {
+    assert.equal(XtreamClient.normalizeServer('example.com:8080/'), 'http://example.com:8080');
+    assert.equal(XtreamClient.normalizeServer('https://example.com/player_api.php?username=a'), 'https://example.com');
+    assert.equal(XtreamClient.normalizeServer(' http://example.com/get.php '), 'http://example.com');
+});
+
+test('loads live channels with their categories', async () => {
+    const client = new XtreamClient({ server: address, username: 'viewer', password: 'secret' });
+    const { header, channels } = await client.loadLiveChannels();
+
+    assert.equal(channels.length, 3);
+    assert.deepEqual(channels[0], {
+        name: 'News One',
+        group: 'News',
+        logo: 'http://logos/news.png',
+        tvgId: 'news.one',
+        tvgName: 'News One',
+        tvgShift: 0,
+        tvgChno: 1,
+        catchup: { type: 'xc', source: null, days: 3 },
+        url: `http://${address}/live/viewer/secret/101.m3u8`
+    });
+    assert.equal(channels[1].group, 'Sports');
+    assert.equal(channels[1].logo, null);
+    assert.equal(channels[1].catchup, null);
+    assert.equal(channels[2].group, 'Uncategorized');
+    assert.equal(channels[2].tvgChno, null);
+
+    assert.deepEqual(header.tvgUrls, [`http://${address}/xmltv.php?username=viewer&password=secret`]);
+});
+
+test('rejects wrong credentials', async () => {
+    const client = new XtreamClient({ server: address, username: 'viewer', password: 'wrong' });
+    await assert.rejects(client.loadLiveChannels(), /Xtream authentication failed/);
+});
+
+test('rejects a disabled account', async () => {
+    const client = new XtreamClient({ server: address, username: 'expired', password: 'secret' });
+    await assert.rejects(client.loadLiveChannels(), /Xtream account is Disabled/);
+});
+
+test('reports HTTP errors', async () => {
+    const client = new XtreamClient({ server: `${address}/broken`, username: 'viewer', password: 'secret' });
+    await assert.rejects(client.loadLiveChannels(), /HTTP 503/);
+});